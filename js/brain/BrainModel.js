@@ -1,50 +1,210 @@
 import * as THREE from 'three';
 import { BRAIN_REGIONS } from './regionData.js';
-import { createRegionMesh, createBrainShell } from './regions.js';
+import { createRegionMesh, createAreaPatch, createBrainShell } from './regions.js';
+import {
+  getRegion, getChildren, getParent, getDescendants, getMeshRegion, hasMesh, isWithin
+} from './regionHierarchy.js';
+import { OrientationController, AXIS_Y } from '../controls/OrientationController.js';
+import { getStandardView } from './standardViews.js';
+import { SlicePlanes } from './SlicePlanes.js';
+import {
+  EXPLOSION_MODES, DEPTH_LAYERS, getExplosionMode, getDepthLayer
+} from './explosionModes.js';
+import { TRACTS } from './tractData.js';
+import { Tracts, getTract, getTractEndpoints, getTractsOf } from './Tracts.js';
+import { CONDITIONS } from './conditionData.js';
+import { getCondition, getConditionEntries } from './conditionIndex.js';
+
+// Groups cycle among themselves (see _peers)
+const GROUP_IDS = BRAIN_REGIONS.filter((r) => r.type === 'group').map((r) => r.id);
+
+// Layers that can be filtered out as a whole: region types, plus the shell
+export const LAYER_TYPES = ['lobe', 'internal', 'shell'];
+
+// Which white-matter tracts show: the selection's connections, all of
+// them, or only a selected tract
+export const PATHWAY_MODES = ['selection', 'all', 'none'];
+
+// Grid cell for neighbour detection — regions with vertices in the same or
+// adjacent cells (surfaces roughly 0.06–0.2 apart or closer) are neighbours
+const NEIGHBOUR_CELL = 0.06;
+
+// Glow of scenario activation, blended with each region's own colour
+const ACTIVATION_COLOR = new THREE.Color(0xffa040);
+
+const _offset = new THREE.Vector3();
+const _previousOffset = new THREE.Vector3();
+
+// Spring-like easing that settles exactly on the target
+function easeToward(current, target, rate) {
+  const diff = target - current;
+  return Math.abs(diff) < 0.001 ? target : current + diff * rate;
+}
+
+/**
+ * Region ids whose surfaces come close to each other, at rest (collapsed).
+ * @param {Map<string, THREE.Mesh>} meshes
+ * @returns {Map<string, Set<string>>}
+ */
+function findNeighbours(meshes) {
+  const cells = new Map(); // "x,y,z" -> region ids with a vertex there
+  const vertex = new THREE.Vector3();
+  for (const [id, mesh] of meshes) {
+    const matrix = new THREE.Matrix4().compose(
+      mesh.userData.basePosition, mesh.quaternion, mesh.scale
+    );
+    const position = mesh.geometry.attributes.position;
+    for (let i = 0; i < position.count; i++) {
+      vertex.fromBufferAttribute(position, i).applyMatrix4(matrix).divideScalar(NEIGHBOUR_CELL);
+      const key = `${Math.floor(vertex.x)},${Math.floor(vertex.y)},${Math.floor(vertex.z)}`;
+      if (!cells.has(key)) cells.set(key, new Set());
+      cells.get(key).add(id);
+    }
+  }
+
+  const neighbours = new Map([...meshes.keys()].map((id) => [id, new Set()]));
+  for (const [key, ids] of cells) {
+    const [x, y, z] = key.split(',').map(Number);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const other = cells.get(`${x + dx},${y + dy},${z + dz}`);
+          if (!other) continue;
+          for (const a of ids) {
+            for (const b of other) if (a !== b) neighbours.get(a).add(b);
+          }
+        }
+      }
+    }
+  }
+  return neighbours;
+}
 
 /**
  * Manages the 3D brain model: all region meshes, explosion,
  * highlighting, color changes, selection cycling, and idle animation.
+ *
+ * Any entry of the region hierarchy can be selected — a group highlights
+ * every region below it, and a region's named areas appear as surface
+ * patches once it (or one of them) is selected. drillDown()/drillUp() move
+ * the selection between levels.
+ *
+ * Explosion follows a choreography (see explosionModes.js) — directed,
+ * radial, axial splits or a staged peel — and depth stepping pulls the
+ * anatomical layers out one at a time on top of it.
+ *
+ * White-matter tracts (see Tracts.js) are selected like regions, by id: a
+ * selected tract highlights the regions at its ends, and a selected
+ * region reveals its tracts. Conditions (see conditionIndex.js) are
+ * selected the same way and highlight every region and tract involved.
+ *
+ * Activation scenarios (see ScenarioPlayer.js) light regions, areas and
+ * tracts through setActivation(), on top of the selection's look.
+ *
+ * Layers: regions can be hidden one by one or a whole type at a time
+ * (lobes, internal structures, the shell), and isolation hides everything
+ * but the selection and its neighbours. Hidden regions can't be picked and
+ * are skipped when cycling.
  */
 export class BrainModel {
   constructor(scene) {
     this.scene = scene;
     this.group = new THREE.Group();
     this.meshes = new Map();       // regionId -> THREE.Mesh
+    this.areaMeshes = new Map();   // area id -> surface patch, child of its region mesh
     this.regionList = [];           // ordered list of region IDs
     this.selectedIndex = -1;
     this.selectedId = null;
+    this.hoveredId = null;          // region under the pointing cursor
 
     // Explosion state
     this.explosionAmount = 0;       // 0 = collapsed, 1 = fully exploded
     this.targetExplosion = 0;
     this.explosionSpeed = 2.0;      // units per second
+    this.explosionMode = 'directed'; // see EXPLOSION_MODES
+    this._previousMode = null;      // crossfading from, after a switch
+    this._modeBlend = 1;            // 0 = previous mode's layout, 1 = current
+
+    // Depth stepping — the outermost `peelDepth` depth layers pulled out
+    this.peelDepth = 0;
+    this._layerAmounts = DEPTH_LAYERS.map(() => 0);
 
-    // Rotation state
-    this.targetRotationY = 0;
-    this.targetRotationX = 0;
+    // Hemisphere separation — left and right halves pulled apart along the
+    // longitudinal fissure, on top of the explosion
+    this.hemisphereSeparation = 0;  // 0 = together, 1 = fully apart
+    this.targetSeparation = 0;
+
+    // Rotation state — every input path goes through the controller
+    this.orientation = new OrientationController(this.group);
     this.idleRotationSpeed = 0.15;  // radians per second
     this.isIdle = true;
+    this.idleSpin = true;           // paused while a standard view holds
+
+    // Standard view (see standardViews.js), and the slice it turned on
+    this.currentView = null;
+    this._viewSlice = null;
 
     // Pulse state for selected region
     this.pulseTime = 0;
+    this._pulseMeshes = [];
 
     // Outer brain shell
     this.shell = null;
     this.shellBaseOpacity = 0.18;
 
+    // Tracts shown — see PATHWAY_MODES
+    this.pathwayMode = 'selection';
+
+    // Scenario activation (0..1) by region, area or tract id
+    this.activation = new Map();
+
+    // Layer visibility
+    this.hiddenRegions = new Set(); // region mesh ids hidden one by one
+    this.typeVisible = Object.fromEntries(LAYER_TYPES.map((type) => [type, true]));
+    this.isolated = false;          // only the selection and its neighbours
+    this._isolatedIds = null;       // what isolation shows, while it applies
+    this._neighbours = null;        // built on first isolation
+
+    // --- Callbacks ---
+    this.onSelect = null;  // (regionId | null) => void, from highlightRegion
+    this.onReset = null;   // () => void
+    this.onExplosionModeChange = null; // (modeId) => void
+    this.onPathwayModeChange = null;   // (mode) => void
+    this.onVisibilityChange = null; // () => void, after layer or selection changes
+
     this._buildRegions();
     this._buildShell();
+    this.tracts = new Tracts(this.group, this.meshes, this.areaMeshes);
+    // Cross-section clipping planes (see SlicePlanes.js)
+    this.slices = new SlicePlanes(this.group, this.meshes, [
+      this.shell, ...this.areaMeshes.values(), ...this.tracts.getClippable()
+    ]);
     scene.add(this.group);
   }
 
   _buildRegions() {
-    for (const regionData of BRAIN_REGIONS) {
+    for (const regionData of BRAIN_REGIONS.filter(hasMesh)) {
       const mesh = createRegionMesh(regionData);
+      mesh.userData.depthLayer = getDepthLayer(regionData);
+      if (mesh.userData.depthLayer === -1) throw new Error(`Region ${regionData.id} has no depth layer`);
       this.group.add(mesh);
       this.meshes.set(regionData.id, mesh);
       this.regionList.push(regionData.id);
     }
+
+    for (const areaData of BRAIN_REGIONS.filter((r) => r.type === 'area')) {
+      const parent = this.meshes.get(areaData.parent);
+      if (!parent) throw new Error(`Area ${areaData.id} needs a region mesh parent`);
+      const patch = createAreaPatch(parent, areaData);
+      patch.visible = false;
+      parent.add(patch);
+      this.areaMeshes.set(areaData.id, patch);
+    }
+
+    // Radial explosion spreads from here
+    this._restCentroid = new THREE.Vector3();
+    for (const mesh of this.meshes.values()) this._restCentroid.add(mesh.userData.basePosition);
+    this._restCentroid.divideScalar(this.meshes.size);
   }
 
   _buildShell() {
@@ -53,18 +213,34 @@ export class BrainModel {
   }
 
   /**
-   * Get all region meshes as an array (for raycasting).
+   * Get all region meshes and tract tubes as an array (for raycasting).
    * Excludes the shell so clicks pass through to regions.
    */
   getMeshArray() {
-    return Array.from(this.meshes.values());
+    return [...this.meshes.values(), ...this.tracts.getTubes()];
   }
 
   /**
-   * Get region data by ID.
+   * Get region data by ID (any level of the hierarchy).
    */
   getRegionData(regionId) {
-    return BRAIN_REGIONS.find(r => r.id === regionId) || null;
+    return getRegion(regionId);
+  }
+
+  /**
+   * Get tract data by ID.
+   */
+  getTractData(tractId) {
+    return getTract(tractId);
+  }
+
+  /**
+   * The mesh drawn for an entry — a region mesh, an area patch or a tract
+   * tube; null for groups.
+   */
+  getObject(regionId) {
+    return this.meshes.get(regionId) || this.areaMeshes.get(regionId) ||
+      this.tracts.getObject(regionId);
   }
 
   // ==================== Explosion ====================
@@ -83,106 +259,521 @@ export class BrainModel {
     this.targetExplosion = Math.max(0, Math.min(1, this.targetExplosion + delta));
   }
 
-  _updateExplosion(dt) {
-    // Lerp toward target
-    const diff = this.targetExplosion - this.explosionAmount;
-    if (Math.abs(diff) < 0.001) {
-      this.explosionAmount = this.targetExplosion;
-    } else {
-      // Spring-like easing
-      this.explosionAmount += diff * Math.min(1, this.explosionSpeed * dt * 3);
-    }
+  /**
+   * Pull the hemispheres apart (0-1). Will animate toward this value.
+   */
+  setHemisphereSeparation(amount) {
+    this.targetSeparation = Math.max(0, Math.min(1, amount));
+  }
+
+  /**
+   * Separate the hemispheres, or bring them back together.
+   */
+  toggleHemispheres() {
+    this.setHemisphereSeparation(this.targetSeparation > 0 ? 0 : 1);
+  }
+
+  /**
+   * Switch explosion choreography (see EXPLOSION_MODES). Regions glide from
+   * the old layout to the new one.
+   */
+  setExplosionMode(modeId) {
+    if (!getExplosionMode(modeId)) throw new Error(`Unknown explosion mode: ${modeId}`);
+    if (modeId === this.explosionMode) return;
+    this._previousMode = this.explosionMode;
+    this._modeBlend = 0;
+    this.explosionMode = modeId;
+    if (this.onExplosionModeChange) this.onExplosionModeChange(modeId);
+  }
+
+  /**
+   * Switch to the next explosion mode, wrapping around.
+   */
+  cycleExplosionMode() {
+    const index = EXPLOSION_MODES.findIndex((mode) => mode.id === this.explosionMode);
+    this.setExplosionMode(EXPLOSION_MODES[(index + 1) % EXPLOSION_MODES.length].id);
+    return this.explosionMode;
+  }
 
-    const explodeFactor = this.explosionAmount * 1.8; // max distance multiplier
+  /**
+   * Pull the next depth layer out (see DEPTH_LAYERS), along the current
+   * mode's directions.
+   * @returns {object|null} the layer, or null if all are out
+   */
+  peelLayer() {
+    if (this.peelDepth >= DEPTH_LAYERS.length) return null;
+    this.peelDepth++;
+    return DEPTH_LAYERS[this.peelDepth - 1];
+  }
+
+  /**
+   * Put the last pulled-out depth layer back.
+   * @returns {object|null} the layer, or null if none was out
+   */
+  restoreLayer() {
+    if (this.peelDepth === 0) return null;
+    this.peelDepth--;
+    return DEPTH_LAYERS[this.peelDepth];
+  }
 
-    // Fade the shell as regions explode outward
+  _updateExplosion(dt) {
+    // Lerp toward targets
+    const rate = Math.min(1, this.explosionSpeed * dt * 3);
+    this.explosionAmount = easeToward(this.explosionAmount, this.targetExplosion, rate);
+    this.hemisphereSeparation = easeToward(this.hemisphereSeparation, this.targetSeparation, rate);
+    this._layerAmounts = this._layerAmounts.map((amount, layer) =>
+      easeToward(amount, layer < this.peelDepth ? 1 : 0, rate));
+    this._modeBlend = easeToward(this._modeBlend, 1, rate);
+
+    const separation = this.hemisphereSeparation * 0.6; // each side's sideways shift
+
+    // Fade the shell as regions explode outward, a layer peels or the
+    // halves part
     if (this.shell) {
       // Shell fully visible at explosion=0, fades to 0 by explosion=0.35
-      const shellOpacity = this.shellBaseOpacity * Math.max(0, 1.0 - this.explosionAmount / 0.35);
+      const spread = Math.max(this.explosionAmount, this.hemisphereSeparation, ...this._layerAmounts);
+      const shellOpacity = this.shellBaseOpacity * Math.max(0, 1.0 - spread / 0.35);
       this.shell.material.opacity = shellOpacity;
-      this.shell.visible = shellOpacity > 0.005;
+      this.shell.visible = shellOpacity > 0.005 && this._isShellShown();
     }
 
+    const mode = getExplosionMode(this.explosionMode);
+    const previous = this._modeBlend < 1 ? getExplosionMode(this._previousMode) : null;
+
     for (const [id, mesh] of this.meshes) {
       const data = this.getRegionData(id);
       if (!data) continue;
 
       const base = mesh.userData.basePosition;
-      const dir = data.explodeDir;
-      const dirVec = new THREE.Vector3(dir[0], dir[1], dir[2]).normalize();
-
-      mesh.position.set(
-        base.x + dirVec.x * explodeFactor,
-        base.y + dirVec.y * explodeFactor,
-        base.z + dirVec.z * explodeFactor
-      );
+      this._explosionOffset(mode, data, mesh, _offset);
+      if (previous) {
+        this._explosionOffset(previous, data, mesh, _previousOffset);
+        _offset.lerpVectors(_previousOffset, _offset, this._modeBlend);
+      }
+
+      // Paired regions move with their hemisphere; midline ones stay
+      const side = data.side === 'left' ? -1 : data.side === 'right' ? 1 : 0;
+
+      mesh.position.copy(base).add(_offset);
+      mesh.position.x += side * separation;
     }
   }
 
+  // A region's displacement under a mode: as far out as the explosion (or,
+  // staged, its layer's share of it) or its layer's depth step takes it
+  _explosionOffset(mode, data, mesh, target) {
+    const layer = mesh.userData.depthLayer;
+    const explosion = mode.amount ? mode.amount(layer, this.explosionAmount) : this.explosionAmount;
+    const amount = Math.max(explosion, this._layerAmounts[layer]);
+    return mode.offset(data, mesh.userData.basePosition, this._restCentroid, target).multiplyScalar(amount);
+  }
+
   // ==================== Selection / Highlight ====================
 
   /**
-   * Highlight a specific region by ID. Pass null to deselect.
+   * Highlight a specific region (or tract, or condition) by ID. Pass null
+   * to deselect.
    */
   highlightRegion(regionId) {
     this.selectedId = regionId;
     this.selectedIndex = regionId ? this.regionList.indexOf(regionId) : -1;
 
-    for (const [id, mesh] of this.meshes) {
-      const mat = mesh.material;
-      const data = this.getRegionData(id);
+    for (const id of this.meshes.keys()) {
+      this._applyRegionMaterial(id);
+    }
+    for (const id of this.areaMeshes.keys()) {
+      this._applyAreaMaterial(id);
+    }
+    this._applyTracts();
+    // Isolation follows the selection
+    this._applyVisibility();
 
-      if (regionId === null) {
-        // No selection — restore all
-        mat.opacity = 1.0;
-        mat.emissiveIntensity = 0.3;
-        mat.emissive.set(data.color);
-        mat.emissive.multiplyScalar(0.05);
-      } else if (id === regionId) {
-        // Selected region
-        mat.opacity = 1.0;
-        mat.emissiveIntensity = 0.8;
-        mat.emissive.set(data.color);
-        mat.emissive.multiplyScalar(0.3);
-      } else {
-        // Dimmed region
-        mat.opacity = 0.35;
-        mat.emissiveIntensity = 0.1;
-        mat.emissive.set(data.color);
-        mat.emissive.multiplyScalar(0.02);
-      }
+    // A group pulses every region below it, a tract the ones at its ends
+    this._pulseMeshes = this._focusIds().flatMap((id) => {
+      const object = this.getObject(id);
+      return object ? [object] : getDescendants(id).map((r) => this.meshes.get(r.id)).filter(Boolean);
+    });
+
+    if (this.onSelect) this.onSelect(this.selectedId);
+  }
+
+  /**
+   * Whether a region belongs to the current selection: the selected entry,
+   * anything below it, or the region a selected area lies on — for a
+   * selected tract or condition, the same for each region it stands for.
+   */
+  isFocused(regionId) {
+    return this._focusIds().some((id) =>
+      isWithin(regionId, id) || this._isAreaOn(id, regionId));
+  }
+
+  // Entries the selection stands for: a tract's endpoints, a condition's
+  // regions (its groups only when it names nothing finer — "Stroke" lists
+  // the whole cerebrum), or itself
+  _focusIds() {
+    if (!this.selectedId) return [];
+    const tract = getTract(this.selectedId);
+    if (tract) return getTractEndpoints(tract);
+    if (getCondition(this.selectedId)) {
+      const ids = getConditionEntries(this.selectedId).map((e) => e.id).filter((id) => !getTract(id));
+      const finer = ids.filter((id) => getRegion(id).type !== 'group');
+      return finer.length > 0 ? finer : ids;
+    }
+    return [this.selectedId];
+  }
+
+  // Tracts the selection stands for: itself, or a condition's
+  _selectedTracts() {
+    if (getTract(this.selectedId)) return [this.selectedId];
+    if (getCondition(this.selectedId)) {
+      return getConditionEntries(this.selectedId).map((e) => e.id).filter((id) => getTract(id));
+    }
+    return [];
+  }
+
+  // Whether entry `id` is an area on region `regionId`
+  _isAreaOn(id, regionId) {
+    const region = getRegion(id);
+    return region.type === 'area' && region.parent === regionId;
+  }
+
+  /**
+   * Hover-highlight a region (e.g. under the pointing cursor) without
+   * changing the selection. Pass null to clear.
+   */
+  hoverRegion(regionId) {
+    if (regionId === this.hoveredId) return;
+    const previous = this.hoveredId;
+    this.hoveredId = regionId;
+    if (previous) this._applyMaterial(previous);
+    if (regionId) this._applyMaterial(regionId);
+  }
+
+  _applyMaterial(id) {
+    if (this.meshes.has(id)) this._applyRegionMaterial(id);
+    else if (this.areaMeshes.has(id)) this._applyAreaMaterial(id);
+    else if (this.tracts.has(id)) this._applyTracts();
+  }
+
+  _applyRegionMaterial(id) {
+    const mat = this.meshes.get(id).material;
+    const data = this.getRegionData(id);
+
+    const focus = this._focusIds();
+
+    if (!this.selectedId || focus.some((f) => this._isAreaOn(f, id))) {
+      // No selection, or the region under a selected area — restore
+      mat.opacity = 1.0;
+      mat.emissiveIntensity = 0.3;
+      mat.emissive.set(data.color);
+      mat.emissive.multiplyScalar(0.05);
+    } else if (focus.some((f) => isWithin(id, f))) {
+      // Selected region
+      mat.opacity = 1.0;
+      mat.emissiveIntensity = 0.8;
+      mat.emissive.set(data.color);
+      mat.emissive.multiplyScalar(0.3);
+    } else {
+      // Dimmed region
+      mat.opacity = 0.35;
+      mat.emissiveIntensity = 0.1;
+      mat.emissive.set(data.color);
+      mat.emissive.multiplyScalar(0.02);
+    }
+
+    // Hovered (and not selected) — brighten on top of the above
+    if (id === this.hoveredId && !this.isFocused(id)) {
+      mat.opacity = Math.max(mat.opacity, 0.75);
+      mat.emissiveIntensity = 0.6;
+      mat.emissive.set(data.color);
+      mat.emissive.multiplyScalar(0.2);
+    }
+
+    this._applyActivation(mat, data.color, this.activation.get(id));
+  }
+
+  // Scenario activation — glow on top of whatever the look is
+  _applyActivation(mat, color, level) {
+    if (!level) return;
+    mat.opacity += (1 - mat.opacity) * level;
+    mat.emissive.set(color).lerp(ACTIVATION_COLOR, 0.6).multiplyScalar(0.05 + level * 0.55);
+    mat.emissiveIntensity = Math.max(mat.emissiveIntensity, 0.3 + level * 1.2);
+  }
+
+  _applyAreaMaterial(id) {
+    const mesh = this.areaMeshes.get(id);
+    const mat = mesh.material;
+    const data = this.getRegionData(id);
+
+    // Patches show while their region, or one of its areas, is selected
+    // (or is an endpoint of the selected tract), and while active
+    const focus = this._focusIds();
+    const level = this.activation.get(id);
+    mesh.visible = Boolean(level) || focus.some((f) => f === data.parent || this._isAreaOn(f, data.parent));
+    if (!mesh.visible) return;
+
+    mat.opacity = 1.0;
+    mat.emissive.set(data.color);
+    if (focus.includes(id)) {
+      mat.emissiveIntensity = 0.8;
+      mat.emissive.multiplyScalar(0.3);
+    } else if (id === this.hoveredId) {
+      mat.emissiveIntensity = 0.6;
+      mat.emissive.multiplyScalar(0.2);
+    } else {
+      mat.emissiveIntensity = 0.3;
+      mat.emissive.multiplyScalar(0.05);
+    }
+    this._applyActivation(mat, data.color, level);
+  }
+
+  // Which tracts show, and how: the selected one stands out against the
+  // rest, hovered ones brighten, active ones glow
+  _applyTracts() {
+    const selectedTracts = this._selectedTracts();
+    const connected = this.pathwayMode === 'selection' && this.selectedId
+      ? getTractsOf(this.selectedId).map((tract) => tract.id)
+      : [];
+
+    for (const { id } of TRACTS) {
+      const selected = selectedTracts.includes(id);
+      const shown = selected || this.pathwayMode === 'all' || connected.includes(id);
+      const level = this.activation.get(id) || 0;
+      this.tracts.setShown(id, shown || level > 0);
+
+      let look = 'normal';
+      if (!shown) look = 'latent';
+      else if (selected) look = 'selected';
+      else if (id === this.hoveredId) look = 'hovered';
+      else if (selectedTracts.length > 0) look = 'dimmed';
+      this.tracts.setLook(id, look, level);
+    }
+  }
+
+  /**
+   * Light regions, areas and tracts by activation level (0..1), e.g. from
+   * ScenarioPlayer.levels(). Pass null to clear.
+   * @param {Map<string, number>|null} levels
+   */
+  setActivation(levels) {
+    this.activation = levels || new Map();
+    for (const id of this.meshes.keys()) {
+      this._applyRegionMaterial(id);
+    }
+    for (const id of this.areaMeshes.keys()) {
+      this._applyAreaMaterial(id);
     }
+    this._applyTracts();
   }
 
   /**
-   * Cycle to the next region.
+   * Choose which tracts show (see PATHWAY_MODES). A selected tract always
+   * does.
+   */
+  setPathwayMode(mode) {
+    if (!PATHWAY_MODES.includes(mode)) throw new Error(`Unknown pathway mode: ${mode}`);
+    this.pathwayMode = mode;
+    this._applyTracts();
+    if (this.onPathwayModeChange) this.onPathwayModeChange(mode);
+  }
+
+  /**
+   * Switch to the next pathway mode, wrapping around.
+   */
+  cyclePathwayMode() {
+    const index = PATHWAY_MODES.indexOf(this.pathwayMode);
+    this.setPathwayMode(PATHWAY_MODES[(index + 1) % PATHWAY_MODES.length]);
+    return this.pathwayMode;
+  }
+
+  /**
+   * Cycle to the next region at the selection's level.
    */
   selectNext() {
-    if (this.regionList.length === 0) return;
-    this.selectedIndex = (this.selectedIndex + 1) % this.regionList.length;
-    this.highlightRegion(this.regionList[this.selectedIndex]);
-    return this.selectedId;
+    return this._cycle(1);
   }
 
   /**
-   * Cycle to the previous region.
+   * Cycle to the previous region at the selection's level.
    */
   selectPrevious() {
-    if (this.regionList.length === 0) return;
-    this.selectedIndex =
-      (this.selectedIndex - 1 + this.regionList.length) % this.regionList.length;
-    this.highlightRegion(this.regionList[this.selectedIndex]);
+    return this._cycle(-1);
+  }
+
+  /**
+   * Select the first child of the selection — from no selection, the first
+   * top-level entry. Returns the selection, unchanged at a leaf.
+   */
+  drillDown() {
+    const children = getChildren(this.selectedId);
+    if (children.length > 0) this.highlightRegion(children[0].id);
+    return this.selectedId;
+  }
+
+  /**
+   * Select the parent of the selection — above the top level, nothing.
+   */
+  drillUp() {
+    if (this.selectedId === null) return null;
+    const parent = getParent(this.selectedId);
+    this.highlightRegion(parent ? parent.id : null);
     return this.selectedId;
   }
 
+  _cycle(step) {
+    const peers = this._peers();
+    if (peers.length === 0) return this.selectedId;
+    const index = peers.indexOf(this.selectedId);
+    const next = index === -1
+      ? (step > 0 ? 0 : peers.length - 1)
+      : (index + step + peers.length) % peers.length;
+    this.highlightRegion(peers[next]);
+    return this.selectedId;
+  }
+
+  // Areas cycle among their siblings, groups among groups, tracts and
+  // conditions among their own kind, and everything else through the
+  // region meshes
+  _peers() {
+    if (getTract(this.selectedId)) return TRACTS.map((tract) => tract.id);
+    if (getCondition(this.selectedId)) return CONDITIONS.map((condition) => condition.id);
+    const selected = this.selectedId && getRegion(this.selectedId);
+    if (selected && selected.type === 'area') {
+      return getChildren(selected.parent).filter((r) => r.type === 'area').map((r) => r.id);
+    }
+    if (selected && selected.type === 'group') return GROUP_IDS;
+    return this.regionList.filter((id) => this._passesFilters(id));
+  }
+
   /**
-   * Reset selection and explosion.
+   * Reset selection, explosion and depth steps (not the explosion mode),
+   * orientation, slices, layers (and, via onReset, the camera).
    */
   reset() {
     this.highlightRegion(null);
+    this.showAll();
     this.targetExplosion = 0;
-    this.targetRotationX = 0;
-    this.targetRotationY = 0;
+    this.peelDepth = 0;
+    this.targetSeparation = 0;
+    this.orientation.setTarget(new THREE.Quaternion());
+    this.currentView = null;
+    this.idleSpin = true;
+    this._viewSlice = null;
+    this.slices.clear();
+    if (this.onReset) this.onReset();
+  }
+
+  // ==================== Layers ====================
+
+  /**
+   * Show or hide an entry's region meshes — a region, every region below a
+   * group, or the region an area lies on.
+   */
+  setRegionVisible(regionId, visible) {
+    for (const id of this._layerMeshIds(regionId)) {
+      if (visible) this.hiddenRegions.delete(id);
+      else this.hiddenRegions.add(id);
+    }
+    this._applyVisibility();
+  }
+
+  /**
+   * Hide an entry's regions, or show them again if they're all hidden.
+   */
+  toggleRegionVisible(regionId) {
+    this.setRegionVisible(regionId, this.isRegionHidden(regionId));
+  }
+
+  /**
+   * Whether every region of an entry has been hidden by hand.
+   */
+  isRegionHidden(regionId) {
+    return this._layerMeshIds(regionId).every((id) => this.hiddenRegions.has(id));
+  }
+
+  /**
+   * Whether any region of an entry is drawn right now, after hiding, type
+   * filters and isolation.
+   */
+  isRegionShown(regionId) {
+    return this._layerMeshIds(regionId).some((id) => this.meshes.get(id).visible);
+  }
+
+  /**
+   * Show or hide a whole layer type.
+   * @param {'lobe'|'internal'|'shell'} type
+   */
+  setTypeVisible(type, visible) {
+    if (!LAYER_TYPES.includes(type)) throw new Error(`Unknown layer type: ${type}`);
+    this.typeVisible[type] = visible;
+    this._applyVisibility();
+  }
+
+  toggleTypeVisible(type) {
+    this.setTypeVisible(type, !this.typeVisible[type]);
+  }
+
+  /**
+   * Isolate the selection: hide everything but the selected regions and the
+   * regions touching them (and the shell). Follows the selection; with
+   * nothing selected, everything stays.
+   */
+  setIsolated(on) {
+    this.isolated = on;
+    this._applyVisibility();
+  }
+
+  toggleIsolated() {
+    this.setIsolated(!this.isolated);
+  }
+
+  /**
+   * Undo all hiding, type filters and isolation.
+   */
+  showAll() {
+    this.hiddenRegions.clear();
+    for (const type of LAYER_TYPES) this.typeVisible[type] = true;
+    this.isolated = false;
+    this._applyVisibility();
+  }
+
+  // Region mesh ids an entry stands for
+  _layerMeshIds(regionId) {
+    const region = getRegion(regionId);
+    if (!region) throw new Error(`Unknown region: ${regionId}`);
+    if (region.type === 'group') {
+      return getDescendants(regionId).filter(hasMesh).map((r) => r.id);
+    }
+    return [getMeshRegion(regionId).id];
+  }
+
+  // Visible by hand and by type, whatever isolation says (for cycling)
+  _passesFilters(id) {
+    return !this.hiddenRegions.has(id) && this.typeVisible[getRegion(id).type];
+  }
+
+  _isShellShown() {
+    return this.typeVisible.shell && !this._isolatedIds;
+  }
+
+  _applyVisibility() {
+    this._isolatedIds = null;
+    if (this.isolated && this.selectedId) {
+      if (!this._neighbours) this._neighbours = findNeighbours(this.meshes);
+      this._isolatedIds = new Set();
+      for (const id of this.meshes.keys()) {
+        if (!this.isFocused(id)) continue;
+        this._isolatedIds.add(id);
+        for (const neighbour of this._neighbours.get(id)) this._isolatedIds.add(neighbour);
+      }
+    }
+
+    for (const [id, mesh] of this.meshes) {
+      mesh.visible = this._passesFilters(id) && (!this._isolatedIds || this._isolatedIds.has(id));
+    }
+    if (!this._isShellShown()) this.shell.visible = false;
+
+    if (this.onVisibilityChange) this.onVisibilityChange();
   }
 
   // ==================== Color Changes ====================
@@ -209,11 +800,35 @@ export class BrainModel {
   // ==================== Rotation ====================
 
   /**
-   * Set target rotation (for hand-controlled rotation).
+   * Set target rotation from Euler angles (radians).
    */
-  setRotation(rx, ry) {
-    this.targetRotationX = rx;
-    this.targetRotationY = ry;
+  setRotation(rx, ry, rz = 0) {
+    this.orientation.setTarget(new THREE.Quaternion().setFromEuler(new THREE.Euler(rx, ry, rz)));
+    this.isIdle = false;
+  }
+
+  /**
+   * Animate to a standard anatomical view. Idle spin stays paused until
+   * reset, so the view holds while the lecturer talks.
+   * @param {string} viewId  see STANDARD_VIEWS
+   * @param {THREE.Quaternion} [frame]  camera orientation — views face the camera
+   */
+  showView(viewId, frame) {
+    const view = getStandardView(viewId);
+    if (!view) throw new Error(`Unknown view: ${viewId}`);
+    const target = frame ? frame.clone().multiply(view.quaternion) : view.quaternion.clone();
+    this.orientation.setTarget(target);
+
+    // A view's own slice (mid-sagittal) goes away with the view
+    if (view.slice) {
+      this.slices.show(view.slice.plane, view.slice);
+      this._viewSlice = view.slice.plane;
+    } else if (this._viewSlice) {
+      this.slices.setEnabled(this._viewSlice, false);
+      this._viewSlice = null;
+    }
+    this.currentView = viewId;
+    this.idleSpin = false;
     this.isIdle = false;
   }
 
@@ -233,23 +848,23 @@ export class BrainModel {
     // Explosion animation
     this._updateExplosion(dt);
 
-    // Rotation
-    if (this.isIdle) {
-      this.group.rotation.y += this.idleRotationSpeed * dt;
-    } else {
-      // Gentle lerp — GestureControls already drives rotation directly,
-      // so this just smooths any residual difference without fighting it.
-      const lerpSpeed = Math.min(1, 3 * dt);
-      this.group.rotation.y += (this.targetRotationY - this.group.rotation.y) * lerpSpeed;
-      this.group.rotation.x += (this.targetRotationX - this.group.rotation.x) * lerpSpeed;
+    // Rotation — idle spins about the vertical (turntable)
+    if (this.isIdle && this.idleSpin) {
+      this.orientation.rotate(AXIS_Y, this.idleRotationSpeed * dt);
     }
+    this.orientation.update(dt);
+
+    // Tubes follow the regions they join
+    this.tracts.update(elapsedTime);
+
+    // Clipping planes are in world space — follow the group
+    this.slices.update();
 
     // Pulse selected region
     if (this.selectedId) {
       this.pulseTime += dt;
-      const mesh = this.meshes.get(this.selectedId);
-      if (mesh) {
-        const pulse = 0.6 + Math.sin(this.pulseTime * 3) * 0.4;
+      const pulse = 0.6 + Math.sin(this.pulseTime * 3) * 0.4;
+      for (const mesh of this._pulseMeshes) {
         mesh.material.emissiveIntensity = pulse;
       }
     }
@@ -0,0 +1,144 @@
+import { SCENARIOS } from './scenarioData.js';
+import { getRegion } from './regionHierarchy.js';
+import { getTract } from './Tracts.js';
+
+/**
+ * Plays an activation scenario (see scenarioData.js): a clock over its
+ * timeline, and the activation levels and caption at the current time.
+ * The clock is advanced from the render loop with update(dt); feed
+ * levels() to BrainModel.setActivation() each frame.
+ */
+
+for (const scenario of SCENARIOS) {
+  for (const id of Object.keys(scenario.tracks)) {
+    const region = getRegion(id);
+    if (!getTract(id) && (!region || region.type === 'group')) {
+      throw new Error(`Unknown scenario track: ${id} (in ${scenario.id})`);
+    }
+  }
+}
+
+export function getScenario(id) {
+  return SCENARIOS.find((scenario) => scenario.id === id) || null;
+}
+
+// Level of one track at `time`, linear between keyframes and held beyond
+function levelAt(keyframes, time) {
+  if (time <= keyframes[0][0]) return keyframes[0][1];
+  for (let i = 1; i < keyframes.length; i++) {
+    const [t1, level1] = keyframes[i];
+    if (time <= t1) {
+      const [t0, level0] = keyframes[i - 1];
+      return t1 > t0 ? level0 + (level1 - level0) * (time - t0) / (t1 - t0) : level1;
+    }
+  }
+  return keyframes[keyframes.length - 1][1];
+}
+
+export class ScenarioPlayer {
+  constructor() {
+    this.scenario = null;
+    this.time = 0;
+    this.isPlaying = false;
+    this.loop = false;
+
+    // Callbacks
+    this.onStateChange = null; // (player) => void — load, unload, play, pause, end
+  }
+
+  get duration() {
+    return this.scenario ? this.scenario.duration : 0;
+  }
+
+  /**
+   * Load a scenario by id, paused at its start.
+   */
+  load(id) {
+    const scenario = getScenario(id);
+    if (!scenario) throw new Error(`Unknown scenario: ${id}`);
+    this.scenario = scenario;
+    this.time = 0;
+    this.isPlaying = false;
+    this._notify();
+  }
+
+  unload() {
+    if (!this.scenario) return;
+    this.scenario = null;
+    this.time = 0;
+    this.isPlaying = false;
+    this._notify();
+  }
+
+  play() {
+    if (!this.scenario || this.isPlaying) return;
+    if (this.time >= this.duration) this.time = 0;
+    this.isPlaying = true;
+    this._notify();
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    this._notify();
+  }
+
+  togglePause() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Jump to a time in seconds, clamped to the timeline.
+   */
+  seek(time) {
+    this.time = Math.min(Math.max(time, 0), this.duration);
+  }
+
+  /**
+   * Advance the clock. Call once per frame.
+   */
+  update(dt) {
+    if (!this.isPlaying) return;
+    this.time += dt;
+    if (this.time < this.duration) return;
+
+    if (this.loop) {
+      this.time %= this.duration;
+    } else {
+      this.time = this.duration;
+      this.isPlaying = false;
+      this._notify();
+    }
+  }
+
+  /**
+   * Activation levels (0..1) at the current time, by region, area or tract
+   * id — only those above zero.
+   */
+  levels() {
+    const levels = new Map();
+    if (!this.scenario) return levels;
+    for (const [id, keyframes] of Object.entries(this.scenario.tracks)) {
+      const level = levelAt(keyframes, this.time);
+      if (level > 0) levels.set(id, level);
+    }
+    return levels;
+  }
+
+  /**
+   * The caption showing at the current time ('' before the first).
+   */
+  caption() {
+    if (!this.scenario) return '';
+    let text = '';
+    for (const caption of this.scenario.captions) {
+      if (caption.time <= this.time) text = caption.text;
+    }
+    return text;
+  }
+
+  _notify() {
+    if (this.onStateChange) this.onStateChange(this);
+  }
+}
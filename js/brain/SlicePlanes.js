@@ -0,0 +1,321 @@
+import * as THREE from 'three';
+
+/**
+ * Cross-section slicing: movable sagittal, coronal and axial clipping
+ * planes applied to every region material and the shell, with solid caps so
+ * cut regions read as filled sections instead of hollow shells.
+ *
+ * Planes live in the brain group's space, so a slice stays anatomical as
+ * the brain turns; update() copies them to world space for the renderer
+ * every frame. Each plane moves along its axis and keeps one side of the
+ * brain (`keep` = +1 / −1 along the axis; flip() swaps it).
+ *
+ * Caps use the stencil technique: for every region and plane the region's
+ * back faces increment and its front faces decrement the stencil, leaving
+ * it non-zero exactly where the plane passes through the solid, and a cap
+ * quad in the region's colour fills those pixels. This needs a renderer
+ * created with `stencil: true`. The shell is clipped but left open — it is
+ * a translucent envelope, not a solid — and so are area patches, which lie
+ * on their region's surface.
+ */
+
+// Model axes follow regionData.js: anterior +z, superior +y, left −x.
+// `sides` names the [negative, positive] ends of the axis for readouts.
+// Default kept sides suit the default (anterior) view: the sagittal cut
+// shows the right hemisphere's medial surface, the coronal cut removes the
+// front, the axial cut removes the top.
+export const SLICE_PLANES = [
+  { id: 'sagittal', label: 'Sagittal', axis: [1, 0, 0], keep: 1, sides: ['L', 'R'] },
+  { id: 'coronal', label: 'Coronal', axis: [0, 0, 1], keep: -1, sides: ['P', 'A'] },
+  { id: 'axial', label: 'Axial', axis: [0, 1, 0], keep: -1, sides: ['I', 'S'] }
+];
+
+const CAP_SIZE = 4; // cap quad side, larger than any region
+
+const _normal = new THREE.Vector3();
+const _viewInverse = new THREE.Quaternion();
+const _inverse = new THREE.Matrix4();
+const _local = new THREE.Plane();
+const _forward = new THREE.Vector3(0, 0, 1);
+
+export class SlicePlanes {
+  /**
+   * @param {THREE.Group} group  brain group; planes are in its space
+   * @param {Map<string, THREE.Mesh>} meshes  region meshes to clip and cap
+   * @param {THREE.Mesh[]} [uncapped]  clipped, not capped (shell, area patches)
+   */
+  constructor(group, meshes, uncapped = []) {
+    this.group = group;
+    this.meshes = meshes;
+    this.uncapped = uncapped;
+
+    this.active = null; // id of the plane that move() and flip() act on
+    this.onChange = null; // () => void, after any change
+
+    // Extent of the collapsed brain along each axis bounds the positions
+    group.updateMatrixWorld(true);
+    const bounds = new THREE.Box3().setFromObject(group);
+
+    this.planes = new Map(); // id -> plane state
+    SLICE_PLANES.forEach((def, index) => {
+      const axis = new THREE.Vector3(...def.axis);
+      this.planes.set(def.id, {
+        def,
+        index,
+        axis,
+        enabled: false,
+        position: 0,
+        keep: def.keep,
+        min: bounds.min.dot(axis),
+        max: bounds.max.dot(axis),
+        local: new THREE.Plane(),
+        world: new THREE.Plane(),
+        caps: []
+      });
+    });
+
+    this._buildCaps();
+    for (const plane of this.planes.values()) this._updateLocal(plane);
+    this._applyClipping();
+  }
+
+  // ==================== State ====================
+
+  get enabled() {
+    return [...this.planes.values()].filter((plane) => plane.enabled);
+  }
+
+  get(id) {
+    const plane = this.planes.get(id);
+    if (!plane) throw new Error(`Unknown slice plane: ${id}`);
+    return plane;
+  }
+
+  /**
+   * Turn a plane on (it becomes the active one) or off.
+   */
+  setEnabled(id, on) {
+    const plane = this.get(id);
+    if (plane.enabled !== on) {
+      plane.enabled = on;
+      this._applyClipping();
+    }
+    if (on) {
+      this.active = id;
+    } else if (this.active === id) {
+      const next = this.enabled[0];
+      this.active = next ? next.def.id : null;
+    }
+    this._changed();
+  }
+
+  /**
+   * UI toggle: off → on and active; on but not active → active; active → off.
+   */
+  toggle(id) {
+    const plane = this.get(id);
+    if (plane.enabled && this.active !== id) {
+      this.active = id;
+      this._changed();
+    } else {
+      this.setEnabled(id, !plane.enabled);
+    }
+  }
+
+  /**
+   * Snap a plane to a preset position (model units along its axis) and
+   * enable it.
+   * @param {string} id
+   * @param {{ position?: number, keep?: number }} [opts]
+   */
+  show(id, { position = 0, keep } = {}) {
+    const plane = this.get(id);
+    plane.position = THREE.MathUtils.clamp(position, plane.min, plane.max);
+    plane.keep = keep || plane.def.keep;
+    this._updateLocal(plane);
+    this.setEnabled(id, true);
+  }
+
+  /**
+   * Move a plane along its axis.
+   * @param {number} delta  model units
+   * @param {string} [id]   defaults to the active plane
+   */
+  move(delta, id = this.active) {
+    if (!id || !delta) return;
+    const plane = this.get(id);
+    const position = THREE.MathUtils.clamp(plane.position + delta, plane.min, plane.max);
+    if (position === plane.position) return;
+    plane.position = position;
+    this._updateLocal(plane);
+    this._changed();
+  }
+
+  /**
+   * Move the active plane by a drag in view space (x right, y up, z toward
+   * the camera, model units): the plane follows the drag's component along
+   * its normal as seen on screen. A plane facing the camera moves with z,
+   * or away from the viewer as the drag goes up.
+   * @param {THREE.Quaternion} cameraQuaternion
+   */
+  moveInView(dx, dy, dz, cameraQuaternion) {
+    if (!this.active) return;
+    const plane = this.get(this.active);
+
+    // Axis direction in view space
+    _normal.copy(plane.axis).transformDirection(this.group.matrixWorld)
+      .applyQuaternion(_viewInverse.copy(cameraQuaternion).invert());
+    const screen = Math.hypot(_normal.x, _normal.y);
+    let along = dz * _normal.z;
+    if (screen > 0.35) along += (dx * _normal.x + dy * _normal.y) / screen;
+    else along -= dy * Math.sign(_normal.z || 1);
+    this.move(along);
+  }
+
+  /**
+   * Keep the other side of a plane.
+   */
+  flip(id = this.active) {
+    if (!id) return;
+    const plane = this.get(id);
+    plane.keep = -plane.keep;
+    this._updateLocal(plane);
+    this._changed();
+  }
+
+  /**
+   * Remove every slice.
+   */
+  clear() {
+    for (const plane of this.planes.values()) plane.enabled = false;
+    this.active = null;
+    this._applyClipping();
+    this._changed();
+  }
+
+  /**
+   * Readable position of a plane, e.g. "0.24 A" or "midline".
+   */
+  describe(id) {
+    const { position, def } = this.get(id);
+    if (Math.abs(position) < 0.005) return def.id === 'sagittal' ? 'midline' : 'centre';
+    return `${Math.abs(position).toFixed(2)} ${def.sides[position > 0 ? 1 : 0]}`;
+  }
+
+  // ==================== Per frame ====================
+
+  /**
+   * Follow the group (and exploding regions) with world planes and caps.
+   * Call after the group's transform is updated.
+   */
+  update() {
+    const enabled = this.enabled;
+    if (enabled.length === 0) return;
+    this.group.updateMatrixWorld();
+
+    for (const plane of enabled) {
+      plane.world.copy(plane.local).applyMatrix4(this.group.matrixWorld);
+
+      for (const { mesh, cap } of plane.caps) {
+        // Plane in the region's own space; the cap sits on it, centred
+        // on the point closest to the region
+        _local.copy(plane.local).applyMatrix4(_inverse.copy(mesh.matrix).invert());
+        _local.coplanarPoint(cap.position);
+        cap.quaternion.setFromUnitVectors(_forward, _normal.copy(_local.normal).negate());
+
+        // Section follows the region's look: highlight, dimming, pulse
+        const source = mesh.material;
+        cap.material.color.copy(source.color).multiplyScalar(0.35 + 0.65 * source.opacity);
+        cap.material.emissive.copy(source.emissive);
+        cap.material.emissiveIntensity = source.emissiveIntensity;
+      }
+    }
+  }
+
+  // ==================== Internals ====================
+
+  _buildCaps() {
+    const capGeometry = new THREE.PlaneGeometry(CAP_SIZE, CAP_SIZE);
+    let regionIndex = 0;
+
+    for (const [regionId, mesh] of this.meshes) {
+      for (const plane of this.planes.values()) {
+        // Each (region, plane) pair renders its stencil passes, then its
+        // cap, before the next pair — caps clear the stencil after them
+        const order = 1 + regionIndex * this.planes.size + plane.index;
+
+        const back = this._stencilMesh(mesh.geometry, plane, THREE.BackSide, THREE.IncrementWrapStencilOp);
+        const front = this._stencilMesh(mesh.geometry, plane, THREE.FrontSide, THREE.DecrementWrapStencilOp);
+        back.renderOrder = front.renderOrder = order;
+
+        const cap = new THREE.Mesh(capGeometry, new THREE.MeshStandardMaterial({
+          roughness: 0.85,
+          metalness: 0,
+          side: THREE.DoubleSide,
+          stencilWrite: true,
+          stencilRef: 0,
+          stencilFunc: THREE.NotEqualStencilFunc,
+          stencilFail: THREE.ReplaceStencilOp,
+          stencilZFail: THREE.ReplaceStencilOp,
+          stencilZPass: THREE.ReplaceStencilOp
+        }));
+        cap.renderOrder = order + 0.5;
+        cap.onAfterRender = (renderer) => renderer.clearStencil();
+        cap.raycast = () => {};
+        cap.userData.regionId = regionId;
+
+        for (const part of [back, front, cap]) {
+          part.visible = false;
+          mesh.add(part);
+        }
+        plane.caps.push({ mesh, cap, parts: [back, front, cap] });
+      }
+      regionIndex++;
+    }
+  }
+
+  _stencilMesh(geometry, plane, side, op) {
+    const material = new THREE.MeshBasicMaterial({
+      side,
+      depthWrite: false,
+      depthTest: false,
+      colorWrite: false,
+      stencilWrite: true,
+      stencilFunc: THREE.AlwaysStencilFunc,
+      stencilFail: op,
+      stencilZFail: op,
+      stencilZPass: op,
+      clippingPlanes: [plane.world]
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.raycast = () => {};
+    return mesh;
+  }
+
+  // Plane equation in group space from axis, position and kept side
+  _updateLocal(plane) {
+    _normal.copy(plane.axis).multiplyScalar(plane.keep);
+    plane.local.set(_normal, -plane.keep * plane.position);
+  }
+
+  // Clip regions, shell and patches by every enabled plane; caps by the others
+  _applyClipping() {
+    const enabled = this.enabled;
+    const worldPlanes = enabled.map((plane) => plane.world);
+
+    for (const mesh of this.meshes.values()) mesh.material.clippingPlanes = worldPlanes;
+    for (const mesh of this.uncapped) mesh.material.clippingPlanes = worldPlanes;
+
+    for (const plane of this.planes.values()) {
+      const others = worldPlanes.filter((world) => world !== plane.world);
+      for (const { cap, parts } of plane.caps) {
+        cap.material.clippingPlanes = others;
+        for (const part of parts) part.visible = plane.enabled;
+      }
+    }
+  }
+
+  _changed() {
+    if (this.onChange) this.onChange();
+  }
+}
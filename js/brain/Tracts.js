@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import { TRACTS } from './tractData.js';
+import { getRegion, isWithin } from './regionHierarchy.js';
+
+/**
+ * White-matter tracts (see tractData.js) drawn as tubes through their
+ * stops, with pulses of light travelling along them.
+ *
+ * Each stop is a fixed point in its region's local space, so a tube is
+ * rebuilt from the regions' current transforms whenever they move (explode,
+ * part, peel). Tubes start hidden; BrainModel decides which are shown and
+ * how they look. A tube's `userData.regionId` is its tract id: tracts are
+ * picked and selected like regions.
+ */
+
+const TUBE_RADIUS = 0.014;
+const TUBE_SEGMENTS = 64;
+const RADIAL_SEGMENTS = 8;
+const PULSE_COUNT = 3;     // per tract, evenly spaced
+const PULSE_SPEED = 0.25;  // tract lengths per second
+
+// Tube and pulse opacity for each look; 'latent' tubes are only shown
+// while a scenario activates them, and fade in with it
+const LOOKS = {
+  normal: { tube: 0.55, pulse: 0.9 },
+  hovered: { tube: 0.8, pulse: 1 },
+  selected: { tube: 0.9, pulse: 1 },
+  dimmed: { tube: 0.2, pulse: 0.3 },
+  latent: { tube: 0, pulse: 0 }
+};
+
+const byId = new Map(TRACTS.map((tract) => [tract.id, tract]));
+
+for (const tract of TRACTS) {
+  for (const stop of tract.stops) {
+    const region = getRegion(stop.region);
+    if (!region || region.type === 'group') {
+      throw new Error(`Unknown tract stop: ${stop.region} (in ${tract.id})`);
+    }
+  }
+}
+
+export function getTract(id) {
+  return byId.get(id) || null;
+}
+
+/**
+ * Regions and areas a tract joins — its stops other than `via` ones.
+ */
+export function getTractEndpoints(tract) {
+  return [...new Set(tract.stops.filter((stop) => !stop.via).map((stop) => stop.region))];
+}
+
+/**
+ * Tracts with an endpoint at or below an entry of the region hierarchy.
+ */
+export function getTractsOf(regionId) {
+  return TRACTS.filter((tract) => getTractEndpoints(tract).some((id) => isWithin(id, regionId)));
+}
+
+const _pulse = new THREE.Object3D();
+
+export class Tracts {
+  /**
+   * @param {THREE.Group} group  brain group; tubes are in its space
+   * @param {Map<string, THREE.Mesh>} meshes  region meshes
+   * @param {Map<string, THREE.Mesh>} areaMeshes  area patches, children of region meshes
+   */
+  constructor(group, meshes, areaMeshes) {
+    this.items = new Map(); // tract id -> { tract, tube, pulses, stops, curve, points }
+    const pulseGeometry = new THREE.SphereGeometry(TUBE_RADIUS * 2, 10, 8);
+
+    for (const tract of TRACTS) {
+      const tube = new THREE.Mesh(
+        new THREE.BufferGeometry(),
+        new THREE.MeshBasicMaterial({
+          color: tract.color,
+          transparent: true,
+          opacity: LOOKS.normal.tube,
+          depthWrite: false
+        })
+      );
+      tube.userData.regionId = tract.id;
+      tube.userData.tractData = tract;
+      tube.visible = false;
+
+      const pulses = new THREE.InstancedMesh(
+        pulseGeometry,
+        new THREE.MeshBasicMaterial({
+          color: new THREE.Color(tract.color).lerp(new THREE.Color(0xffffff), 0.6),
+          transparent: true,
+          opacity: LOOKS.normal.pulse,
+          blending: THREE.AdditiveBlending,
+          depthWrite: false
+        }),
+        PULSE_COUNT
+      );
+      pulses.frustumCulled = false; // instances move; the base sphere is at the origin
+      pulses.raycast = () => {};    // clicks go to the tube
+      tube.add(pulses);
+      group.add(tube);
+
+      // Each stop: the mesh it follows and a fixed point in that mesh's space
+      const stops = tract.stops.map((stop) => {
+        const area = areaMeshes.get(stop.region);
+        const mesh = area ? area.parent : meshes.get(stop.region);
+        const local = new THREE.Vector3();
+        if (area) {
+          if (!area.geometry.boundingSphere) area.geometry.computeBoundingSphere();
+          local.copy(area.geometry.boundingSphere.center);
+        }
+        if (stop.offset) local.add(new THREE.Vector3(...stop.offset));
+        return { mesh, local };
+      });
+
+      this.items.set(tract.id, { tract, tube, pulses, stops, curve: null, points: null });
+    }
+  }
+
+  has(id) {
+    return this.items.has(id);
+  }
+
+  /**
+   * Tube meshes (for raycasting and framing).
+   */
+  getTubes() {
+    return [...this.items.values()].map((item) => item.tube);
+  }
+
+  /**
+   * Tubes and pulse meshes, for clipping by the slice planes.
+   */
+  getClippable() {
+    return [...this.items.values()].flatMap((item) => [item.tube, item.pulses]);
+  }
+
+  getObject(id) {
+    const item = this.items.get(id);
+    return item ? item.tube : null;
+  }
+
+  setShown(id, shown) {
+    const item = this.items.get(id);
+    item.tube.visible = shown;
+    // Built right away, so a newly shown tube can be framed
+    if (shown) this._updateTube(item);
+  }
+
+  /**
+   * @param {string} id
+   * @param {'normal'|'hovered'|'selected'|'dimmed'|'latent'} look
+   * @param {number} [activation]  0..1 — blends the look toward 'selected'
+   */
+  setLook(id, look, activation = 0) {
+    const { tube, pulses } = this.items.get(id);
+    const from = LOOKS[look];
+    const to = LOOKS.selected;
+    tube.material.opacity = from.tube + (to.tube - from.tube) * activation;
+    pulses.material.opacity = from.pulse + (to.pulse - from.pulse) * activation;
+  }
+
+  /**
+   * Follow the regions and move the pulses. Call after region positions
+   * are set for the frame.
+   */
+  update(elapsedTime) {
+    for (const item of this.items.values()) {
+      if (!item.tube.visible) continue;
+      this._updateTube(item);
+
+      for (let i = 0; i < PULSE_COUNT; i++) {
+        const t = (elapsedTime * PULSE_SPEED + i / PULSE_COUNT) % 1;
+        item.curve.getPointAt(t, _pulse.position);
+        _pulse.updateMatrix();
+        item.pulses.setMatrixAt(i, _pulse.matrix);
+      }
+      item.pulses.instanceMatrix.needsUpdate = true;
+    }
+  }
+
+  // Rebuild the tube if any region it passes through has moved
+  _updateTube(item) {
+    const points = item.stops.map(({ mesh, local }) => {
+      mesh.updateMatrix();
+      return local.clone().applyMatrix4(mesh.matrix);
+    });
+    const moved = !item.points || points.some((point, i) => point.distanceToSquared(item.points[i]) > 1e-8);
+    if (!moved) return;
+
+    item.points = points;
+    item.curve = new THREE.CatmullRomCurve3(points, Boolean(item.tract.closed), 'centripetal');
+    item.tube.geometry.dispose();
+    item.tube.geometry = new THREE.TubeGeometry(
+      item.curve, TUBE_SEGMENTS, TUBE_RADIUS, RADIAL_SEGMENTS, Boolean(item.tract.closed)
+    );
+  }
+}
@@ -0,0 +1,701 @@
+/**
+ * Medical conditions as records of their own, reconciled with the
+ * `conditions` strings of regions and tracts (see conditionIndex.js).
+ *
+ * A record's `aliases` are the other spellings used in the data — a
+ * region may add a qualifier ("Alzheimer's Disease (early target)") or
+ * name a form of the condition ("Thalamic Stroke"). Matching ignores case
+ * and punctuation, so those need no alias. `roles` says what each
+ * involved entry has to do with it, keyed by entry id or, for paired
+ * regions and tracts, by `bilateral` base id to cover both sides.
+ */
+
+export const CONDITIONS = [
+  {
+    id: 'adhd',
+    name: 'ADHD',
+    description: 'Attention-deficit/hyperactivity disorder: persistent inattention, impulsivity and restlessness beginning in childhood, linked to slower maturation of frontal control networks.',
+    roles: {
+      frontal_lobe: 'Weaker top-down control of attention and impulses',
+      prefrontal_cortex: 'Reduced activity in planning and working-memory circuits'
+    }
+  },
+  {
+    id: 'als',
+    name: 'ALS',
+    description: 'Amyotrophic lateral sclerosis: progressive degeneration of upper and lower motor neurons, leading to weakness, stiffness and eventually paralysis.',
+    roles: {
+      primary_motor_cortex: 'Loss of the upper motor neurons',
+      corticospinal_tract: 'Its fibres degenerate, giving stiffness and brisk reflexes'
+    }
+  },
+  {
+    id: 'absence_seizures',
+    name: 'Absence Seizures',
+    description: 'Brief lapses of awareness, often many a day, with a characteristic 3-per-second spike-and-wave rhythm on EEG.',
+    roles: {
+      thalamus: 'Thalamocortical loops generate the spike-and-wave rhythm'
+    }
+  },
+  {
+    id: 'agenesis_of_the_corpus_callosum',
+    name: 'Agenesis of the Corpus Callosum',
+    description: 'A birth defect in which the corpus callosum is partly or completely absent.',
+    roles: {
+      corpus_callosum: 'Fails to form during development'
+    }
+  },
+  {
+    id: 'alcohol_related_cerebellar_damage',
+    name: 'Alcohol-related Cerebellar Damage',
+    description: 'Degeneration of the cerebellum after long-term heavy drinking, mainly affecting walking and balance.',
+    roles: {
+      cerebellum: 'The front of the vermis shrinks, leaving an unsteady, wide-based gait'
+    }
+  },
+  {
+    id: 'alexia_and_agraphia',
+    name: 'Alexia & Agraphia',
+    description: 'Acquired loss of the ability to read (alexia) and to write (agraphia) after brain injury.',
+    roles: {
+      parietal_lobe_left: 'The angular gyrus links written letters to speech sounds',
+      left_hemisphere: 'Carries reading and writing in most people'
+    }
+  },
+  {
+    id: 'alien_hand_syndrome',
+    name: 'Alien Hand Syndrome',
+    description: 'One hand acts on its own — grasping, undoing what the other hand does — without the person intending it.',
+    roles: {
+      corpus_callosum: 'Damage stops the hemispheres coordinating the two hands'
+    }
+  },
+  {
+    id: 'alzheimers_disease',
+    name: 'Alzheimer\'s Disease',
+    aliases: ['Alzheimer\'s Disease (early target)'],
+    description: 'The commonest cause of dementia: amyloid plaques and tau tangles spread through the brain, beginning with memory and later taking language, orientation and independence.',
+    roles: {
+      cerebrum: 'Widespread cortical atrophy as the disease advances',
+      parietal_lobe: 'Early loss of spatial orientation and reduced metabolism',
+      temporal_lobe_left: 'Word-finding difficulty and loss of word meaning',
+      hippocampus: 'Among the first structures to shrink, taking new memories',
+      hippocampus_ca1: 'Loses neurons early and heavily',
+      subiculum: 'Tangles appear early, cutting hippocampal output',
+      papez_circuit: 'Its memory loop is interrupted early'
+    }
+  },
+  {
+    id: 'anterograde_amnesia',
+    name: 'Anterograde Amnesia',
+    aliases: ['Amnesia (anterograde)', 'Amnesia after fornix injury'],
+    description: 'Inability to form new lasting memories after the onset of injury, while older memories are largely kept.',
+    roles: {
+      hippocampus: 'Needed to lay down new episodic memories',
+      papez_circuit: 'Injury to the fornix breaks the loop that consolidates them'
+    }
+  },
+  {
+    id: 'amusia',
+    name: 'Amusia',
+    aliases: ['Amusia (tone deafness)'],
+    description: 'Impaired perception or memory of music — pitch, melody or rhythm — present from birth (tone deafness) or acquired.',
+    roles: {
+      temporal_lobe_right: 'Processes pitch and melody',
+      auditory_cortex_right: 'Fine pitch discrimination is weaker or lost'
+    }
+  },
+  {
+    id: 'anosognosia',
+    name: 'Anosognosia',
+    description: 'Unawareness of one\'s own deficit, such as denying a paralysed arm, most often after right hemisphere stroke.',
+    roles: {
+      parietal_lobe_right: 'Monitors the body and its condition'
+    }
+  },
+  {
+    id: 'anxiety_disorders',
+    name: 'Anxiety Disorders',
+    description: 'Excessive, persistent fear or worry out of proportion to real threat, including generalised anxiety and panic disorder.',
+    roles: {
+      amygdala: 'Overreacts to threat cues'
+    }
+  },
+  {
+    id: 'aphasia',
+    name: 'Aphasia',
+    description: 'Loss of the ability to produce or understand language after brain damage, most often from stroke.',
+    roles: {
+      left_hemisphere: 'Dominant for language in most people'
+    }
+  },
+  {
+    id: 'apraxia_of_speech',
+    name: 'Apraxia of Speech',
+    description: 'Difficulty planning the movements of speech, giving effortful, inconsistent articulation with normal muscle strength.',
+    roles: {
+      brocas_area: 'Plans the sequence of articulatory movements'
+    }
+  },
+  {
+    id: 'apraxia',
+    name: 'Apraxia',
+    description: 'Inability to carry out learned, purposeful movements, such as using a tool or gesturing, despite intact strength and understanding.',
+    roles: {
+      parietal_lobe_left: 'Stores the movement plans for skilled actions'
+    }
+  },
+  {
+    id: 'aprosodia',
+    name: 'Aprosodia',
+    description: 'Difficulty conveying or understanding the emotional tone and rhythm of speech.',
+    roles: {
+      right_hemisphere: 'Handles emotional prosody'
+    }
+  },
+  {
+    id: 'astereognosis',
+    name: 'Astereognosis',
+    description: 'Inability to recognise objects by touch alone, with basic sensation preserved.',
+    roles: {
+      primary_somatosensory_cortex: 'Combines touch and position into shape'
+    }
+  },
+  {
+    id: 'ataxia',
+    name: 'Ataxia',
+    description: 'Lack of coordination of voluntary movement — an unsteady gait, clumsy reaching and poor balance.',
+    roles: {
+      cerebellum: 'Coordinates and times movement'
+    }
+  },
+  {
+    id: 'auditory_processing_disorder',
+    name: 'Auditory Processing Disorder',
+    description: 'Difficulty making sense of sounds, especially speech in noise, despite normal hearing.',
+    roles: {
+      temporal_lobe_left: 'Decodes speech sounds',
+      auditory_cortex_left: 'Fine timing of sounds is processed less reliably'
+    }
+  },
+  {
+    id: 'autism_spectrum_disorder',
+    name: 'Autism Spectrum Disorder',
+    aliases: ['Autism Spectrum Disorder (amygdala theory)'],
+    description: 'A neurodevelopmental condition shaping social communication and interaction, with focused interests and differences in sensory processing.',
+    roles: {
+      amygdala: 'The amygdala theory links differences in its growth and response to faces with social differences'
+    }
+  },
+  {
+    id: 'bitemporal_hemianopia',
+    name: 'Bitemporal Hemianopia',
+    aliases: ['Bitemporal Hemianopia (chiasm compression)'],
+    description: 'Loss of the outer half of the visual field in both eyes, classically from a pituitary tumour pressing on the optic chiasm.',
+    roles: {
+      visual_pathway: 'Crossing fibres at the chiasm are compressed'
+    }
+  },
+  {
+    id: 'borderline_personality_disorder',
+    name: 'Borderline Personality Disorder',
+    description: 'A pattern of unstable moods, relationships and self-image with intense emotional reactions.',
+    roles: {
+      amygdala: 'Heightened reactivity to emotional cues'
+    }
+  },
+  {
+    id: 'brain_death',
+    name: 'Brain Death',
+    description: 'Complete and irreversible loss of all brain function, including the brain stem, confirmed by clinical tests.',
+    roles: {
+      brain_stem: 'Absent brain stem reflexes and breathing are the key tests'
+    }
+  },
+  {
+    id: 'brocas_aphasia',
+    name: 'Broca\'s Aphasia',
+    aliases: ['Broca\'s (expressive) Aphasia'],
+    description: 'Expressive aphasia: slow, effortful speech with missing grammar words, while understanding is largely kept.',
+    roles: {
+      brocas_area: 'Damage here impairs speech production'
+    }
+  },
+  {
+    id: 'cerebellar_degeneration',
+    name: 'Cerebellar Degeneration',
+    description: 'Progressive loss of cerebellar neurons from inherited, toxic, autoimmune or other causes.',
+    roles: {
+      cerebellum: 'Purkinje cells are lost, worsening coordination over time'
+    }
+  },
+  {
+    id: 'cerebral_palsy',
+    name: 'Cerebral Palsy',
+    description: 'Lifelong disorders of movement and posture from injury to the developing brain before, during or soon after birth.',
+    roles: {
+      corticospinal_tract: 'Damage to its fibres causes spasticity'
+    }
+  },
+  {
+    id: 'charles_bonnet_syndrome',
+    name: 'Charles Bonnet Syndrome',
+    description: 'Vivid visual hallucinations in people with significant sight loss, who know they are not real.',
+    roles: {
+      occipital_lobe: 'Deprived of input, visual cortex generates images of its own'
+    }
+  },
+  {
+    id: 'chronic_pain_disorders',
+    name: 'Chronic Pain Disorders',
+    description: 'Pain lasting beyond normal healing, often with changes in how the nervous system processes pain signals.',
+    roles: {
+      thalamus: 'Relays and amplifies pain signals to the cortex'
+    }
+  },
+  {
+    id: 'cerebral_achromatopsia',
+    name: 'Cerebral Achromatopsia',
+    aliases: ['Color Blindness (cortical)'],
+    description: 'Loss of colour vision from brain damage rather than from the eye, leaving the world in shades of grey.',
+    roles: {
+      occipital_lobe: 'Colour area V4 on its underside is damaged'
+    }
+  },
+  {
+    id: 'conduction_aphasia',
+    name: 'Conduction Aphasia',
+    description: 'Fluent speech and good understanding, but great difficulty repeating what has just been heard.',
+    roles: {
+      arcuate_fasciculus: 'Damage disconnects Wernicke\'s area from Broca\'s area'
+    }
+  },
+  {
+    id: 'cortical_blindness',
+    name: 'Cortical Blindness',
+    description: 'Loss of sight from damage to the visual cortex on both sides, with healthy eyes and normal pupil reflexes.',
+    roles: {
+      occipital_lobe: 'Damaged on both sides',
+      primary_visual_cortex: 'Without V1, signals from the eyes are not seen'
+    }
+  },
+  {
+    id: 'cortical_deafness',
+    name: 'Cortical Deafness',
+    description: 'Inability to hear from damage to the auditory cortex on both sides, with working ears.',
+    roles: {
+      auditory_cortex: 'Damaged on both sides'
+    }
+  },
+  {
+    id: 'cortical_sensory_loss',
+    name: 'Cortical Sensory Loss',
+    description: 'Loss of refined sensation — position sense, two-point discrimination, texture — on the opposite side of the body.',
+    roles: {
+      primary_somatosensory_cortex: 'Maps touch and body position'
+    }
+  },
+  {
+    id: 'cranial_nerve_palsies',
+    name: 'Cranial Nerve Palsies',
+    description: 'Weakness or loss of function of the nerves controlling the eyes, face, swallowing and other head and neck functions.',
+    roles: {
+      brain_stem: 'Holds the nuclei of ten of the twelve cranial nerves'
+    }
+  },
+  {
+    id: 'depression',
+    name: 'Depression',
+    description: 'Persistent low mood and loss of interest or pleasure, affecting sleep, appetite, energy and thinking.',
+    roles: {
+      frontal_lobe: 'Altered activity in mood-regulating circuits',
+      dentate_gyrus: 'Reduced birth of new neurons, reversed by some treatments'
+    }
+  },
+  {
+    id: 'developmental_delays',
+    name: 'Developmental Delays',
+    description: 'Slower than expected progress in movement, speech, learning or social skills in childhood.',
+    roles: {
+      corpus_callosum: 'Delays are common when it is absent or underdeveloped'
+    }
+  },
+  {
+    id: 'developmental_language_disorder',
+    name: 'Developmental Language Disorder',
+    description: 'Persistent difficulty learning and using language, without another explaining condition.',
+    roles: {
+      arcuate_fasciculus: 'Differences in its structure are reported'
+    }
+  },
+  {
+    id: 'diabetes_insipidus',
+    name: 'Diabetes Insipidus',
+    description: 'Large volumes of dilute urine and constant thirst from a lack of, or resistance to, antidiuretic hormone.',
+    roles: {
+      diencephalon: 'Home of the hormone-making hypothalamus',
+      hypothalamus: 'Makes antidiuretic hormone (vasopressin)'
+    }
+  },
+  {
+    id: 'dressing_apraxia',
+    name: 'Dressing Apraxia',
+    description: 'Difficulty putting on clothes correctly from trouble relating the garment\'s shape to the body.',
+    roles: {
+      parietal_lobe_right: 'Processes spatial relations to the body'
+    }
+  },
+  {
+    id: 'dysarthria',
+    name: 'Dysarthria',
+    description: 'Slurred or poorly controlled speech from weakness or incoordination of the speech muscles.',
+    roles: {
+      cerebellum: 'Damage gives irregular, scanning speech'
+    }
+  },
+  {
+    id: 'dystonia',
+    name: 'Dystonia',
+    description: 'Sustained or repetitive involuntary muscle contractions causing twisting movements and abnormal postures.',
+    roles: {
+      basal_ganglia: 'Abnormal output fails to suppress unwanted muscle activity'
+    }
+  },
+  {
+    id: 'epilepsy',
+    name: 'Epilepsy',
+    description: 'A tendency to recurrent, unprovoked seizures from bursts of abnormal electrical activity.',
+    roles: {
+      cerebrum: 'Seizures start in the cortex',
+      hippocampus: 'A common seizure focus, often scarred (sclerosis)'
+    }
+  },
+  {
+    id: 'fatal_familial_insomnia',
+    name: 'Fatal Familial Insomnia',
+    description: 'A rare inherited prion disease causing progressive, untreatable insomnia and decline.',
+    roles: {
+      thalamus: 'Its nuclei degenerate first, destroying sleep regulation'
+    }
+  },
+  {
+    id: 'focal_motor_seizures',
+    name: 'Focal Motor Seizures',
+    description: 'Seizures producing jerking or stiffening of one part of the body, sometimes spreading along it (Jacksonian march).',
+    roles: {
+      primary_motor_cortex: 'The seizure starts in, and marches along, the motor map'
+    }
+  },
+  {
+    id: 'frontotemporal_dementia',
+    name: 'Frontotemporal Dementia',
+    description: 'Dementia beginning with changes in personality, behaviour or language rather than memory, usually before 65.',
+    roles: {
+      frontal_lobe: 'Atrophy changes behaviour and judgement',
+      prefrontal_cortex: 'Loss of social conduct and planning'
+    }
+  },
+  {
+    id: 'gerstmann_syndrome',
+    name: 'Gerstmann Syndrome',
+    description: 'Four signs together — trouble writing, calculating, naming fingers and telling left from right.',
+    roles: {
+      parietal_lobe_left: 'Damage to the angular gyrus'
+    }
+  },
+  {
+    id: 'growth_disorders',
+    name: 'Growth Disorders',
+    description: 'Too much or too little growth from disturbed control of growth hormone.',
+    roles: {
+      hypothalamus: 'Controls growth hormone release by the pituitary'
+    }
+  },
+  {
+    id: 'hemiparesis',
+    name: 'Hemiparesis',
+    aliases: ['Left-sided hemiparesis', 'Right-sided hemiparesis'],
+    description: 'Weakness of one side of the body, usually after a stroke on the opposite side of the brain.',
+    roles: {
+      left_hemisphere: 'Damage weakens the right side of the body',
+      right_hemisphere: 'Damage weakens the left side of the body'
+    }
+  },
+  {
+    id: 'hemispatial_neglect',
+    name: 'Hemispatial Neglect',
+    description: 'Failure to notice or respond to one side of space, usually the left, after right hemisphere damage.',
+    roles: {
+      right_hemisphere: 'Attends to both sides of space',
+      parietal_lobe_right: 'The classic site of damage'
+    }
+  },
+  {
+    id: 'homonymous_hemianopia',
+    name: 'Homonymous Hemianopia',
+    description: 'Loss of the same half of the visual field in both eyes, from damage behind the optic chiasm.',
+    roles: {
+      primary_visual_cortex: 'Damage removes the opposite half of the visual field',
+      visual_pathway: 'Damage to the optic tract or radiation'
+    }
+  },
+  {
+    id: 'huntingtons_disease',
+    name: 'Huntington\'s Disease',
+    description: 'An inherited disease causing involuntary movements, psychiatric symptoms and dementia.',
+    roles: {
+      basal_ganglia: 'The caudate and putamen degenerate first'
+    }
+  },
+  {
+    id: 'hypothalamic_obesity',
+    name: 'Hypothalamic Obesity',
+    description: 'Rapid, hard-to-control weight gain after damage to the hypothalamus, for example from a tumour or its treatment.',
+    roles: {
+      diencephalon: 'Home of the appetite-regulating hypothalamus',
+      hypothalamus: 'Damage disrupts appetite and energy balance'
+    }
+  },
+  {
+    id: 'hypoxic_ischaemic_injury',
+    name: 'Hypoxic-ischaemic Injury',
+    description: 'Brain damage from lack of oxygen or blood flow, such as after cardiac arrest.',
+    roles: {
+      hippocampus_ca1: 'Its neurons are among the most vulnerable to oxygen loss'
+    }
+  },
+  {
+    id: 'korsakoff_syndrome',
+    name: 'Korsakoff Syndrome',
+    description: 'Severe memory loss, often with confabulation, from thiamine deficiency — usually with chronic alcohol use.',
+    roles: {
+      papez_circuit: 'The mammillary bodies and thalamus in the loop are damaged'
+    }
+  },
+  {
+    id: 'locked_in_syndrome',
+    name: 'Locked-in Syndrome',
+    description: 'Full awareness with paralysis of nearly all voluntary muscles except eye movements.',
+    roles: {
+      brain_stem: 'Damage to the pons cuts motor pathways'
+    }
+  },
+  {
+    id: 'migraine_with_aura',
+    name: 'Migraine with Aura',
+    description: 'Migraine headaches preceded by temporary visual or other sensory disturbances.',
+    roles: {
+      occipital_lobe: 'A slow wave of cortical spreading depression causes the visual aura'
+    }
+  },
+  {
+    id: 'multiple_sclerosis',
+    name: 'Multiple Sclerosis',
+    description: 'An immune disease attacking the myelin of the brain and spinal cord, causing relapsing or progressive symptoms.',
+    roles: {
+      cerebellum: 'Lesions cause tremor and incoordination',
+      corpus_callosum: 'A typical site of lesions in this white matter'
+    }
+  },
+  {
+    id: 'obsessive_compulsive_disorder',
+    name: 'Obsessive-Compulsive Disorder',
+    aliases: ['OCD (basal ganglia circuit)'],
+    description: 'Intrusive, distressing thoughts (obsessions) and repetitive behaviours done to relieve them (compulsions).',
+    roles: {
+      basal_ganglia: 'Overactive loop with the frontal cortex'
+    }
+  },
+  {
+    id: 'ptsd',
+    name: 'PTSD',
+    description: 'Post-traumatic stress disorder: intrusive memories, avoidance, hypervigilance and mood changes after a traumatic event.',
+    roles: {
+      hippocampus: 'Often smaller; fails to place fear memories in context',
+      amygdala: 'Hyperreactive to reminders of the trauma'
+    }
+  },
+  {
+    id: 'parkinsons_disease',
+    name: 'Parkinson\'s Disease',
+    description: 'A progressive movement disorder with tremor, stiffness and slowness, from loss of dopamine-producing neurons.',
+    roles: {
+      basal_ganglia: 'Loses its dopamine supply from the substantia nigra'
+    }
+  },
+  {
+    id: 'phobias',
+    name: 'Phobias',
+    description: 'Intense, irrational fear of specific objects or situations, leading to avoidance.',
+    roles: {
+      amygdala: 'Drives the conditioned fear response'
+    }
+  },
+  {
+    id: 'prosopagnosia',
+    name: 'Prosopagnosia',
+    aliases: ['Prosopagnosia (face blindness)'],
+    description: 'Face blindness: inability to recognise familiar faces, present from birth or after brain injury.',
+    roles: {
+      temporal_lobe_right: 'The fusiform face area on its underside'
+    }
+  },
+  {
+    id: 'temporal_lobe_epilepsy',
+    name: 'Temporal Lobe Epilepsy',
+    aliases: ['Right TLE'],
+    description: 'The commonest focal epilepsy: seizures from the temporal lobe, often with déjà vu, a rising feeling or automatic movements.',
+    roles: {
+      temporal_lobe: 'Where the seizures arise',
+      hippocampus_ca3: 'Recurrent connections make it prone to seizures',
+      dentate_gyrus: 'Mossy fibre sprouting after injury',
+      subiculum: 'Can sustain the seizure rhythm'
+    }
+  },
+  {
+    id: 'schizophrenia',
+    name: 'Schizophrenia',
+    description: 'A psychiatric disorder with hallucinations, delusions, disorganised thinking and reduced motivation.',
+    roles: {
+      frontal_lobe: 'Reduced activity (hypofrontality)',
+      prefrontal_cortex: 'Impaired working memory and planning'
+    }
+  },
+  {
+    id: 'sensory_processing_disorder',
+    name: 'Sensory Processing Disorder',
+    description: 'Difficulty organising and responding to sensory information, with over- or under-sensitivity.',
+    roles: {
+      parietal_lobe: 'Integrates sensory input'
+    }
+  },
+  {
+    id: 'sleep_apnea',
+    name: 'Sleep Apnea',
+    description: 'Repeated pauses in breathing during sleep, from a blocked airway or, in central apnea, missing signals to breathe.',
+    roles: {
+      brain_stem: 'Its respiratory centres fail to trigger breaths in central apnea'
+    }
+  },
+  {
+    id: 'sleep_disorders',
+    name: 'Sleep Disorders',
+    description: 'Problems with the amount, timing or quality of sleep, including insomnia and narcolepsy.',
+    roles: {
+      hypothalamus: 'Runs the body clock and makes orexin, which keeps us awake'
+    }
+  },
+  {
+    id: 'spinal_cord_injury',
+    name: 'Spinal Cord Injury',
+    description: 'Damage to the spinal cord causing loss of movement and sensation below the injury.',
+    roles: {
+      corticospinal_tract: 'Its fibres are cut, paralysing muscles below the injury'
+    }
+  },
+  {
+    id: 'split_brain_syndrome',
+    name: 'Split-brain Syndrome',
+    aliases: ['Split-brain Syndrome (post-callosotomy)'],
+    description: 'The hemispheres work independently after the corpus callosum is cut, usually to treat severe epilepsy.',
+    roles: {
+      corpus_callosum: 'Surgically divided (callosotomy)'
+    }
+  },
+  {
+    id: 'stress_related_atrophy',
+    name: 'Stress-related Atrophy',
+    description: 'Shrinking of neurons and their branches from prolonged stress hormones.',
+    roles: {
+      hippocampus_ca3: 'Its dendrites retract under chronic stress'
+    }
+  },
+  {
+    id: 'stroke',
+    name: 'Stroke',
+    aliases: [
+      'Stroke (contralateral weakness)',
+      'Stroke (internal capsule)',
+      'Brain Stem Stroke',
+      'Thalamic Stroke'
+    ],
+    description: 'Sudden loss of brain function from a blocked or burst blood vessel — the effects depend on where it strikes.',
+    roles: {
+      cerebrum: 'Most strokes strike the cerebral hemispheres',
+      primary_motor_cortex: 'Weakness of the opposite side of the body',
+      corticospinal_tract: 'A small stroke in the internal capsule can paralyse a whole side',
+      brain_stem: 'Can affect breathing, swallowing and consciousness',
+      thalamus: 'Sensory loss and, later, pain'
+    }
+  },
+  {
+    id: 'superior_quadrantanopia',
+    name: 'Superior Quadrantanopia',
+    aliases: ['Superior Quadrantanopia (Meyer\'s loop)'],
+    description: 'Loss of the upper quarter of the visual field on one side — "pie in the sky".',
+    roles: {
+      visual_pathway: 'Meyer\'s loop of the optic radiation is damaged in the temporal lobe'
+    }
+  },
+  {
+    id: 'temperature_dysregulation',
+    name: 'Temperature Dysregulation',
+    description: 'Inability to keep body temperature stable, with fever, low temperature or wide swings.',
+    roles: {
+      hypothalamus: 'The body\'s thermostat'
+    }
+  },
+  {
+    id: 'thalamic_pain_syndrome',
+    name: 'Thalamic Pain Syndrome',
+    description: 'Severe, burning pain on one side of the body after a thalamic stroke (Dejerine–Roussy syndrome).',
+    roles: {
+      diencephalon: 'Home of the thalamus',
+      thalamus: 'Damaged sensory relay nuclei produce the pain'
+    }
+  },
+  {
+    id: 'tourette_syndrome',
+    name: 'Tourette Syndrome',
+    description: 'Multiple motor tics and at least one vocal tic, beginning in childhood.',
+    roles: {
+      basal_ganglia: 'Fails to suppress unwanted movements'
+    }
+  },
+  {
+    id: 'transient_global_amnesia',
+    name: 'Transient Global Amnesia',
+    description: 'A sudden, temporary episode of memory loss lasting hours, after which memory returns.',
+    roles: {
+      hippocampus: 'Small temporary lesions in CA1 are seen on MRI'
+    }
+  },
+  {
+    id: 'traumatic_brain_injury',
+    name: 'Traumatic Brain Injury',
+    aliases: ['Traumatic Brain Injury (TBI)'],
+    description: 'Brain damage from an external force — a blow, jolt or penetrating injury.',
+    roles: {
+      cerebrum: 'Bruising and shearing of its white matter',
+      frontal_lobe: 'Most often injured, changing behaviour and judgement'
+    }
+  },
+  {
+    id: 'visual_agnosia',
+    name: 'Visual Agnosia',
+    description: 'Inability to recognise objects by sight, though they can be seen and recognised by touch.',
+    roles: {
+      occipital_lobe: 'Damage to its visual association areas'
+    }
+  },
+  {
+    id: 'wernickes_aphasia',
+    name: 'Wernicke\'s Aphasia',
+    aliases: ['Wernicke\'s (receptive) Aphasia'],
+    description: 'Receptive aphasia: fluent but meaningless speech and poor understanding, often without awareness.',
+    roles: {
+      wernickes_area: 'Damage here impairs comprehension',
+      temporal_lobe_left: 'Holds Wernicke\'s area'
+    }
+  }
+];
@@ -0,0 +1,73 @@
+import { BRAIN_REGIONS } from './regionData.js';
+import { TRACTS } from './tractData.js';
+import { CONDITIONS } from './conditionData.js';
+
+/**
+ * Reverse index from conditions (see conditionData.js) to the regions,
+ * areas, groups and tracts that list them.
+ *
+ * Every `conditions` string in the data must resolve to a record, and
+ * every entry listing a condition must have a role in it — both are
+ * checked when the module loads, so a new spelling or a new region can't
+ * silently fall out of the index.
+ */
+
+// Case and punctuation don't count: "Alexia & agraphia" is "Alexia & Agraphia"
+function spellingKey(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+const byId = new Map();
+const bySpelling = new Map();
+const entriesOf = new Map(); // condition id -> [{ id, name, role }]
+const usedRoles = new Set();  // `${condition id}/${role key}`
+
+for (const condition of CONDITIONS) {
+  byId.set(condition.id, condition);
+  entriesOf.set(condition.id, []);
+  for (const spelling of [condition.name, ...(condition.aliases || [])]) {
+    bySpelling.set(spellingKey(spelling), condition);
+  }
+}
+
+for (const entry of [...BRAIN_REGIONS, ...TRACTS]) {
+  for (const text of entry.conditions) {
+    const condition = bySpelling.get(spellingKey(text));
+    if (!condition) throw new Error(`Unknown condition: ${text} (in ${entry.id})`);
+
+    const key = entry.id in condition.roles ? entry.id : entry.bilateral;
+    const role = condition.roles[key];
+    if (!role) throw new Error(`Condition ${condition.id} has no role for ${entry.id}`);
+    usedRoles.add(`${condition.id}/${key}`);
+
+    const entries = entriesOf.get(condition.id);
+    if (!entries.some((e) => e.id === entry.id)) entries.push({ id: entry.id, name: entry.name, role });
+  }
+}
+
+for (const condition of CONDITIONS) {
+  for (const key of Object.keys(condition.roles)) {
+    if (!usedRoles.has(`${condition.id}/${key}`)) {
+      throw new Error(`Condition ${condition.id} has a role for ${key}, which doesn't list it`);
+    }
+  }
+}
+
+export function getCondition(id) {
+  return byId.get(id) || null;
+}
+
+/**
+ * The condition record a `conditions` string refers to.
+ */
+export function getConditionFor(text) {
+  return bySpelling.get(spellingKey(text)) || null;
+}
+
+/**
+ * Entries listing a condition, in data order, with their role in it.
+ * @returns {{id: string, name: string, role: string}[]}
+ */
+export function getConditionEntries(conditionId) {
+  return entriesOf.get(conditionId) || [];
+}
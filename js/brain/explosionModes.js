@@ -0,0 +1,92 @@
+import * as THREE from 'three';
+
+/**
+ * Explosion choreographies, and the anatomical depth layers that staged
+ * peeling and depth stepping move one at a time.
+ *
+ * A mode's offset() gives a region's displacement at full explosion (model
+ * units, written into `target`) from its data, its rest position and the
+ * rest centroid of all regions; BrainModel scales it by the explosion
+ * amount. Staged modes also map the overall amount to each depth layer's
+ * own amount, so outer layers move first.
+ */
+
+const EXPLODE_DISTANCE = 1.8; // along a region's explodeDir
+const RADIAL_SCALE = 2.2;     // times the distance from the centroid
+const SPLIT_DISTANCE = 0.9;   // each half's shift in the axial splits
+const PEEL_STAGGER = 0.15;    // explosion amount between layer starts
+
+/**
+ * Outermost first. Regions are matched by id, paired ones by their
+ * `bilateral` base id (see regionData.js).
+ */
+export const DEPTH_LAYERS = [
+  { id: 'cortex', label: 'Cerebral cortex', regions: ['frontal_lobe', 'parietal_lobe', 'temporal_lobe', 'occipital_lobe'] },
+  { id: 'hindbrain', label: 'Cerebellum and brain stem', regions: ['cerebellum', 'brain_stem'] },
+  { id: 'commissure', label: 'Corpus callosum', regions: ['corpus_callosum'] },
+  { id: 'limbic', label: 'Limbic structures', regions: ['hippocampus', 'amygdala'] },
+  { id: 'deep_nuclei', label: 'Deep nuclei', regions: ['basal_ganglia', 'thalamus', 'hypothalamus'] }
+];
+
+// Each layer's amount over a window of the overall amount, the windows
+// PEEL_STAGGER apart and all ending at 1
+function staged(layer, amount) {
+  const span = 1 - (DEPTH_LAYERS.length - 1) * PEEL_STAGGER;
+  return THREE.MathUtils.clamp((amount - layer * PEEL_STAGGER) / span, 0, 1);
+}
+
+function directed(data, base, centroid, target) {
+  return target.fromArray(data.explodeDir).normalize().multiplyScalar(EXPLODE_DISTANCE);
+}
+
+export const EXPLOSION_MODES = [
+  {
+    id: 'directed',
+    label: 'Directed',
+    offset: directed
+  },
+  {
+    // Straight out from the centroid, deep structures moving least
+    id: 'radial',
+    label: 'Radial',
+    offset: (data, base, centroid, target) => target.subVectors(base, centroid).multiplyScalar(RADIAL_SCALE)
+  },
+  {
+    // Hemispheres apart; midline structures stay
+    id: 'split_lr',
+    label: 'Left / right split',
+    offset: (data, base, centroid, target) => {
+      const side = data.side === 'left' ? -1 : data.side === 'right' ? 1 : 0;
+      return target.set(side * SPLIT_DISTANCE, 0, 0);
+    }
+  },
+  {
+    // Everything above the centroid up, everything below down
+    id: 'split_tb',
+    label: 'Top / bottom split',
+    offset: (data, base, centroid, target) => target.set(0, Math.sign(base.y - centroid.y) * SPLIT_DISTANCE, 0)
+  },
+  {
+    // Cortex first, the deep nuclei last
+    id: 'peel',
+    label: 'Staged peel',
+    offset: directed,
+    amount: staged
+  }
+];
+
+/**
+ * @param {string} id
+ * @returns {object|null} the mode definition
+ */
+export function getExplosionMode(id) {
+  return EXPLOSION_MODES.find((mode) => mode.id === id) || null;
+}
+
+/**
+ * Index into DEPTH_LAYERS of a region, or -1.
+ */
+export function getDepthLayer(regionData) {
+  const id = regionData.bilateral || regionData.id;
+  return DEPTH_LAYERS.findIndex((layer) => layer.regions.includes(id));
+}
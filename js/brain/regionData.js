@@ -6,26 +6,161 @@
  * Colors matched to standard anatomical model conventions:
  *   Frontal = pink/salmon, Parietal = blue/teal, Temporal = yellow-green,
  *   Occipital = purple, Cerebellum = deep purple/magenta, Brain Stem = blue
+ *
+ * Entries form a hierarchy through `parent` (see regionHierarchy.js):
+ *   'group'    — a grouping with no mesh of its own (cerebrum, hemispheres)
+ *   'lobe' / 'internal' — a region mesh
+ *   'area'     — a named area drawn as a surface patch of its parent mesh;
+ *                `patch` picks the parent's triangles (in its local space)
+ *                inside the `center`/`radius` ellipsoid and facing within
+ *                `minFacing` (cosine) of `facing`
+ *
+ * Paired structures are written once, as the left side, through
+ * bilateral() below. The right side's mesh is the left's mirror image
+ * (see regions.js).
  */
 
+const mirrorX = ([x, y, z]) => [-x, y, z];
+
+/**
+ * Left and right entries of a paired region, from its left side written
+ * without a side suffix. The right mirrors position, explodeDir and patch
+ * across the midline; `overrides.right` replaces fields where the
+ * hemispheres differ (e.g. language dominance). `{side}` in `parent` names
+ * the same side's parent. Both entries get `side` and `bilateral` (the
+ * shared id, also the geometry creator's key).
+ */
+function bilateral(region, overrides = {}) {
+  const { left = {}, right = {} } = overrides;
+  const mirror = {
+    position: region.position && mirrorX(region.position),
+    explodeDir: region.explodeDir && mirrorX(region.explodeDir),
+    patch: region.patch && {
+      ...region.patch,
+      center: region.patch.center && mirrorX(region.patch.center),
+      facing: region.patch.facing && mirrorX(region.patch.facing)
+    }
+  };
+  return ['left', 'right'].map((side) => {
+    const entry = {
+      ...region,
+      ...(side === 'right' ? mirror : {}),
+      id: `${region.id}_${side}`,
+      name: `${region.name} (${side === 'left' ? 'Left' : 'Right'})`,
+      parent: region.parent.replace('{side}', side),
+      side,
+      bilateral: region.id,
+      ...(side === 'left' ? left : right)
+    };
+    // Keep optional fields absent rather than undefined
+    for (const key of Object.keys(mirror)) {
+      if (entry[key] === undefined) delete entry[key];
+    }
+    return entry;
+  });
+}
+
 export const BRAIN_REGIONS = [
-  // ============ Exterior Lobes ============
+  // ============ Groups ============
+  {
+    id: 'cerebrum',
+    name: 'Cerebrum',
+    color: 0xd98f8a,
+    type: 'group',
+    parent: null,
+    description:
+      'The largest part of the brain, made of the two cerebral hemispheres, their cortical lobes and the deep structures beneath them. The cerebrum initiates movement and carries perception, language, memory and thought.',
+    functions: [
+      'Conscious perception',
+      'Voluntary movement',
+      'Language & reasoning',
+      'Learning & memory'
+    ],
+    conditions: [
+      'Stroke',
+      'Epilepsy',
+      'Alzheimer\'s Disease',
+      'Traumatic Brain Injury (TBI)'
+    ]
+  },
+  {
+    id: 'left_hemisphere',
+    name: 'Left Hemisphere',
+    color: 0xc9a06a,
+    type: 'group',
+    parent: 'cerebrum',
+    description:
+      'The left half of the cerebrum. It controls the right side of the body and, in most people, is dominant for language — both Broca\'s and Wernicke\'s areas usually lie on this side.',
+    functions: [
+      'Motor control & sensation (right body side)',
+      'Language production & comprehension',
+      'Sequential & analytical processing',
+      'Verbal memory'
+    ],
+    conditions: [
+      'Aphasia',
+      'Right-sided hemiparesis',
+      'Alexia & agraphia'
+    ]
+  },
   {
+    id: 'right_hemisphere',
+    name: 'Right Hemisphere',
+    color: 0x9ab86a,
+    type: 'group',
+    parent: 'cerebrum',
+    description:
+      'The right half of the cerebrum. It controls the left side of the body and is typically dominant for spatial attention, face recognition and the emotional tone of speech.',
+    functions: [
+      'Motor control & sensation (left body side)',
+      'Spatial attention',
+      'Face recognition',
+      'Prosody & emotional expression'
+    ],
+    conditions: [
+      'Hemispatial Neglect',
+      'Left-sided hemiparesis',
+      'Aprosodia'
+    ]
+  },
+  {
+    id: 'diencephalon',
+    name: 'Diencephalon',
+    color: 0xd8a56c,
+    type: 'group',
+    parent: null,
+    description:
+      'The deep "interbrain" between the cerebrum and the brain stem. Its thalamus relays sensation to the cortex and its hypothalamus links the nervous system to the hormonal system.',
+    functions: [
+      'Sensory relay to the cortex',
+      'Hormonal & autonomic control',
+      'Sleep-wake regulation'
+    ],
+    conditions: [
+      'Thalamic Pain Syndrome',
+      'Diabetes Insipidus',
+      'Hypothalamic Obesity'
+    ]
+  },
+
+  // ============ Exterior Lobes ============
+  ...bilateral({
     id: 'frontal_lobe',
     name: 'Frontal Lobe',
     color: 0xe8837c,     // salmon/pink — matches anatomical convention
-    position: [0, 0.28, 0.48],
-    scale: [1.15, 0.85, 0.9],
-    explodeDir: [0, 0.3, 1],
+    position: [-0.36, 0.28, 0.48],
+    scale: [0.58, 0.85, 0.9],
+    explodeDir: [-0.35, 0.3, 1],
     type: 'lobe',
+    parent: '{side}_hemisphere',
     description:
-      'The largest lobe, located at the front of the brain. It plays a key role in higher cognitive functions including planning, reasoning, judgment, and voluntary movement. It also houses Broca\'s area, essential for speech production.',
+      'The left frontal lobe plans and drives movement of the right side of the body. In most people it also houses Broca\'s area, essential for speech production.',
     functions: [
       'Executive function & decision making',
-      'Voluntary motor control',
+      'Voluntary motor control (right body side)',
       'Speech production (Broca\'s area)',
       'Working memory',
-      'Personality & emotional regulation',
+      'Verbal fluency',
       'Problem solving & planning'
     ],
     conditions: [
@@ -35,15 +170,29 @@ export const BRAIN_REGIONS = [
       'Frontotemporal Dementia',
       'Schizophrenia'
     ]
-  },
-  {
+  }, {
+    right: {
+      description:
+        'The right frontal lobe plans and drives movement of the left side of the body. It contributes the emotional tone of speech and helps hold back inappropriate responses.',
+      functions: [
+        'Executive function & decision making',
+        'Voluntary motor control (left body side)',
+        'Prosody (emotional tone of speech)',
+        'Response inhibition',
+        'Personality & emotional regulation',
+        'Problem solving & planning'
+      ]
+    }
+  }),
+  ...bilateral({
     id: 'parietal_lobe',
     name: 'Parietal Lobe',
     color: 0x5ba3b5,     // teal/blue
-    position: [0, 0.55, -0.28],
-    scale: [1.05, 0.7, 0.85],
-    explodeDir: [0, 1, -0.2],
+    position: [-0.32, 0.55, -0.28],
+    scale: [0.53, 0.7, 0.85],
+    explodeDir: [-0.35, 1, -0.2],
     type: 'lobe',
+    parent: '{side}_hemisphere',
     description:
       'Located behind the frontal lobe, the parietal lobe processes sensory information from the body, including touch, temperature, and pain. It is critical for spatial awareness and navigation.',
     functions: [
@@ -56,20 +205,31 @@ export const BRAIN_REGIONS = [
     ],
     conditions: [
       'Gerstmann Syndrome',
-      'Hemispatial Neglect',
+      'Alexia & Agraphia',
       'Apraxia',
       'Alzheimer\'s Disease',
       'Sensory Processing Disorder'
     ]
-  },
-  {
-    id: 'temporal_lobe_left',
-    name: 'Temporal Lobe (Left)',
+  }, {
+    right: {
+      conditions: [
+        'Hemispatial Neglect',
+        'Anosognosia',
+        'Dressing Apraxia',
+        'Alzheimer\'s Disease',
+        'Sensory Processing Disorder'
+      ]
+    }
+  }),
+  ...bilateral({
+    id: 'temporal_lobe',
+    name: 'Temporal Lobe',
     color: 0xc4cc54,     // yellow-green
     position: [-0.62, -0.22, 0.18],
     scale: [0.55, 0.6, 0.85],
     explodeDir: [-1, -0.2, 0.2],
     type: 'lobe',
+    parent: '{side}_hemisphere',
     description:
       'The left temporal lobe is vital for language comprehension (Wernicke\'s area), verbal memory, and auditory processing. It is dominant for language in most right-handed individuals.',
     functions: [
@@ -85,41 +245,36 @@ export const BRAIN_REGIONS = [
       'Auditory Processing Disorder',
       'Alzheimer\'s Disease'
     ]
-  },
-  {
-    id: 'temporal_lobe_right',
-    name: 'Temporal Lobe (Right)',
-    color: 0xc4cc54,     // same yellow-green (matching pair)
-    position: [0.62, -0.22, 0.18],
-    scale: [0.55, 0.6, 0.85],
-    explodeDir: [1, -0.2, 0.2],
-    type: 'lobe',
-    description:
-      'The right temporal lobe specializes in non-verbal memory, music perception, facial recognition, and emotional processing. It complements the left temporal lobe\'s language functions.',
-    functions: [
-      'Facial recognition',
-      'Music perception & processing',
-      'Non-verbal memory',
-      'Emotional processing',
-      'Visual memory'
-    ],
-    conditions: [
-      'Prosopagnosia (face blindness)',
-      'Temporal Lobe Epilepsy',
-      'Amusia (tone deafness)',
-      'Right TLE'
-    ]
-  },
-  {
+  }, {
+    right: {
+      description:
+        'The right temporal lobe specializes in non-verbal memory, music perception, facial recognition, and emotional processing. It complements the left temporal lobe\'s language functions.',
+      functions: [
+        'Facial recognition',
+        'Music perception & processing',
+        'Non-verbal memory',
+        'Emotional processing',
+        'Visual memory'
+      ],
+      conditions: [
+        'Prosopagnosia (face blindness)',
+        'Temporal Lobe Epilepsy',
+        'Amusia (tone deafness)',
+        'Right TLE'
+      ]
+    }
+  }),
+  ...bilateral({
     id: 'occipital_lobe',
     name: 'Occipital Lobe',
     color: 0x8b74c8,     // purple
-    position: [0, 0.18, -0.72],
-    scale: [0.85, 0.7, 0.6],
-    explodeDir: [0, 0.2, -1],
+    position: [-0.26, 0.18, -0.72],
+    scale: [0.43, 0.7, 0.6],
+    explodeDir: [-0.35, 0.2, -1],
     type: 'lobe',
+    parent: '{side}_hemisphere',
     description:
-      'Located at the back of the brain, the occipital lobe is the primary visual processing center. It interprets visual stimuli including color, shape, motion, and depth perception.',
+      'Located at the back of the brain, the occipital lobe is the primary visual processing center. Each side sees the opposite half of the visual field, interpreting color, shape, motion, and depth.',
     functions: [
       'Primary visual processing',
       'Color perception',
@@ -135,7 +290,7 @@ export const BRAIN_REGIONS = [
       'Charles Bonnet Syndrome',
       'Migraine with Aura'
     ]
-  },
+  }),
   {
     id: 'cerebellum',
     name: 'Cerebellum',
@@ -144,6 +299,7 @@ export const BRAIN_REGIONS = [
     scale: [0.9, 0.55, 0.55],
     explodeDir: [0, -0.8, -0.8],
     type: 'lobe',
+    parent: null,
     description:
       'The "little brain" at the base, the cerebellum contains more neurons than the rest of the brain combined. It coordinates voluntary movement, balance, posture, and motor learning.',
     functions: [
@@ -170,6 +326,7 @@ export const BRAIN_REGIONS = [
     scale: [0.3, 0.55, 0.3],
     explodeDir: [0, -1, 0],
     type: 'lobe',
+    parent: null,
     description:
       'The brain stem connects the brain to the spinal cord and controls vital involuntary functions. It includes the midbrain, pons, and medulla oblongata, regulating heartbeat, breathing, and consciousness.',
     functions: [
@@ -190,16 +347,17 @@ export const BRAIN_REGIONS = [
   },
 
   // ============ Internal Structures ============
-  {
+  ...bilateral({
     id: 'thalamus',
     name: 'Thalamus',
     color: 0xd4789a,
-    position: [0, 0.05, -0.05],
-    scale: [0.35, 0.25, 0.3],
-    explodeDir: [0, 0.6, 0],
+    position: [-0.095, 0.05, -0.05],
+    scale: [0.17, 0.25, 0.3],
+    explodeDir: [-0.4, 0.6, 0],
     type: 'internal',
+    parent: 'diencephalon',
     description:
-      'The thalamus is the brain\'s central relay station, sitting atop the brain stem. Almost all sensory information (except smell) passes through the thalamus before reaching the cortex.',
+      'The thalamus is the brain\'s central relay station: a pair of egg-shaped nuclei either side of the third ventricle, atop the brain stem. Almost all sensory information (except smell) passes through it on the way to the cortex.',
     functions: [
       'Sensory relay to cortex',
       'Motor signal relay',
@@ -215,7 +373,7 @@ export const BRAIN_REGIONS = [
       'Absence Seizures',
       'Chronic Pain Disorders'
     ]
-  },
+  }),
   {
     id: 'hypothalamus',
     name: 'Hypothalamus',
@@ -224,6 +382,7 @@ export const BRAIN_REGIONS = [
     scale: [0.2, 0.15, 0.2],
     explodeDir: [0, -0.6, 0.4],
     type: 'internal',
+    parent: 'diencephalon',
     description:
       'A small but critical structure below the thalamus, the hypothalamus regulates the endocrine system via the pituitary gland. It controls body temperature, hunger, thirst, circadian rhythms, and emotional responses.',
     functions: [
@@ -242,7 +401,7 @@ export const BRAIN_REGIONS = [
       'Temperature Dysregulation'
     ]
   },
-  {
+  ...bilateral({
     id: 'hippocampus',
     name: 'Hippocampus',
     color: 0x5aafa0,
@@ -250,12 +409,13 @@ export const BRAIN_REGIONS = [
     scale: [0.4, 0.15, 0.2],
     explodeDir: [-0.8, -0.4, 0.2],
     type: 'internal',
+    parent: 'temporal_lobe_{side}',
     description:
       'A seahorse-shaped structure in the medial temporal lobe, the hippocampus is essential for forming new memories and spatial navigation. Damage to the hippocampus severely impairs the ability to create new long-term memories.',
     functions: [
       'Memory formation (encoding)',
       'Memory consolidation',
-      'Spatial navigation & mapping',
+      'Verbal & episodic memory',
       'Learning & recall',
       'Contextual memory',
       'Emotional memory regulation'
@@ -267,8 +427,19 @@ export const BRAIN_REGIONS = [
       'Epilepsy',
       'Transient Global Amnesia'
     ]
-  },
-  {
+  }, {
+    right: {
+      functions: [
+        'Memory formation (encoding)',
+        'Memory consolidation',
+        'Spatial navigation & mapping',
+        'Visual & spatial memory',
+        'Contextual memory',
+        'Emotional memory regulation'
+      ]
+    }
+  }),
+  ...bilateral({
     id: 'amygdala',
     name: 'Amygdala',
     color: 0xc46464,
@@ -276,6 +447,7 @@ export const BRAIN_REGIONS = [
     scale: [0.15, 0.15, 0.15],
     explodeDir: [-0.9, -0.5, 0.5],
     type: 'internal',
+    parent: 'temporal_lobe_{side}',
     description:
       'An almond-shaped cluster of nuclei located anterior to the hippocampus, the amygdala is the brain\'s emotional processing center. It plays a key role in fear responses, emotional memories, and social behavior.',
     functions: [
@@ -293,7 +465,7 @@ export const BRAIN_REGIONS = [
       'Borderline Personality Disorder',
       'Autism Spectrum Disorder (amygdala theory)'
     ]
-  },
+  }),
   {
     id: 'corpus_callosum',
     name: 'Corpus Callosum',
@@ -302,6 +474,7 @@ export const BRAIN_REGIONS = [
     scale: [0.6, 0.1, 0.7],
     explodeDir: [0, 0.8, 0],
     type: 'internal',
+    parent: 'cerebrum',
     description:
       'The largest white matter structure, the corpus callosum is a thick band of nerve fibers connecting the left and right cerebral hemispheres. It enables communication and coordination between the two halves of the brain.',
     functions: [
@@ -319,14 +492,15 @@ export const BRAIN_REGIONS = [
       'Developmental Delays'
     ]
   },
-  {
+  ...bilateral({
     id: 'basal_ganglia',
     name: 'Basal Ganglia',
     color: 0x7a7cc8,
-    position: [0.2, -0.02, 0.05],
+    position: [-0.2, -0.02, 0.05],
     scale: [0.3, 0.25, 0.25],
-    explodeDir: [0.8, -0.3, 0.3],
+    explodeDir: [-0.8, -0.3, 0.3],
     type: 'internal',
+    parent: '{side}_hemisphere',
     description:
       'A group of subcortical nuclei deep within the cerebral hemispheres, the basal ganglia are essential for motor control, procedural learning, and habit formation. They modulate movement initiation and suppression.',
     functions: [
@@ -344,5 +518,235 @@ export const BRAIN_REGIONS = [
       'Dystonia',
       'OCD (basal ganglia circuit)'
     ]
-  }
+  }),
+
+  // ============ Named Areas ============
+  // Schematic placements on the simplified lobes, not atlas boundaries.
+  ...bilateral({
+    id: 'primary_motor_cortex',
+    name: 'Primary Motor Cortex',
+    color: 0xf2a69b,
+    type: 'area',
+    parent: 'frontal_lobe_{side}',
+    patch: { center: [0, 0.3, -0.02], radius: [0.9, 0.5, 0.12], facing: [0, 0, 1], minFacing: -0.5 },
+    description:
+      'A strip of cortex along the precentral gyrus, at the back of the frontal lobe. Its neurons send commands down the corticospinal tract, with body parts mapped along it as the motor homunculus.',
+    functions: [
+      'Voluntary movement execution',
+      'Fine motor control',
+      'Somatotopic body map (motor homunculus)'
+    ],
+    conditions: [
+      'Stroke (contralateral weakness)',
+      'ALS',
+      'Focal motor seizures'
+    ]
+  }),
+  ...bilateral({
+    id: 'prefrontal_cortex',
+    name: 'Prefrontal Cortex',
+    color: 0xf0b8a8,
+    type: 'area',
+    parent: 'frontal_lobe_{side}',
+    patch: { center: [0, 0.15, 0.55], radius: [0.9, 0.75, 0.32], facing: [0, 0, 1], minFacing: 0.2 },
+    description:
+      'The front of the frontal lobe, the last region to mature. It holds goals in mind and steers behaviour toward them, overriding habits and impulses when needed.',
+    functions: [
+      'Working memory',
+      'Planning & decision making',
+      'Impulse control',
+      'Social behaviour'
+    ],
+    conditions: [
+      'ADHD',
+      'Schizophrenia',
+      'Frontotemporal Dementia'
+    ]
+  }),
+  {
+    id: 'brocas_area',
+    name: 'Broca\'s Area',
+    color: 0xd9665c,
+    type: 'area',
+    parent: 'frontal_lobe_left',
+    patch: { center: [-0.26, 0, 0.2], radius: [0.25, 0.18, 0.2], facing: [-1, 0, 0], minFacing: 0.3 },
+    description:
+      'Part of the inferior frontal gyrus of the left (language-dominant) hemisphere. It plans the movements of speech and builds grammatical sentences.',
+    functions: [
+      'Speech production',
+      'Grammar & syntax',
+      'Articulation planning'
+    ],
+    conditions: [
+      'Broca\'s (expressive) Aphasia',
+      'Apraxia of Speech'
+    ]
+  },
+  ...bilateral({
+    id: 'primary_somatosensory_cortex',
+    name: 'Primary Somatosensory Cortex',
+    color: 0x7fc0d0,
+    type: 'area',
+    parent: 'parietal_lobe_{side}',
+    patch: { center: [0, 0.2, 0.05], radius: [0.9, 0.4, 0.1], facing: [0, 0, -1], minFacing: -0.5 },
+    description:
+      'The postcentral gyrus at the front of the parietal lobe, just behind the motor strip. It receives touch, pressure, pain and position sense, mapped body part by body part.',
+    functions: [
+      'Touch & pressure',
+      'Pain & temperature',
+      'Proprioception',
+      'Somatotopic body map (sensory homunculus)'
+    ],
+    conditions: [
+      'Cortical sensory loss',
+      'Astereognosis'
+    ]
+  }),
+  ...bilateral({
+    id: 'primary_visual_cortex',
+    name: 'Primary Visual Cortex',
+    color: 0xb49ee0,
+    type: 'area',
+    parent: 'occipital_lobe_{side}',
+    patch: { center: [0.26, 0, -0.38], radius: [0.3, 0.3, 0.18], facing: [0, 0, -1], minFacing: -0.2 },
+    description:
+      'Area V1, around the calcarine sulcus at the occipital pole. The first cortical stop for visual signals from the thalamus, it maps the visual field point by point.',
+    functions: [
+      'Edge & orientation detection',
+      'Retinotopic map of the visual field',
+      'Relay to higher visual areas'
+    ],
+    conditions: [
+      'Cortical Blindness',
+      'Homonymous Hemianopia'
+    ]
+  }),
+  {
+    id: 'wernickes_area',
+    name: 'Wernicke\'s Area',
+    color: 0xa4ad38,
+    type: 'area',
+    parent: 'temporal_lobe_left',
+    patch: { center: [-0.3, 0.05, -0.3], radius: [0.2, 0.16, 0.2], facing: [-1, 0, 0], minFacing: 0.3 },
+    description:
+      'The back of the superior temporal gyrus in the left (language-dominant) hemisphere. It links heard and read words to their meaning.',
+    functions: [
+      'Language comprehension',
+      'Word meaning',
+      'Monitoring one\'s own speech'
+    ],
+    conditions: [
+      'Wernicke\'s (receptive) Aphasia'
+    ]
+  },
+  ...bilateral({
+    id: 'auditory_cortex',
+    name: 'Primary Auditory Cortex',
+    color: 0xdbe27a,
+    type: 'area',
+    parent: 'temporal_lobe_{side}',
+    patch: { center: [0, 0.12, 0.05], radius: [0.3, 0.08, 0.16], facing: [0, 1, 0], minFacing: 0.5 },
+    description:
+      'Heschl\'s gyrus on the upper surface of the left temporal lobe, tucked into the lateral fissure. Its tonotopic map sorts incoming sound by pitch; the left side favours the fast timing cues of speech.',
+    functions: [
+      'Pitch & loudness',
+      'Tonotopic frequency map',
+      'Speech sound timing'
+    ],
+    conditions: [
+      'Cortical Deafness',
+      'Auditory Processing Disorder'
+    ]
+  }, {
+    right: {
+      description:
+        'Heschl\'s gyrus on the upper surface of the right temporal lobe. Its tonotopic map sorts incoming sound by pitch; the right side favours melody and tone.',
+      functions: [
+        'Pitch & loudness',
+        'Tonotopic frequency map',
+        'Music & tone perception'
+      ],
+      conditions: [
+        'Cortical Deafness',
+        'Amusia'
+      ]
+    }
+  }),
+  // Hippocampal subfields: the tube's sides, split by facing direction
+  ...bilateral({
+    id: 'hippocampus_ca1',
+    name: 'CA1',
+    color: 0xf5b877,
+    type: 'area',
+    parent: 'hippocampus_{side}',
+    patch: { facing: [-1, 0, 0], minFacing: 0.72 },
+    description:
+      'Cornu Ammonis field 1, the main output field of the hippocampus proper. It compares incoming experience with stored patterns and is the first subfield to lose neurons in Alzheimer\'s disease and after oxygen deprivation.',
+    functions: [
+      'Memory consolidation',
+      'Novelty detection',
+      'Hippocampal output to the subiculum'
+    ],
+    conditions: [
+      'Alzheimer\'s Disease',
+      'Hypoxic-ischaemic injury'
+    ]
+  }),
+  ...bilateral({
+    id: 'hippocampus_ca3',
+    name: 'CA3',
+    color: 0xe08f3c,
+    type: 'area',
+    parent: 'hippocampus_{side}',
+    patch: { facing: [0, 1, 0], minFacing: 0.72 },
+    description:
+      'Cornu Ammonis field 3, whose richly interconnected neurons can recall a whole memory from a fragment.',
+    functions: [
+      'Pattern completion',
+      'Associative memory',
+      'Sharp-wave ripple generation'
+    ],
+    conditions: [
+      'Temporal Lobe Epilepsy',
+      'Stress-related atrophy'
+    ]
+  }),
+  ...bilateral({
+    id: 'dentate_gyrus',
+    name: 'Dentate Gyrus',
+    color: 0xf7cf8f,
+    type: 'area',
+    parent: 'hippocampus_{side}',
+    patch: { facing: [1, 0, 0], minFacing: 0.72 },
+    description:
+      'The hippocampus\'s input gate, receiving the perforant path from the entorhinal cortex. One of the few places where new neurons are thought to be made in adults.',
+    functions: [
+      'Pattern separation',
+      'Adult neurogenesis',
+      'Input from entorhinal cortex'
+    ],
+    conditions: [
+      'Depression',
+      'Temporal Lobe Epilepsy'
+    ]
+  }),
+  ...bilateral({
+    id: 'subiculum',
+    name: 'Subiculum',
+    color: 0xc97a2e,
+    type: 'area',
+    parent: 'hippocampus_{side}',
+    patch: { facing: [0, -1, 0], minFacing: 0.72 },
+    description:
+      'The transition zone between CA1 and the entorhinal cortex, and the main route out of the hippocampal formation.',
+    functions: [
+      'Hippocampal output',
+      'Spatial coding',
+      'Stress-response regulation'
+    ],
+    conditions: [
+      'Alzheimer\'s Disease',
+      'Temporal Lobe Epilepsy'
+    ]
+  }),
 ];
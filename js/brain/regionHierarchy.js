@@ -0,0 +1,85 @@
+import { BRAIN_REGIONS } from './regionData.js';
+
+/**
+ * Parent/child lookups over BRAIN_REGIONS. Groups (cerebrum, hemispheres,
+ * diencephalon) contain region meshes, and region meshes contain named
+ * areas; entries with `parent: null` are the top level. Children keep
+ * data order.
+ */
+
+const byId = new Map(BRAIN_REGIONS.map((region) => [region.id, region]));
+const childrenOf = new Map(); // parent id (null = top level) -> entries
+
+for (const region of BRAIN_REGIONS) {
+  const parent = region.parent || null;
+  if (parent && !byId.has(parent)) {
+    throw new Error(`Unknown parent region: ${parent} (of ${region.id})`);
+  }
+  if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+  childrenOf.get(parent).push(region);
+}
+
+/**
+ * Whether an entry is drawn as a region mesh of its own.
+ */
+export function hasMesh(region) {
+  return region.type === 'lobe' || region.type === 'internal';
+}
+
+export function getRegion(id) {
+  return byId.get(id) || null;
+}
+
+/**
+ * Direct children of an entry, or the top level for null.
+ */
+export function getChildren(id = null) {
+  return childrenOf.get(id) || [];
+}
+
+export function getParent(id) {
+  const region = byId.get(id);
+  return region && region.parent ? byId.get(region.parent) : null;
+}
+
+/**
+ * Entries from the top level down to `id`, inclusive (breadcrumbs).
+ */
+export function getPath(id) {
+  const path = [];
+  for (let region = byId.get(id); region; region = getParent(region.id)) {
+    path.unshift(region);
+  }
+  return path;
+}
+
+/**
+ * Every entry below `id`, depth first.
+ */
+export function getDescendants(id) {
+  const result = [];
+  for (const child of getChildren(id)) {
+    result.push(child, ...getDescendants(child.id));
+  }
+  return result;
+}
+
+/**
+ * Whether `id` is `ancestorId` or lies below it.
+ */
+export function isWithin(id, ancestorId) {
+  for (let region = byId.get(id); region; region = getParent(region.id)) {
+    if (region.id === ancestorId) return true;
+  }
+  return false;
+}
+
+/**
+ * The nearest entry at or above `id` that has a mesh (an area's region).
+ */
+export function getMeshRegion(id) {
+  for (let region = byId.get(id); region; region = getParent(region.id)) {
+    if (hasMesh(region)) return region;
+  }
+  return null;
+}
@@ -0,0 +1,177 @@
+import { BRAIN_REGIONS } from './regionData.js';
+import { TRACTS } from './tractData.js';
+import { CONDITIONS } from './conditionData.js';
+
+/**
+ * Full-text search over every region, area, group, tract and condition:
+ * names (and a condition's other spellings), functions, conditions and
+ * descriptions.
+ *
+ * Matching is per word and forgiving: each query word may match a word of
+ * the text exactly, as a prefix, inside it, within a typo or two, or as a
+ * scattering of its letters in order — each scoring less. Every query word
+ * has to match somewhere. A match in the name counts most, then functions
+ * and conditions, then the description; further matches of the same word
+ * (three memory functions rather than one) count a little, and the whole
+ * query appearing as a phrase counts extra.
+ */
+
+const FIELD_WEIGHTS = { name: 3, functions: 2, conditions: 2, description: 1 };
+const PHRASE_BONUS = 1;    // times the field weight
+const REPEAT_WEIGHT = 0.25; // for each match of a word after its best
+
+// Lowercase words only — accents, apostrophes and punctuation dropped, so
+// "broca's" finds "Brocas" and "alzheimer" finds "Alzheimer's"
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Each field as a list of texts to match and show; descriptions by sentence
+function searchable(entry, kind) {
+  const texts = {
+    name: [entry.name, ...(entry.aliases || [])],
+    functions: entry.functions || [],
+    conditions: entry.conditions || [],
+    description: (entry.description.match(/[^.!?]+[.!?]*/g) || []).map((s) => s.trim())
+  };
+  const fields = Object.entries(texts).map(([field, items]) => ({
+    field,
+    items: items.map((text) => {
+      const normalized = normalize(text);
+      return { text, normalized, words: normalized.split(' ') };
+    })
+  }));
+  return { id: entry.id, name: entry.name, kind, fields };
+}
+
+const INDEX = [
+  ...BRAIN_REGIONS.map((region) => searchable(region, region.type)),
+  ...TRACTS.map((tract) => searchable(tract, 'tract')),
+  ...CONDITIONS.map((condition) => searchable(condition, 'condition'))
+];
+
+// Edit distance counting a swap of neighbouring letters as one edit
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows.push([i]);
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i].push(j);
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, rows[i - 2][j - 2] + 1);
+      }
+      rows[i].push(d);
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// Whether the letters of `token` appear in `word` in order, from its start
+function isScattered(token, word) {
+  if (token[0] !== word[0]) return false;
+  let i = 0;
+  for (const char of word) {
+    if (char === token[i]) i++;
+    if (i === token.length) return true;
+  }
+  return false;
+}
+
+// How well one query word matches one word of the text, 0..1
+function wordScore(token, word) {
+  if (word === token) return 1;
+  if (word.startsWith(token)) return 0.8;
+  if (token.length >= 3 && word.includes(token)) return 0.6;
+  if (token.length >= 4) {
+    // Typos, in the whole word or (past four letters) in what has been
+    // typed of it so far
+    const distance = Math.min(
+      editDistance(token, word),
+      token.length >= 5 ? editDistance(token, word.slice(0, token.length)) : Infinity
+    );
+    const allowed = token.length >= 7 ? 2 : 1;
+    if (distance <= allowed) return 0.5 - (distance - 1) * 0.15;
+  }
+  if (token.length >= 3 && isScattered(token, word)) return 0.25;
+  return 0;
+}
+
+/**
+ * Entries matching a query, best first. With `kind`, only entries of that
+ * kind — and an empty query lists them all by name.
+ * @param {string} query
+ * @param {{kind?: string}} [options]
+ * @returns {{id: string, name: string, kind: string, score: number,
+ *   field: string, text: string}[]} kind is the region type, 'tract' or
+ *   'condition'; field and text are the best-matching field and item (a
+ *   function, condition or description sentence)
+ */
+export function searchRegions(query, { kind } = {}) {
+  const entries = kind ? INDEX.filter((entry) => entry.kind === kind) : INDEX;
+  const phrase = normalize(query);
+  if (!phrase) {
+    if (!kind) return [];
+    return entries
+      .map(({ id, name }) => ({ id, name, kind, score: 0, field: 'name', text: name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+  const tokens = phrase.split(' ');
+
+  const results = [];
+  for (const entry of entries) {
+    let score = 0;
+    let best = null; // { weighted, field, text }
+
+    for (const token of tokens) {
+      let tokenBest = null;
+      let total = 0;
+      for (const { field, items } of entry.fields) {
+        for (const item of items) {
+          let itemScore = 0;
+          for (const word of item.words) itemScore = Math.max(itemScore, wordScore(token, word));
+          const weighted = itemScore * FIELD_WEIGHTS[field];
+          total += weighted;
+          if (weighted > 0 && (!tokenBest || weighted > tokenBest.weighted)) {
+            tokenBest = { weighted, field, text: item.text };
+          }
+        }
+      }
+      if (!tokenBest) {
+        score = 0;
+        break;
+      }
+      score += tokenBest.weighted + (total - tokenBest.weighted) * REPEAT_WEIGHT;
+      if (!best || tokenBest.weighted > best.weighted) best = tokenBest;
+    }
+    if (score === 0) continue;
+
+    // The whole query as a phrase — shown in place of the best word match
+    // unless that is in a weightier field
+    let shown = best;
+    if (tokens.length > 1) {
+      for (const { field, items } of entry.fields) {
+        const item = items.find((i) => i.normalized.includes(phrase));
+        if (item) {
+          score += PHRASE_BONUS * FIELD_WEIGHTS[field];
+          if (FIELD_WEIGHTS[field] >= FIELD_WEIGHTS[best.field]) shown = { field, text: item.text };
+          break;
+        }
+      }
+    }
+
+    results.push({ id: entry.id, name: entry.name, kind: entry.kind, score, field: shown.field, text: shown.text });
+  }
+
+  return results.sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
@@ -300,10 +300,48 @@ function clipGeometry(geometry, planeNormal, planeOffset) {
   }
 }
 
+/**
+ * Reflect geometry across x = 0 in place — how the right side of a paired
+ * region is made from the left. A reflection turns faces inside out, so
+ * two corners of every triangle swap to keep them facing outward.
+ */
+function mirrorGeometry(geometry) {
+  geometry.scale(-1, 1, 1);
+  const index = geometry.index;
+  for (let i = 0; i < index.count; i += 3) {
+    const b = index.getX(i + 1);
+    index.setX(i + 1, index.getX(i + 2));
+    index.setX(i + 2, b);
+  }
+  index.needsUpdate = true;
+  geometry.computeVertexNormals();
+}
+
+// Medial faces of the cerebral halves stop short of the midline, leaving
+// the longitudinal fissure between them
+const FISSURE_HALF_WIDTH = 0.015;
+
+/**
+ * Keep the left half of a midline-centred lobe by flattening everything
+ * past the fissure onto it. Runs after folding, so the medial face stays
+ * flat and clear of the mirrored right half.
+ */
+function cutAtFissure(geometry) {
+  const pos = geometry.attributes.position;
+  for (let i = 0; i < pos.count; i++) {
+    if (pos.getX(i) > -FISSURE_HALF_WIDTH) pos.setX(i, -FISSURE_HALF_WIDTH);
+  }
+  geometry.computeVertexNormals();
+}
+
 // ================================================================
 // Lobe geometry creators
 // ================================================================
 
+// The frontal, parietal and occipital creators build the left half of a
+// lobe centred on the midline: folded, cut at the fissure, then shifted so
+// the mesh origin is the half's own position.
+
 function createFrontalLobe(regionData) {
   // Largest lobe: wide, tall, extends to front
   const geom = createEllipsoid(0.72, 0.62, 0.55);
@@ -320,6 +358,8 @@ function createFrontalLobe(regionData) {
     octaves: 5,
     ridgeSharpness: 1.8
   });
+  cutAtFissure(geom);
+  geom.translate(-regionData.position[0], 0, 0);
 
   const mat = createCortexMaterial(regionData.color);
   const mesh = new THREE.Mesh(geom, mat);
@@ -342,6 +382,8 @@ function createParietalLobe(regionData) {
     octaves: 5,
     ridgeSharpness: 1.7
   });
+  cutAtFissure(geom);
+  geom.translate(-regionData.position[0], 0, 0);
 
   const mat = createCortexMaterial(regionData.color);
   const mesh = new THREE.Mesh(geom, mat);
@@ -383,6 +425,8 @@ function createOccipitalLobe(regionData) {
     octaves: 5,
     ridgeSharpness: 1.6
   });
+  cutAtFissure(geom);
+  geom.translate(-regionData.position[0], 0, 0);
 
   const mat = createCortexMaterial(regionData.color);
   const mesh = new THREE.Mesh(geom, mat);
@@ -451,8 +495,8 @@ function createBrainStem(regionData) {
 // ================================================================
 
 function createThalamus(regionData) {
-  // Egg-shaped, slightly left-right elongated (two halves)
-  const geom = createEllipsoid(0.18, 0.12, 0.15, 32, 24);
+  // One of the paired eggs either side of the third ventricle
+  const geom = createEllipsoid(0.085, 0.12, 0.15, 32, 24);
   const seed = hashString(regionData.id);
   const { perm, permMod12 } = buildPermTable(seed);
   const pos = geom.attributes.position;
@@ -756,11 +800,12 @@ export function createBrainShell() {
 // Public API
 // ================================================================
 
+// Keyed by region id, or by `bilateral` for paired regions (the creator
+// builds the left side)
 const CREATORS = {
   frontal_lobe: createFrontalLobe,
   parietal_lobe: createParietalLobe,
-  temporal_lobe_left: createTemporalLobe,
-  temporal_lobe_right: createTemporalLobe,
+  temporal_lobe: createTemporalLobe,
   occipital_lobe: createOccipitalLobe,
   cerebellum: createCerebellum,
   brain_stem: createBrainStem,
@@ -777,10 +822,10 @@ const CREATORS = {
  * Returns a THREE.Mesh with userData.regionId set.
  */
 export function createRegionMesh(regionData) {
-  const creator = CREATORS[regionData.id];
-  const mesh = creator
-    ? creator(regionData)
-    : createDefaultInternal(regionData);
+  const creator = CREATORS[regionData.bilateral || regionData.id] || createDefaultInternal;
+  const mesh = regionData.side === 'right'
+    ? createMirroredMesh(creator, regionData)
+    : creator(regionData);
 
   mesh.userData.regionId = regionData.id;
   mesh.userData.regionData = regionData;
@@ -789,6 +834,92 @@ export function createRegionMesh(regionData) {
   return mesh;
 }
 
+/**
+ * The right side of a paired region: its left side, built from the left's
+ * id (so the same noise seed) and mirrored across the midline.
+ */
+function createMirroredMesh(creator, regionData) {
+  const [x, y, z] = regionData.position;
+  const mesh = creator({ ...regionData, id: `${regionData.bilateral}_left`, position: [-x, y, z] });
+  mirrorGeometry(mesh.geometry);
+  mesh.position.x = x;
+  return mesh;
+}
+
+const PATCH_LIFT = 0.004; // keeps a patch just above its parent's surface
+
+/**
+ * Create the surface patch for a named area (type 'area'): a copy of the
+ * parent mesh's triangles chosen by areaData.patch, lifted slightly along
+ * their normals. Add it as a child of the parent mesh so it follows the
+ * explosion. Returns a THREE.Mesh with userData.regionId set.
+ */
+export function createAreaPatch(parentMesh, areaData) {
+  const { center, radius, facing, minFacing = -1 } = areaData.patch;
+  const geometry = parentMesh.geometry;
+  const pos = geometry.attributes.position;
+  const nor = geometry.attributes.normal;
+  const index = geometry.index;
+  const triangleCount = (index ? index.count : pos.count) / 3;
+  const facingDir = facing ? new THREE.Vector3(...facing).normalize() : null;
+
+  const positions = [];
+  const normals = [];
+  const centroid = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const corners = [0, 0, 0];
+
+  for (let t = 0; t < triangleCount; t++) {
+    centroid.set(0, 0, 0);
+    normal.set(0, 0, 0);
+    for (let k = 0; k < 3; k++) {
+      const i = index ? index.getX(t * 3 + k) : t * 3 + k;
+      corners[k] = i;
+      centroid.x += pos.getX(i) / 3;
+      centroid.y += pos.getY(i) / 3;
+      centroid.z += pos.getZ(i) / 3;
+      normal.x += nor.getX(i);
+      normal.y += nor.getY(i);
+      normal.z += nor.getZ(i);
+    }
+
+    if (center) {
+      const dx = (centroid.x - center[0]) / radius[0];
+      const dy = (centroid.y - center[1]) / radius[1];
+      const dz = (centroid.z - center[2]) / radius[2];
+      if (dx * dx + dy * dy + dz * dz > 1) continue;
+    }
+    if (facingDir && normal.normalize().dot(facingDir) < minFacing) continue;
+
+    for (const i of corners) {
+      positions.push(
+        pos.getX(i) + nor.getX(i) * PATCH_LIFT,
+        pos.getY(i) + nor.getY(i) * PATCH_LIFT,
+        pos.getZ(i) + nor.getZ(i) * PATCH_LIFT
+      );
+      normals.push(nor.getX(i), nor.getY(i), nor.getZ(i));
+    }
+  }
+
+  const patchGeometry = new THREE.BufferGeometry();
+  patchGeometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  patchGeometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+  patchGeometry.computeBoundingSphere();
+
+  const mat = parentMesh.userData.regionData.type === 'lobe'
+    ? createCortexMaterial(areaData.color)
+    : createInternalMaterial(areaData.color);
+  // Win the depth test against the parent where the two nearly touch
+  mat.polygonOffset = true;
+  mat.polygonOffsetFactor = -2;
+  mat.polygonOffsetUnits = -2;
+
+  const mesh = new THREE.Mesh(patchGeometry, mat);
+  mesh.userData.regionId = areaData.id;
+  mesh.userData.regionData = areaData;
+  return mesh;
+}
+
 function createDefaultInternal(regionData) {
   const [sx, sy, sz] = regionData.scale;
   const geom = createEllipsoid(sx * 0.3, sy * 0.3, sz * 0.3, 24, 18);
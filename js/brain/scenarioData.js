@@ -0,0 +1,106 @@
+/**
+ * Scripted activation scenarios: how processing flows through the brain
+ * during a task, for explaining rather than measuring.
+ *
+ * A scenario's `tracks` map region, area or tract ids to keyframes
+ * `[time, level]` — seconds from the start, activation 0..1 — played back
+ * by ScenarioPlayer.js with linear interpolation between them. `captions`
+ * narrate it: each shows from its time until the next. `explosion` is the
+ * least explosion it plays at, so deep structures can be seen through the
+ * shell. Timings are illustrative, stretched to be followed by eye.
+ */
+
+const RAMP = 0.4; // seconds to rise to a burst's level and to fall back
+
+/**
+ * Keyframes for activity from `start` to `end` at `level`, ramping in and
+ * out. Spread several into one track for repeated bursts.
+ */
+function burst(start, end, level = 1) {
+  return [[start, 0], [start + RAMP, level], [end - RAMP, level], [end, 0]];
+}
+
+/**
+ * The same keyframes on the left and right of a paired region or tract.
+ */
+function bothSides(id, keyframes) {
+  return { [`${id}_left`]: keyframes, [`${id}_right`]: keyframes };
+}
+
+export const SCENARIOS = [
+  {
+    id: 'reading_aloud',
+    name: 'Reading a word aloud',
+    duration: 11,
+    tracks: {
+      ...bothSides('visual_pathway', burst(0.2, 2.2)),
+      ...bothSides('primary_visual_cortex', burst(0.8, 3.2)),
+      ...bothSides('occipital_lobe', burst(1.4, 4, 0.5)),
+      wernickes_area: burst(2.8, 6),
+      arcuate_fasciculus: burst(4.4, 6.8),
+      brocas_area: burst(5.2, 8.6),
+      ...bothSides('primary_motor_cortex', burst(6.8, 10, 0.8)),
+      basal_ganglia_left: burst(6.8, 9.6, 0.5),
+      cerebellum: burst(7, 10, 0.6),
+      ...bothSides('auditory_cortex', burst(8, 10.8, 0.7))
+    },
+    captions: [
+      { time: 0, text: 'Light from the printed word travels from the eyes along the visual pathways.' },
+      { time: 1, text: 'The primary visual cortex picks out the shapes of the letters.' },
+      { time: 1.8, text: 'Nearby occipital cortex recognises them as a familiar written word.' },
+      { time: 3, text: 'Wernicke\'s area links the word to its sound and meaning.' },
+      { time: 4.6, text: 'The arcuate fasciculus carries it forward to Broca\'s area.' },
+      { time: 5.6, text: 'Broca\'s area plans the sequence of speech sounds.' },
+      { time: 7, text: 'Motor cortex, basal ganglia and cerebellum drive the lips, tongue and larynx.' },
+      { time: 8.4, text: 'The auditory cortex hears your own voice, checking what was said.' }
+    ]
+  },
+  {
+    id: 'face_recognition',
+    name: 'Recognising a face',
+    duration: 10,
+    explosion: 0.3,
+    tracks: {
+      ...bothSides('visual_pathway', burst(0.2, 2)),
+      ...bothSides('primary_visual_cortex', burst(0.6, 3)),
+      ...bothSides('occipital_lobe', burst(1.4, 4.2, 0.6)),
+      // Face processing leans right
+      temporal_lobe_right: burst(2.6, 6.4),
+      temporal_lobe_left: burst(2.8, 6, 0.5),
+      ...bothSides('amygdala', burst(4, 6.8, 0.6)),
+      ...bothSides('hippocampus', burst(4.6, 7.8, 0.7)),
+      ...bothSides('prefrontal_cortex', burst(6.2, 9.6, 0.7))
+    },
+    captions: [
+      { time: 0, text: 'The face reaches the primary visual cortex by way of the thalamus.' },
+      { time: 1.6, text: 'Occipital cortex pulls out its parts — eyes, nose, mouth — and their layout.' },
+      { time: 2.8, text: 'The underside of the temporal lobe (the fusiform face area, stronger on the right) sees it as a face.' },
+      { time: 4.2, text: 'The amygdala reads its expression: friendly, angry, afraid?' },
+      { time: 5, text: 'The hippocampus and temporal lobes search memory: have I seen this person before?' },
+      { time: 6.6, text: 'Prefrontal cortex puts a name and context to the face.' }
+    ]
+  },
+  {
+    id: 'fear_response',
+    name: 'Fear response',
+    duration: 10,
+    explosion: 0.35,
+    tracks: {
+      ...bothSides('thalamus', burst(0, 2.4)),
+      ...bothSides('amygdala', burst(0.8, 6.6)),
+      ...bothSides('primary_visual_cortex', burst(1.2, 3.4, 0.5)),
+      hypothalamus: burst(2.2, 7.6, 0.9),
+      brain_stem: burst(2.6, 7.6, 0.8),
+      ...bothSides('hippocampus', burst(4, 8.2, 0.5)),
+      ...bothSides('prefrontal_cortex', burst(5.4, 9.6, 0.8))
+    },
+    captions: [
+      { time: 0, text: 'A sudden shape on the path: the thalamus relays the signal.' },
+      { time: 0.8, text: 'The fast "low road" reaches the amygdala before you know what you have seen.' },
+      { time: 1.6, text: 'The slower "high road" through the visual cortex works out what it is.' },
+      { time: 2.6, text: 'The hypothalamus starts the stress hormones; the brain stem raises heart rate and breathing.' },
+      { time: 4.2, text: 'The hippocampus adds context — is this place dangerous?' },
+      { time: 5.8, text: 'Prefrontal cortex weighs it up and can calm the amygdala: it was only a stick.' }
+    ]
+  }
+];
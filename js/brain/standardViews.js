@@ -0,0 +1,40 @@
+import * as THREE from 'three';
+
+/**
+ * Standard anatomical views of the brain model.
+ *
+ * Model axes follow regionData.js: anterior +z, superior +y, and the
+ * left-hemisphere regions on −x. Each view is the group orientation (in the
+ * camera's frame) that turns the named side toward the viewer, superior up
+ * for the horizontal views and anterior up for superior/inferior.
+ * The mid-sagittal view looks at the right hemisphere's medial surface from
+ * the left, with the left half sliced away at the midline (`slice`, see
+ * SlicePlanes.js).
+ */
+
+const X = new THREE.Vector3(1, 0, 0);
+const Y = new THREE.Vector3(0, 1, 0);
+const Z = new THREE.Vector3(0, 0, 1);
+
+function turn(axis, angle) {
+  return new THREE.Quaternion().setFromAxisAngle(axis, angle);
+}
+
+export const STANDARD_VIEWS = [
+  { id: 'anterior', label: 'Anterior', key: '1', quaternion: new THREE.Quaternion() },
+  { id: 'posterior', label: 'Posterior', key: '2', quaternion: turn(Y, Math.PI) },
+  { id: 'left', label: 'Left lateral', key: '3', quaternion: turn(Y, Math.PI / 2) },
+  { id: 'right', label: 'Right lateral', key: '4', quaternion: turn(Y, -Math.PI / 2) },
+  { id: 'superior', label: 'Superior', key: '5', quaternion: turn(Z, Math.PI).multiply(turn(X, Math.PI / 2)) },
+  { id: 'inferior', label: 'Inferior', key: '6', quaternion: turn(X, -Math.PI / 2) },
+  { id: 'mid_sagittal', label: 'Mid-sagittal', key: '7', quaternion: turn(Y, Math.PI / 2),
+    slice: { plane: 'sagittal', position: 0, keep: 1 } }
+];
+
+/**
+ * @param {string} id
+ * @returns {object|null} the view definition
+ */
+export function getStandardView(id) {
+  return STANDARD_VIEWS.find((view) => view.id === id) || null;
+}
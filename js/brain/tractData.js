@@ -0,0 +1,149 @@
+/**
+ * Static data for white-matter tracts between brain regions.
+ *
+ * A tract runs through `stops`, each anchored to a region mesh or a named
+ * area (see regionData.js): the region's origin, or the centre of the
+ * area's surface patch, plus an optional `offset` in that region's local
+ * space. Anchoring to regions keeps a tract attached as they explode.
+ * Stops marked `via` only shape the route (e.g. the internal capsule);
+ * the others are the tract's endpoints, highlighted when it is selected.
+ * `closed` tracts loop back to their first stop.
+ *
+ * Paired tracts are written once, as the left side, through paired()
+ * below — mirrored like bilateral() in regionData.js.
+ */
+
+const mirrorX = ([x, y, z]) => [-x, y, z];
+
+/**
+ * Left and right entries of a paired tract, from its left side written
+ * without a side suffix. The right mirrors stop offsets across the
+ * midline; `{side}` in a stop's region names the same side's region.
+ * `overrides.right` replaces fields where the sides differ.
+ */
+function paired(tract, overrides = {}) {
+  const { left = {}, right = {} } = overrides;
+  return ['left', 'right'].map((side) => ({
+    ...tract,
+    id: `${tract.id}_${side}`,
+    name: `${tract.name} (${side === 'left' ? 'Left' : 'Right'})`,
+    stops: tract.stops.map((stop) => ({
+      ...stop,
+      region: stop.region.replace('{side}', side),
+      ...(stop.offset && side === 'right' ? { offset: mirrorX(stop.offset) } : {})
+    })),
+    side,
+    bilateral: tract.id,
+    ...(side === 'left' ? left : right)
+  }));
+}
+
+export const TRACTS = [
+  ...paired({
+    id: 'papez_circuit',
+    name: 'Papez Circuit',
+    color: 0xf5c26b,
+    closed: true,
+    stops: [
+      { region: 'hippocampus_{side}', offset: [0, 0.02, -0.08] },
+      // Fornix, arching under the corpus callosum
+      { region: 'corpus_callosum', offset: [-0.04, 0.18, -0.2], via: true },
+      // Mammillary bodies
+      { region: 'hypothalamus', offset: [-0.03, -0.04, -0.06] },
+      // Anterior thalamic nucleus
+      { region: 'thalamus_{side}', offset: [0, 0.06, 0.1] },
+      // Cingulum, over the corpus callosum and back down
+      { region: 'corpus_callosum', offset: [-0.06, 0.55, 0.25], via: true },
+      { region: 'corpus_callosum', offset: [-0.06, 0.5, -0.45], via: true }
+    ],
+    description:
+      'A loop of limbic connections described by James Papez in 1937: hippocampus, fornix, mammillary bodies, anterior thalamus, cingulate gyrus, and back to the hippocampus through the parahippocampal gyrus.',
+    functions: [
+      'Episodic memory consolidation',
+      'Linking memory with emotion',
+      'Spatial memory'
+    ],
+    conditions: [
+      'Korsakoff Syndrome',
+      'Alzheimer\'s Disease',
+      'Amnesia after fornix injury'
+    ]
+  }),
+  ...paired({
+    id: 'corticospinal_tract',
+    name: 'Corticospinal Tract',
+    color: 0x6fa8ff,
+    stops: [
+      { region: 'primary_motor_cortex_{side}', offset: [0.05, 0.2, 0] },
+      // Posterior limb of the internal capsule
+      { region: 'basal_ganglia_{side}', offset: [0.07, 0.04, -0.02], via: true },
+      // Cerebral peduncle
+      { region: 'brain_stem', offset: [-0.05, 0.25, 0.05], via: true },
+      // Crosses the midline at the pyramidal decussation
+      { region: 'brain_stem', offset: [0.04, -0.28, 0] }
+    ],
+    description:
+      'The main voluntary motor pathway. Axons from the motor cortex funnel through the internal capsule and brain stem, and most cross to the other side in the lower medulla before running down the spinal cord.',
+    functions: [
+      'Voluntary movement of the opposite side of the body',
+      'Fine, independent finger movements',
+      'Motor signals to spinal motor neurons'
+    ],
+    conditions: [
+      'Stroke (internal capsule)',
+      'ALS',
+      'Cerebral Palsy',
+      'Spinal Cord Injury'
+    ]
+  }),
+  ...paired({
+    id: 'visual_pathway',
+    name: 'Visual Pathway',
+    color: 0xc79bff,
+    stops: [
+      // Optic chiasm, below the front of the hypothalamus
+      { region: 'hypothalamus', offset: [-0.02, -0.1, 0.12], via: true },
+      // Lateral geniculate nucleus
+      { region: 'thalamus_{side}', offset: [-0.05, -0.06, -0.1] },
+      // Optic radiation, Meyer's loop sweeping through the temporal lobe
+      { region: 'temporal_lobe_{side}', offset: [0.2, 0.1, -0.25], via: true },
+      { region: 'primary_visual_cortex_{side}' }
+    ],
+    description:
+      'Signals from both eyes about the opposite half of the visual field: the optic tract runs from the chiasm to the lateral geniculate nucleus of the thalamus, and the optic radiation fans out from there to the primary visual cortex.',
+    functions: [
+      'Conscious vision of the opposite visual field',
+      'Relay through the lateral geniculate nucleus',
+      'Retinotopic mapping onto V1'
+    ],
+    conditions: [
+      'Homonymous Hemianopia',
+      'Superior Quadrantanopia (Meyer\'s loop)',
+      'Bitemporal Hemianopia (chiasm compression)'
+    ]
+  }),
+  {
+    id: 'arcuate_fasciculus',
+    name: 'Arcuate Fasciculus',
+    color: 0xe8a95c,
+    side: 'left',
+    stops: [
+      { region: 'wernickes_area' },
+      // Arching around the end of the lateral fissure
+      { region: 'parietal_lobe_left', offset: [-0.22, -0.12, 0.05], via: true },
+      { region: 'frontal_lobe_left', offset: [-0.25, 0.05, -0.05], via: true },
+      { region: 'brocas_area' }
+    ],
+    description:
+      'A curved bundle in the language-dominant (left) hemisphere joining Wernicke\'s area to Broca\'s area, arching around the end of the lateral fissure.',
+    functions: [
+      'Repeating heard speech',
+      'Linking word comprehension to speech production',
+      'Phonological working memory'
+    ],
+    conditions: [
+      'Conduction Aphasia',
+      'Developmental Language Disorder'
+    ]
+  }
+];
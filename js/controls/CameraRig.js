@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+
+/**
+ * Camera zoom and fly-to framing.
+ *
+ * The camera keeps its home viewing direction and looks at a focus point
+ * from some distance:
+ *  - with nothing framed, the focus is the brain centre at the home distance
+ *  - frame(object) follows the object's world bounding sphere every frame
+ *    (so exploded, rotated, or still-moving regions stay framed) at the
+ *    distance that fits the sphere in view
+ *  - zoomBy(factor) scales that distance on top, from any input
+ *
+ * update(dt) eases position and focus toward where they should be.
+ */
+
+const _sphere = new THREE.Sphere();
+
+export class CameraRig {
+  /**
+   * @param {THREE.PerspectiveCamera} camera  its current position is home
+   * @param {object} [opts]
+   * @param {THREE.Vector3} [opts.lookAt]   home focus (default origin)
+   * @param {number} [opts.minZoom=0.1]     zoom factor limits
+   * @param {number} [opts.maxZoom=2.5]
+   * @param {number} [opts.fitMargin=1.6]   framed sphere radius → view size
+   * @param {number} [opts.smoothing=4]     1/s — fly-to speed
+   */
+  constructor(camera, {
+    lookAt = new THREE.Vector3(),
+    minZoom = 0.1,
+    maxZoom = 2.5,
+    fitMargin = 1.6,
+    smoothing = 4
+  } = {}) {
+    this.camera = camera;
+    this.minZoom = minZoom;
+    this.maxZoom = maxZoom;
+    this.fitMargin = fitMargin;
+    this.smoothing = smoothing;
+
+    this.homeFocus = lookAt.clone();
+    const offset = camera.position.clone().sub(lookAt);
+    this.homeDistance = offset.length();
+    this._direction = offset.normalize();
+
+    this.zoom = 1;          // < 1 is closer
+    this.framed = null;     // Object3D being framed, or null
+
+    this._focus = this.homeFocus.clone();
+    this._distance = this.homeDistance;
+    this._desiredFocus = new THREE.Vector3();
+  }
+
+  /**
+   * Multiply the viewing distance (factor < 1 zooms in).
+   */
+  zoomBy(factor) {
+    if (!(factor > 0)) return;
+    this.zoom = THREE.MathUtils.clamp(this.zoom * factor, this.minZoom, this.maxZoom);
+  }
+
+  /**
+   * Fly to and follow an object's bounding sphere. null flies back to the
+   * whole brain (zoom is kept).
+   * @param {THREE.Object3D|null} object
+   */
+  frame(object) {
+    this.framed = object || null;
+  }
+
+  /**
+   * Back home: nothing framed, no zoom.
+   */
+  reset() {
+    this.framed = null;
+    this.zoom = 1;
+  }
+
+  /**
+   * @param {number} dt  seconds
+   */
+  update(dt) {
+    let baseDistance = this.homeDistance;
+    let radius = 0;
+    this._desiredFocus.copy(this.homeFocus);
+
+    if (this.framed && this._boundingSphere(this.framed, _sphere)) {
+      this._desiredFocus.copy(_sphere.center);
+      radius = _sphere.radius;
+      baseDistance = this._fitDistance(radius);
+    }
+    // Never zoom the near plane into the framed region
+    const distance = Math.max(baseDistance * this.zoom, radius + this.camera.near * 2);
+
+    const t = 1 - Math.exp(-this.smoothing * dt);
+    this._focus.lerp(this._desiredFocus, t);
+    this._distance += (distance - this._distance) * t;
+
+    this.camera.position.copy(this._focus).addScaledVector(this._direction, this._distance);
+    this.camera.lookAt(this._focus);
+  }
+
+  // World-space bounding sphere of a mesh, following its current transform
+  _boundingSphere(object, target) {
+    const geometry = object.geometry;
+    if (!geometry) return false;
+    if (!geometry.boundingSphere) geometry.computeBoundingSphere();
+    object.updateWorldMatrix(true, false);
+    target.copy(geometry.boundingSphere).applyMatrix4(object.matrixWorld);
+    return true;
+  }
+
+  // Distance at which a sphere of `radius` fills the narrower view axis
+  _fitDistance(radius) {
+    const vFov = THREE.MathUtils.degToRad(this.camera.fov);
+    const hFov = 2 * Math.atan(Math.tan(vFov / 2) * this.camera.aspect);
+    const halfFov = Math.min(vFov, hFov) / 2;
+    return (radius * this.fitMargin) / Math.sin(halfFov);
+  }
+}
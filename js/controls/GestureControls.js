@@ -1,16 +1,45 @@
+import * as THREE from 'three';
+import { AXIS_X, AXIS_Y, AXIS_Z } from './OrientationController.js';
+
 /**
  * Maps recognized gestures to BrainModel actions.
  *
  * Intuitive gesture mapping:
  *  - Twist pose        → Rotate brain (lightbulb twist = Y rotation, hand up/down = X tilt)
- *  - Pinch             → Select/cycle region (debounced, single action)
+ *  - Pinch             → A quick pinch selects/cycles region when let go;
+ *                        hold it and pull toward you / push away to zoom
  *  - Fist (hold 800ms) → Reset everything
  *  - Two hands apart   → Expand brain regions
  *  - Two hands together→ Collapse brain regions
  *  - Swipe left/right  → Cycle through regions
+ *  - Point             → Cursor at the index fingertip; hover highlights the
+ *                        region under it, dwell or air-tap selects it (or
+ *                        the standard view of a view cube face)
+ *  - Slice (two fingers) → Move the active slice plane with the hand
+ *
+ * Compound two-hand gestures (see GestureRegistry.js) read each hand's own
+ * signals through `gestureData.compound.roles`:
+ *  - Twist pose + pinch → Rotate with one hand, select with the other
+ *  - Fist + other hand  → Clutch: the free hand drags the brain around
+ *  - Pinch both hands   → Steering wheel: tilting the line between the
+ *                         wrists rolls, moving both hands yaws and pitches
+ *
+ * Rotation modes (setRotationMode):
+ *  - 'twist'  — velocity-based: the lightbulb twist spins the brain
+ *  - 'puppet' — absolute: while the rotate pose is held the brain follows
+ *               the palm's 3D orientation, relative to the pose it had
+ *               when the hand took hold
  *
- * All inputs are smoothed with exponential moving averages.
+ * All rotation goes through the brain's OrientationController (quaternion,
+ * view-axis arcball), so no input is limited in pitch. Direct-drag inputs
+ * (clutch, steering) coast on after the hands let go.
+ *
+ * Hand signals arrive already smoothed by the recognizer's One Euro
+ * filters. Twist velocity eases in and out, and tilt and expansion are
+ * lightly averaged on top, before reaching the brain.
  */
+export const ROTATION_MODES = ['twist', 'puppet'];
+
 export class GestureControls {
   constructor(brainModel) {
     this.brain = brainModel;
@@ -32,7 +61,41 @@ export class GestureControls {
     this._tiltSmoothing = 0.18;
     this._maxTiltStep = 0.01;
 
+    // --- Puppet mode (absolute palm orientation) ---
+    this.rotationMode = 'twist';
+    this._puppetNeutralInv = null; // inverse palm orientation when the hand took hold
+    this._puppetBase = null;       // brain orientation when the hand took hold
+    this._puppetHeld = false;      // puppet drove the brain this frame
+    this._puppetTarget = new THREE.Quaternion();
+    this._palmQuat = new THREE.Quaternion();
+
+    // --- Clutch drag (fist + moving hand) ---
+    this._clutchSensitivity = 4.0; // radians per full frame width of hand travel
+
+    // --- Steering wheel (both hands pinching) ---
+    this._steerRollSensitivity = 1.0; // brain roll per radian of wrist-line turn
+    this._steerSensitivity = 4.0;     // radians per full frame width of travel
+
+    // Clutch or steering moved the brain this frame / last frame — when
+    // the hands let go, the orientation controller coasts on
+    this._dragHeld = false;
+    this._wasDragging = false;
+
+    // --- Pinch-and-pull zoom ---
+    this._zoomSensitivity = 3.0;   // zoom factor = exp(depth change × this)
+    this._zoomDeadZone = 0.002;    // per-frame log palm-size change
+
     // --- Pinch debounce ---
+    // A pinch let go within _pinchHoldTime is a tap and selects; held
+    // longer it zooms instead, so zooming never changes the selection
+    this._pinchStart = 0;       // when the current single-hand pinch began
+    this._pinchHoldTime = 400;  // ms
+    // Each hand's pinch settles on its own, so grabbing the steering wheel
+    // reads as one hand pinching for a frame or two first. Rotate + select
+    // waits this long before it selects, and a pinch that began or ended in
+    // a steer never selects or zooms.
+    this._secondPinchGrace = 150; // ms
+    this._pinchFromSteer = false;
     this._pinchTriggered = false;
     this._lastPinchTime = 0;
     this._pinchCooldown = 700; // ms between pinch actions
@@ -42,6 +105,18 @@ export class GestureControls {
     this._lastFistTime = 0;
     this._fistHoldRequired = 800; // ms to hold fist before reset
 
+    // --- Slice plane (index + middle blade) ---
+    this._sliceSensitivity = 4.0;      // model units per full frame width of hand travel
+    this._sliceDepthSensitivity = 2.0; // model units per unit of log palm-size change
+
+    // --- Pointing cursor ---
+    this._pointerRange = 0.7;   // central fraction of the camera frame that spans the screen
+    this._dwellTime = 1000;     // ms hovering one region before it is selected
+    this._pointerActive = false;
+    this._hoverTarget = null;    // regionId or 'view:<id>' under the cursor
+    this._hoverStart = 0;
+    this._dwellDone = false;
+
     // --- Expansion smoothing ---
     this._expansionSmoothing = 0.3;
     this._smoothExpansionDelta = 0;
@@ -54,6 +129,29 @@ export class GestureControls {
     this.onGestureChange = null;   // (gestureName) => void
     this.onRegionSelect = null;    // (regionId) => void
     this.onExplosionChange = null;  // (amount) => void
+    this.onPointerChange = null;   // ({ x, y, regionId, view, layer, dwell }) | null => void
+    this.onViewSelect = null;      // (viewId) => void, pointing at the view cube
+    this.onLayerAction = null;     // (action) => void, pointing at a layers panel control
+    this.onZoom = null;            // (factor) => void, factor < 1 zooms in
+    this.onSlice = null;           // (dx, dy, dz) => void, view-space hand travel in model units
+
+    // Region under a screen position — (x, y) normalized 0..1 from the
+    // canvas top-left → regionId | null. Set by the app (raycasting).
+    this.pickRegion = null;
+    // Standard view (view cube face) under the same position → viewId | null
+    this.pickView = null;
+    // Layers panel control under the same position → action | null
+    this.pickLayer = null;
+  }
+
+  /**
+   * @param {'twist'|'puppet'} mode
+   */
+  setRotationMode(mode) {
+    if (!ROTATION_MODES.includes(mode)) throw new Error(`Unknown rotation mode: ${mode}`);
+    this.rotationMode = mode;
+    this._puppetNeutralInv = null;
+    this._rotationVelocityY = 0;
   }
 
   /**
@@ -62,11 +160,30 @@ export class GestureControls {
   update(gestureData) {
     const now = Date.now();
     const gesture = gestureData.gesture;
+    this._puppetHeld = false;
+    this._dragHeld = false;
+
+    // A single-hand pinch acts when it ends: a tap selects, a hold has
+    // already zoomed. Closing into a fist passes through a pinch, and a
+    // hand still pinching has been joined by the other — no tap.
+    const pinching = this._isPinching(gestureData);
+    if (this._pinchStart && gesture !== 'pinch') {
+      const tapped = now - this._pinchStart < this._pinchHoldTime &&
+        !pinching && !this._pinchFromSteer;
+      if (tapped && gesture !== 'fist' && gestureData.handsDetected > 0) this._handlePinch(now);
+      this._pinchStart = 0;
+    }
+
+    // Pinch fires once per pinch, whichever hand (or gesture) it belongs to
+    if (!pinching) {
+      this._pinchTriggered = false;
+      this._pinchFromSteer = false;
+    }
+    if (gesture === 'steer') this._pinchFromSteer = true;
 
     // Track gesture transitions
     if (gesture !== this.currentGesture) {
       // Reset gesture-specific flags on transition
-      if (this.currentGesture === 'pinch') this._pinchTriggered = false;
       if (this.currentGesture === 'fist') this._fistTriggered = false;
 
       this.currentGesture = gesture;
@@ -79,8 +196,11 @@ export class GestureControls {
       this.onGestureChange(gesture);
     }
 
+    if (gesture !== 'point') this._endPointer();
+
     // No hands → coast to a stop, then drift to idle
     if (gestureData.handsDetected === 0) {
+      this._letGo();
       this._decayRotation();
       this._pinchTriggered = false;
       this._fistTriggered = false;
@@ -95,7 +215,10 @@ export class GestureControls {
     // ========== Discrete gesture actions ==========
     switch (gesture) {
       case 'pinch':
-        this._handlePinch(now);
+        if (!this._pinchStart) this._pinchStart = now;
+        if (now - this._pinchStart >= this._pinchHoldTime && !this._pinchFromSteer) {
+          this._handleZoom(gestureData);
+        }
         // Allow lightbulb rotation to continue while pinching if twist pose
         // confidence is active (user often rotates with thumb+index together).
         if (gestureData.twistPoseActive) {
@@ -125,14 +248,66 @@ export class GestureControls {
         this._handleSwipe('right');
         break;
 
+      case 'swipe_up':
+        this._handleDrill('up');
+        break;
+
+      case 'swipe_down':
+        this._handleDrill('down');
+        break;
+
+      case 'depth_in':
+        this.brain.peelLayer();
+        break;
+
+      case 'depth_out':
+        this.brain.restoreLayer();
+        break;
+
       case 'twist_pose':
         this._handleRotation(gestureData);
         break;
 
+      case 'rotate_select':
+        // Rotation keeps going while the other hand selects
+        this._rotateFrom(gestureData.compound.roles.rotate);
+        if (this._pinchMaySelect(gestureData)) this._handlePinch(now);
+        break;
+
+      case 'clutch':
+        this._handleClutch(gestureData.compound.roles.drive);
+        break;
+
+      case 'steer':
+        this._handleSteer(gestureData);
+        break;
+
+      case 'point':
+        this._handlePoint(gestureData, now);
+        this._decayRotation();
+        break;
+
+      case 'slice':
+        this._handleSlice(gestureData);
+        this._decayRotation();
+        break;
+
       default:
         this._decayRotation();
         break;
     }
+
+    this._letGo();
+  }
+
+  /**
+   * End of a frame: whatever was held and isn't any more is let go. Drags
+   * coast on; the next puppet hold captures a new neutral.
+   */
+  _letGo() {
+    if (this._wasDragging && !this._dragHeld) this.brain.orientation.release();
+    this._wasDragging = this._dragHeld;
+    if (!this._puppetHeld) this._puppetNeutralInv = null;
   }
 
   /**
@@ -140,20 +315,40 @@ export class GestureControls {
    *
    * Y rotation is directly proportional to hand twist — no velocity cap.
    * Twist more = rotate more, full 360 degrees and beyond.
-   * X tilt remains tied to vertical hand movement with smoothing and clamping.
+   * X tilt remains tied to vertical hand movement with smoothing.
    */
   _handleRotation(data) {
+    this._rotateFrom(data);
+
+    // Clear pinch/fist flags while rotating
+    this._pinchTriggered = false;
+    this._fistTriggered = false;
+  }
+
+  /**
+   * Twist rotation + tilt from one hand's signals (top-level gestureData or
+   * a per-hand result), or puppet rotation in puppet mode.
+   */
+  _rotateFrom(data) {
     this.brain.setIdle(false);
+    // Recordings without world landmarks have no palm orientation — twist
+    if (this.rotationMode === 'puppet' && data.palmOrientation) {
+      this._puppetFrom(data.palmOrientation);
+      return;
+    }
 
     // --- Y rotation from twist (lightbulb) — uncapped, proportional ---
-    const twistDelta = data.handAngleDelta || 0;
+    // GestureRecognizer measures angles in the user's (selfie) view, where a
+    // twist reads opposite to the raw camera — flip to keep the lightbulb
+    // direction
+    const twistDelta = -(data.handAngleDelta || 0);
     let targetVel = 0;
     if (Math.abs(twistDelta) > this._twistDeadZone) {
       targetVel = twistDelta * this._twistSensitivity;
     }
     // Ramp toward target velocity (no cap — faster twist = faster spin)
     this._rotationVelocityY += (targetVel - this._rotationVelocityY) * this._twistAccel;
-    this.brain.group.rotation.y += this._rotationVelocityY;
+    this.brain.orientation.rotate(AXIS_Y, this._rotationVelocityY);
 
     // --- X rotation from vertical hand movement ---
     if (data.palmDelta) {
@@ -163,35 +358,120 @@ export class GestureControls {
           -this._maxTiltStep,
           Math.min(this._maxTiltStep, this._smoothTiltDY * this._tiltSensitivity)
         );
-        this.brain.group.rotation.x += tiltStep;
-        this.brain.group.rotation.x = Math.max(-0.8, Math.min(0.8, this.brain.group.rotation.x));
+        this.brain.orientation.rotate(AXIS_X, tiltStep);
       }
     }
+  }
 
-    // Sync BrainModel targets to current position so its internal lerp
-    // doesn't fight the gesture-driven rotation.
-    this.brain.targetRotationY = this.brain.group.rotation.y;
-    this.brain.targetRotationX = this.brain.group.rotation.x;
+  /**
+   * Puppet: blend the brain toward the palm's orientation, relative to the
+   * neutral pose captured when the hand took hold — the brain turns in
+   * every axis exactly as the hand does.
+   * @param {{ x: number, y: number, z: number, w: number }} orientation
+   */
+  _puppetFrom(orientation) {
+    const controller = this.brain.orientation;
+    this._palmQuat.set(orientation.x, orientation.y, orientation.z, orientation.w);
 
-    // Clear pinch/fist flags while rotating
-    this._pinchTriggered = false;
+    if (!this._puppetNeutralInv) {
+      this._puppetNeutralInv = this._palmQuat.clone().invert();
+      this._puppetBase = controller.target.clone();
+    }
+    this._puppetHeld = true;
+    this._rotationVelocityY = 0;
+    this._smoothTiltDY = 0;
+
+    // target = (hand now × hand at hold⁻¹) × brain at hold
+    this._puppetTarget
+      .copy(this._palmQuat)
+      .multiply(this._puppetNeutralInv)
+      .multiply(this._puppetBase);
+    controller.setTarget(this._puppetTarget);
+  }
+
+  /**
+   * Clutch: one hand holds a fist, the other drags the brain like a mouse.
+   * @param {object} drive  per-hand result of the moving hand
+   */
+  _handleClutch(drive) {
+    this.brain.setIdle(false);
+    this._rotationVelocityY = 0;
+
+    this._dragHeld = true;
+
+    if (drive && drive.palmDelta) {
+      this.brain.orientation.rotateScreen(
+        drive.palmDelta.dx * this._clutchSensitivity,
+        drive.palmDelta.dy * this._clutchSensitivity
+      );
+    }
+
+    // The clutch fist must not count toward a reset
     this._fistTriggered = false;
   }
 
+  /**
+   * Steering wheel: both hands pinch to grab the brain. The angle of the
+   * line between the wrists drives roll (Z); moving both hands together
+   * drives yaw and pitch.
+   */
+  _handleSteer(data) {
+    this.brain.setIdle(false);
+    this._rotationVelocityY = 0;
+    this._smoothTiltDY = 0;
+    this._dragHeld = true;
+
+    const orientation = this.brain.orientation;
+    // Selfie-view angles grow clockwise on screen (y points down), and the
+    // brain should turn the way the wheel does
+    orientation.rotate(AXIS_Z, -(data.twoHandAngleDelta || 0) * this._steerRollSensitivity);
+    if (data.twoHandCenterDelta) {
+      orientation.rotateScreen(
+        data.twoHandCenterDelta.dx * this._steerSensitivity,
+        data.twoHandCenterDelta.dy * this._steerSensitivity
+      );
+    }
+  }
+
+  /**
+   * Slice: the hand carries the active slice plane. Travel is reported in
+   * view space (x right, y up, z toward the camera) — the app knows the
+   * camera and moves the plane along its normal.
+   */
+  _handleSlice(data) {
+    this.brain.setIdle(false);
+    if (!this.onSlice) return;
+    const { dx = 0, dy = 0 } = data.palmDelta || {};
+    this.onSlice(
+      dx * this._sliceSensitivity,
+      -dy * this._sliceSensitivity,
+      (data.depthDelta || 0) * this._sliceDepthSensitivity
+    );
+  }
+
+  _isPinching(data) {
+    const { primary, secondary } = data.hands || {};
+    return data.gesture === 'pinch' ||
+      (primary && primary.gesture === 'pinch') ||
+      (secondary && secondary.gesture === 'pinch');
+  }
+
+  // Not a steering grab on its way in (the second hand's pinch still
+  // settling) or on its way out
+  _pinchMaySelect(data) {
+    if (this._pinchFromSteer) return false;
+    return data.handsDetected < 2 || this.gestureDuration >= this._secondPinchGrace;
+  }
+
   _decayRotation() {
     this._rotationVelocityY += (0 - this._rotationVelocityY) * this._twistDecel;
     this._smoothTiltDY += (0 - this._smoothTiltDY) * this._twistDecel;
 
     if (Math.abs(this._rotationVelocityY) > 0.00005) {
-      this.brain.group.rotation.y += this._rotationVelocityY;
+      this.brain.orientation.rotate(AXIS_Y, this._rotationVelocityY);
     } else {
       this._rotationVelocityY = 0;
     }
-
-    // Keep BrainModel targets in sync so its internal lerp doesn't pull
-    // the brain back to some old position after gesture ends.
-    this.brain.targetRotationY = this.brain.group.rotation.y;
-    this.brain.targetRotationX = this.brain.group.rotation.x;
   }
 
   /**
@@ -220,6 +500,93 @@ export class GestureControls {
     }
   }
 
+  /**
+   * Point: move the cursor to the index fingertip and hover-highlight the
+   * region under it. Hovering one region for _dwellTime, or an air-tap,
+   * selects it — or presses the view cube face or layers panel control
+   * under it.
+   */
+  _handlePoint(data, now) {
+    if (!data.pointer) return;
+    this._pointerActive = true;
+
+    // Map the central part of the camera frame onto the whole screen, so
+    // the edges are reachable without leaving the frame
+    const toScreen = (v) => Math.max(0, Math.min(1, (v - 0.5) / this._pointerRange + 0.5));
+    const x = toScreen(data.pointer.x);
+    const y = toScreen(data.pointer.y);
+
+    // View cube faces and layer controls sit on top of the canvas, so they win
+    const view = this.pickView ? this.pickView(x, y) : null;
+    const layer = !view && this.pickLayer ? this.pickLayer(x, y) : null;
+    const regionId = !view && !layer && this.pickRegion ? this.pickRegion(x, y) : null;
+    const target = view ? `view:${view}` : layer ? `layer:${layer}` : regionId;
+    if (target !== this._hoverTarget) {
+      this._hoverTarget = target;
+      this._hoverStart = now;
+      this._dwellDone = false;
+      this.brain.hoverRegion(regionId);
+    }
+
+    let dwell = 0;
+    // Layer controls are toggles — never already there
+    const alreadyThere = view
+      ? view === this.brain.currentView
+      : !layer && regionId === this.brain.selectedId;
+    if (target && !this._dwellDone && !alreadyThere) {
+      dwell = Math.min(1, (now - this._hoverStart) / this._dwellTime);
+      if (data.airTap || dwell >= 1) {
+        this._dwellDone = true;
+        dwell = 0;
+        if (view) {
+          if (this.onViewSelect) this.onViewSelect(view);
+        } else if (layer) {
+          if (this.onLayerAction) this.onLayerAction(layer);
+        } else {
+          this._selectRegion(regionId);
+        }
+      }
+    }
+
+    if (this.onPointerChange) this.onPointerChange({ x, y, regionId, view, layer, dwell });
+  }
+
+  _endPointer() {
+    if (!this._pointerActive) return;
+    this._pointerActive = false;
+    this._hoverTarget = null;
+    this._dwellDone = false;
+    this.brain.hoverRegion(null);
+    if (this.onPointerChange) this.onPointerChange(null);
+  }
+
+  _selectRegion(regionId) {
+    this.brain.setIdle(false);
+    this.brain.highlightRegion(regionId);
+    if (this.onRegionSelect) {
+      this.onRegionSelect(regionId);
+    }
+
+    // Auto-expand slightly so regions are visible
+    if (this.brain.targetExplosion < 0.15) {
+      this.brain.setExplosion(0.2);
+      if (this.onExplosionChange) {
+        this.onExplosionChange(0.2);
+      }
+    }
+  }
+
+  /**
+   * Pinch, hold and pull: pulling the pinched hand toward you (away from the
+   * camera, so it looks smaller) draws the brain closer; pushing it away
+   * zooms out.
+   */
+  _handleZoom(data) {
+    const depthDelta = data.depthDelta || 0;
+    if (Math.abs(depthDelta) < this._zoomDeadZone) return;
+    if (this.onZoom) this.onZoom(Math.exp(depthDelta * this._zoomSensitivity));
+  }
+
   /**
    * Fist: reset view after holding for 800ms.
    * Requires sustained hold to prevent accidental triggers.
@@ -285,4 +652,15 @@ export class GestureControls {
       }
     }
   }
+
+  // Swipe down into the selection's sub-regions, up to its parent
+  _handleDrill(direction) {
+    const selected = direction === 'down'
+      ? this.brain.drillDown()
+      : this.brain.drillUp();
+
+    if (this.onRegionSelect) {
+      this.onRegionSelect(selected);
+    }
+  }
 }
@@ -0,0 +1,147 @@
+import * as THREE from 'three';
+
+/**
+ * Shared orientation controller for the brain group, built on quaternions.
+ *
+ * Every input path — mouse drag, twist, clutch, steering, puppet, idle
+ * spin, reset — writes here instead of touching Euler angles:
+ *  - rotate(axis, angle) / rotateScreen(dx, dy) turn the target about
+ *    fixed view axes (arcball semantics: a drag always turns the brain the
+ *    way the hand moves, whatever its current orientation — no gimbal lock
+ *    and no pitch limit)
+ *  - setTarget(q) blends toward an absolute orientation
+ *  - release() lets the last input's angular velocity coast to a stop
+ *
+ * update(dt) advances inertia and slerps the object toward the target.
+ */
+
+// View axes: x right, y up, z toward the camera
+export const AXIS_X = new THREE.Vector3(1, 0, 0);
+export const AXIS_Y = new THREE.Vector3(0, 1, 0);
+export const AXIS_Z = new THREE.Vector3(0, 0, 1);
+
+const _q = new THREE.Quaternion();
+const _axis = new THREE.Vector3();
+
+export class OrientationController {
+  /**
+   * @param {THREE.Object3D} object  rotated in place (its quaternion)
+   * @param {object} [opts]
+   * @param {number} [opts.smoothing=12]  1/s — how fast the object catches up with the target
+   * @param {number} [opts.friction=3]    1/s — how fast inertia dies out
+   * @param {number} [opts.maxSpeed=8]    rad/s cap on coasting speed
+   */
+  constructor(object, { smoothing = 12, friction = 3, maxSpeed = 8 } = {}) {
+    this.object = object;
+    this.smoothing = smoothing;
+    this.friction = friction;
+    this.maxSpeed = maxSpeed;
+
+    this.target = object.quaternion.clone();
+
+    // Angular velocity (axis × rad/s) estimated from recent input
+    this._velocity = new THREE.Vector3();
+    this._pending = new THREE.Vector3(); // input rotation since the last update
+    this._sinceInput = 0;                // s since input was last folded in
+    this._coasting = false;
+  }
+
+  /**
+   * Rotate the target by `angle` radians about a view axis.
+   * @param {THREE.Vector3} axis  unit vector
+   * @param {number} angle
+   */
+  rotate(axis, angle) {
+    if (!angle) return;
+    _q.setFromAxisAngle(axis, angle);
+    this.target.premultiply(_q);
+    this._pending.addScaledVector(axis, angle);
+    this._coasting = false;
+  }
+
+  /**
+   * Arcball drag: turn about the view-plane axis perpendicular to the drag.
+   * dx > 0 turns the front to the right, dy > 0 tips the top toward the
+   * viewer.
+   * @param {number} dx  radians
+   * @param {number} dy  radians
+   */
+  rotateScreen(dx, dy) {
+    const angle = Math.hypot(dx, dy);
+    if (angle < 1e-9) return;
+    this.rotate(_axis.set(dy / angle, dx / angle, 0), angle);
+  }
+
+  /**
+   * Blend toward an absolute orientation. Stops any coasting.
+   * @param {THREE.Quaternion} quaternion
+   */
+  setTarget(quaternion) {
+    this.target.copy(quaternion);
+    this.stop();
+  }
+
+  /**
+   * Jump to an orientation without blending.
+   * @param {THREE.Quaternion} quaternion
+   */
+  snapTo(quaternion) {
+    this.setTarget(quaternion);
+    this.object.quaternion.copy(quaternion);
+  }
+
+  /**
+   * Input let go — keep turning with the last velocity and slow down.
+   */
+  release() {
+    // Held still before letting go — nothing to coast with
+    if (this._pending.lengthSq() === 0 && this._sinceInput > 0.1) {
+      this.stop();
+      return;
+    }
+    this._foldPending();
+    this._coasting = this._velocity.lengthSq() > 1e-6;
+  }
+
+  stop() {
+    this._coasting = false;
+    this._velocity.set(0, 0, 0);
+    this._pending.set(0, 0, 0);
+  }
+
+  get isCoasting() {
+    return this._coasting;
+  }
+
+  /**
+   * @param {number} dt  seconds
+   */
+  update(dt) {
+    this._sinceInput += dt;
+    if (this._pending.lengthSq() > 0) this._foldPending();
+
+    if (this._coasting) {
+      const speed = this._velocity.length();
+      if (speed < 0.01) {
+        this.stop();
+      } else {
+        _q.setFromAxisAngle(_axis.copy(this._velocity).divideScalar(speed), speed * dt);
+        this.target.premultiply(_q);
+        this._velocity.multiplyScalar(Math.exp(-this.friction * dt));
+      }
+    }
+
+    this.object.quaternion.slerp(this.target, 1 - Math.exp(-this.smoothing * dt));
+  }
+
+  // Turn input accumulated since the last fold into a velocity estimate
+  _foldPending() {
+    if (this._sinceInput > 0) {
+      const measured = _axis.copy(this._pending).divideScalar(Math.max(this._sinceInput, 1 / 120));
+      if (measured.length() > this.maxSpeed) measured.setLength(this.maxSpeed);
+      this._velocity.lerp(measured, 0.5);
+    }
+    this._pending.set(0, 0, 0);
+    this._sinceInput = 0;
+  }
+}
@@ -1,27 +1,93 @@
 import * as THREE from 'three';
 import { createScene } from './scene.js';
-import { BrainModel } from './brain/BrainModel.js';
+import { BrainModel, PATHWAY_MODES } from './brain/BrainModel.js';
 import { Labels } from './ui/Labels.js';
 import { HandTracker } from './tracking/HandTracker.js';
 import { GestureRecognizer } from './tracking/GestureRecognizer.js';
-import { GestureControls } from './controls/GestureControls.js';
+import { GestureControls, ROTATION_MODES } from './controls/GestureControls.js';
+import { CameraRig } from './controls/CameraRig.js';
 import { InfoPanel } from './ui/InfoPanel.js';
 import { StatusOverlay } from './ui/StatusOverlay.js';
+import { SettingsPanel } from './ui/SettingsPanel.js';
+import { HandCursor } from './ui/HandCursor.js';
+import { ViewCube } from './ui/ViewCube.js';
+import { SlicePanel } from './ui/SlicePanel.js';
+import { LayersPanel } from './ui/LayersPanel.js';
+import { ScenarioPanel } from './ui/ScenarioPanel.js';
+import { SearchPalette } from './ui/SearchPalette.js';
+import { ViewportLayout, LAYOUTS } from './ui/ViewportLayout.js';
+import { STANDARD_VIEWS } from './brain/standardViews.js';
+import { EXPLOSION_MODES, getExplosionMode } from './brain/explosionModes.js';
+import { SCENARIOS } from './brain/scenarioData.js';
+import { ScenarioPlayer, getScenario } from './brain/ScenarioPlayer.js';
+import {
+  createInputSource,
+  inputSourceFromURL,
+  VideoFileSource,
+  WebcamSource,
+  CAMERA_RESOLUTIONS,
+  SYNTHETIC_SCRIPTS
+} from './tracking/InputSources.js';
+import { landmarkerConfigFromURL } from './tracking/mediapipeAssets.js';
 
 async function init() {
   const canvas = document.getElementById('brain-canvas');
   const { scene, camera, renderer, labelRenderer, handleResize } = createScene(canvas);
 
   const brain = new BrainModel(scene);
+
+  // Zoom, and fly-to framing of the selected region or area (back home on
+  // reset, or for a group)
+  const cameraRig = new CameraRig(camera);
+  brain.onSelect = (regionId) => {
+    cameraRig.frame(regionId ? brain.getObject(regionId) : null);
+  };
+  brain.onReset = () => cameraRig.reset();
+  // Explosion choreography — ?explode=directed|radial|split_lr|split_tb|peel
+  const explodeParam = new URLSearchParams(window.location.search).get('explode');
+  if (getExplosionMode(explodeParam)) brain.setExplosionMode(explodeParam);
   const labels = new Labels(brain);
   labels.hideAll();
 
+  // Single 3D view or four-pane radiology layout — ?layout=single|quad
+  const layout = new ViewportLayout({ renderer, scene, camera, brain, labelRenderer });
+  const layoutParam = new URLSearchParams(window.location.search).get('layout');
+  if (LAYOUTS.includes(layoutParam)) layout.setLayout(layoutParam);
+
   const infoPanel = new InfoPanel();
   const statusOverlay = new StatusOverlay();
+  const settings = new SettingsPanel();
+  const handCursor = new HandCursor();
+  const viewCube = new ViewCube();
+  const slicePanel = new SlicePanel();
+  const layersPanel = new LayersPanel();
+  const scenarioPanel = new ScenarioPanel();
+  const searchPalette = new SearchPalette();
 
-  const handTracker = new HandTracker();
-  const gestureRecognizer = new GestureRecognizer();
+  // Input source — ?source=webcam|video|synthetic (see InputSources.js)
+  let initialSource;
+  try {
+    initialSource = createInputSource(inputSourceFromURL());
+  } catch (err) {
+    console.warn('Invalid input source in URL, using webcam:', err);
+    initialSource = new WebcamSource();
+  }
+
+  // Model/WASM location, delegate, and inference thread —
+  // ?delegate=gpu|cpu, ?inference=worker|main
+  const handTracker = new HandTracker({
+    source: initialSource,
+    landmarker: landmarkerConfigFromURL()
+  });
+  // Dominant hand — ?dominant=left for left-handed use
+  const dominantParam = new URLSearchParams(window.location.search).get('dominant');
+  const gestureRecognizer = new GestureRecognizer({
+    dominantHand: dominantParam === 'left' ? 'Left' : 'Right'
+  });
   const gestureControls = new GestureControls(brain);
+  // Rotation mode — ?rotation=twist|puppet
+  const rotationParam = new URLSearchParams(window.location.search).get('rotation');
+  if (ROTATION_MODES.includes(rotationParam)) gestureControls.setRotationMode(rotationParam);
 
   // Wire UI callbacks
   gestureControls.onGestureChange = (gesture) => {
@@ -32,26 +98,482 @@ async function init() {
     infoPanel.show(regionId);
   };
 
+  // Breadcrumbs and sub-region pills on the info card
+  infoPanel.onNavigate = (regionId) => {
+    brain.highlightRegion(regionId);
+    infoPanel.show(regionId);
+  };
+
   gestureControls.onExplosionChange = (amount) => {
     statusOverlay.setExplosion(amount);
   };
 
+  gestureControls.onPointerChange = (pointer) => {
+    handCursor.update(pointer);
+    viewCube.setHover(pointer ? pointer.view : null);
+    layersPanel.setHover(pointer ? pointer.layer : null);
+  };
+
+  // ===== Standard views — keys 1–7, view cube faces, or pointing =====
+  function showView(viewId) {
+    brain.showView(viewId, camera.quaternion);
+  }
+
+  viewCube.onSelect = showView;
+  gestureControls.onViewSelect = showView;
+  gestureControls.pickView = (x, y) => viewCube.viewAt(x, y);
+
+  // ===== Slicing — presets in the slice panel, keys, shift+drag, gesture =====
+  brain.slices.onChange = () => slicePanel.update(brain.slices);
+  slicePanel.update(brain.slices);
+  slicePanel.onToggle = (id) => brain.slices.toggle(id);
+  slicePanel.onFlip = (id) => brain.slices.flip(id);
+
+  gestureControls.onSlice = (dx, dy, dz) => {
+    if (!brain.slices.active) brain.slices.show('sagittal');
+    brain.slices.moveInView(dx, dy, dz, camera.quaternion);
+  };
+
+  // ===== Layers — the layers panel, keys (V, I, ⇧L/I/O, ⇧V), or pointing =====
+  brain.onVisibilityChange = () => layersPanel.update(brain);
+  layersPanel.update(brain);
+  layersPanel.onToggleType = (type) => brain.toggleTypeVisible(type);
+  layersPanel.onToggleIsolate = () => brain.toggleIsolated();
+  layersPanel.onShowAll = () => brain.showAll();
+  layersPanel.onToggleRegion = (regionId) => brain.toggleRegionVisible(regionId);
+  layersPanel.onSelectRegion = (regionId) => {
+    brain.highlightRegion(regionId);
+    infoPanel.show(regionId);
+  };
+
+  gestureControls.pickLayer = (x, y) => layersPanel.actionAt(x, y);
+  gestureControls.onLayerAction = (action) => layersPanel.trigger(action);
+
+  gestureControls.onZoom = (factor) => {
+    cameraRig.zoomBy(factor);
+  };
+
   // Hand tracking
   let latestGestureData = null;
 
-  handTracker.onResults = (results) => {
-    const gestureData = gestureRecognizer.recognize(results);
+  handTracker.onResults = (results, timestamp) => {
+    if (statusOverlay.pointerMode) return;
+    const gestureData = gestureRecognizer.recognize(results, timestamp);
     latestGestureData = gestureData;
     statusOverlay.setHandsDetected(gestureData.handsDetected);
   };
 
+  handTracker.onSessionChange = (state) => {
+    statusOverlay.setSession(state);
+    // A replay stands in for the missing camera while it's loaded
+    if (state.replaying) statusOverlay.setPointerMode(false);
+    else if (cameraMissing()) statusOverlay.setPointerMode(true);
+  };
+
   handTracker.init().catch((err) => {
     console.warn('Hand tracking could not start:', err);
   });
 
+  // ===== Input source picker =====
+  const videoFileInput = document.getElementById('video-file');
+
+  function sourceSelectValue(source) {
+    if (source instanceof VideoFileSource) return 'video';
+    if (source.script) return `synthetic:${source.script}`;
+    return 'webcam';
+  }
+
+  function switchSource(source) {
+    handTracker.setSource(source).catch((err) => {
+      console.warn('Could not switch input source:', err);
+    });
+  }
+
+  settings.addSelect('source', {
+    label: 'Input',
+    options: [
+      { value: 'webcam', label: 'Webcam' },
+      { value: 'video', label: 'Video file…' },
+      ...SYNTHETIC_SCRIPTS.map((script) => ({
+        value: `synthetic:${script}`,
+        label: `Synthetic hand — ${script.replace('_', ' ')}`
+      }))
+    ],
+    value: sourceSelectValue(handTracker.source),
+    onChange: (value) => {
+      if (value === 'video') {
+        // Keep showing the current source until a file is actually picked
+        settings.setValue('source', sourceSelectValue(handTracker.source));
+        videoFileInput.click();
+        return;
+      }
+      const [source, script] = value.split(':');
+      // Synthetic hands follow the dominant-hand preference
+      switchSource(createInputSource({ source, script, handedness: gestureRecognizer.dominantHand }));
+    }
+  });
+
+  videoFileInput.addEventListener('change', () => {
+    const file = videoFileInput.files[0];
+    videoFileInput.value = '';
+    if (file) switchSource(new VideoFileSource(file));
+  });
+
+  // ===== Camera device / resolution / mirror =====
+  function webcamSettings() {
+    const source = handTracker.source;
+    if (!(source instanceof WebcamSource)) return { deviceId: '', resolution: '640x480' };
+    return {
+      deviceId: source.deviceId || '',
+      resolution: `${source.requestedWidth}x${source.requestedHeight}`
+    };
+  }
+
+  function switchCamera(changes) {
+    const current = { ...webcamSettings(), ...changes };
+    const [width, height] = current.resolution.split('x').map(Number);
+    switchSource(new WebcamSource({ deviceId: current.deviceId || null, width, height }));
+  }
+
+  settings.addSelect('camera', {
+    label: 'Camera',
+    options: [{ value: '', label: 'Default camera' }],
+    value: '',
+    onChange: (deviceId) => switchCamera({ deviceId })
+  });
+
+  settings.addSelect('resolution', {
+    label: 'Resolution',
+    options: CAMERA_RESOLUTIONS.map(({ value, label }) => ({ value, label })),
+    value: webcamSettings().resolution,
+    onChange: (resolution) => switchCamera({ resolution })
+  });
+
+  settings.addSelect('mirror', {
+    label: 'Mirror',
+    options: [
+      { value: 'auto', label: 'Auto (by source)' },
+      { value: 'on', label: 'Mirrored' },
+      { value: 'off', label: 'Unmirrored' }
+    ],
+    value: 'auto',
+    onChange: (value) => {
+      handTracker.setMirrored(value === 'auto' ? null : value === 'on');
+      // Left/right just swapped — don't let filters blend across the flip
+      latestGestureData = gestureRecognizer.recognize(null);
+    }
+  });
+
+  settings.addSelect('dominant-hand', {
+    label: 'Dominant hand',
+    options: [
+      { value: 'Right', label: 'Right-handed' },
+      { value: 'Left', label: 'Left-handed' }
+    ],
+    value: gestureRecognizer.dominantHand,
+    onChange: (hand) => {
+      gestureRecognizer.setDominantHand(hand);
+      latestGestureData = null;
+    }
+  });
+
+  settings.addSelect('rotation-mode', {
+    label: 'Rotation',
+    options: [
+      { value: 'twist', label: 'Twist (spin)' },
+      { value: 'puppet', label: 'Puppet (follow hand)' }
+    ],
+    value: gestureControls.rotationMode,
+    onChange: (mode) => gestureControls.setRotationMode(mode)
+  });
+
+  settings.addSelect('explosion-mode', {
+    label: 'Explosion',
+    options: EXPLOSION_MODES.map(({ id, label }) => ({ value: id, label })),
+    value: brain.explosionMode,
+    onChange: (mode) => brain.setExplosionMode(mode)
+  });
+  brain.onExplosionModeChange = (mode) => settings.setValue('explosion-mode', mode);
+
+  const PATHWAY_LABELS = { selection: 'With selection', all: 'Always', none: 'Selected tract only' };
+  settings.addSelect('pathways', {
+    label: 'Pathways',
+    options: PATHWAY_MODES.map((mode) => ({ value: mode, label: PATHWAY_LABELS[mode] })),
+    value: brain.pathwayMode,
+    onChange: (mode) => brain.setPathwayMode(mode)
+  });
+  brain.onPathwayModeChange = (mode) => settings.setValue('pathways', mode);
+
+  settings.addSelect('scenario', {
+    label: 'Scenario',
+    options: [
+      { value: 'none', label: 'None' },
+      ...SCENARIOS.map(({ id, name }) => ({ value: id, label: name }))
+    ],
+    value: 'none',
+    onChange: (id) => {
+      if (id === 'none') closeScenario();
+      else playScenario(id);
+    }
+  });
+
+  settings.addSelect('layout', {
+    label: 'Layout',
+    options: [
+      { value: 'single', label: '3D view' },
+      { value: 'quad', label: 'Four-pane (radiology)' }
+    ],
+    value: layout.mode,
+    onChange: (mode) => layout.setLayout(mode)
+  });
+  layout.onLayoutChange = (mode) => settings.setValue('layout', mode);
+
+  // Device labels only appear once permission is granted, so refresh after
+  // each start as well as on plug/unplug
+  async function refreshCameras() {
+    const devices = await WebcamSource.listDevices().catch(() => []);
+    settings.setOptions('camera', [
+      { value: '', label: 'Default camera' },
+      ...devices.map((d) => ({ value: d.deviceId, label: d.label }))
+    ]);
+    settings.setValue('camera', webcamSettings().deviceId);
+  }
+
+  if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+    navigator.mediaDevices.addEventListener('devicechange', refreshCameras);
+  }
+  refreshCameras();
+
+  // Camera blocked or missing → explicit mouse & keyboard mode, unless a
+  // session replay is supplying the hands
+  function cameraMissing() {
+    const { status, source } = handTracker;
+    return (status === 'denied' || status === 'unavailable') && source instanceof WebcamSource;
+  }
+
+  handTracker.onStatusChange = ({ status, source }) => {
+    if (status === 'running') {
+      statusOverlay.setPointerMode(false);
+      if (source instanceof WebcamSource) refreshCameras();
+    } else if (cameraMissing() && !handTracker.player) {
+      statusOverlay.setPointerMode(true);
+      latestGestureData = gestureRecognizer.recognize(null);
+    }
+  };
+
+  settings.addInfo('inference', { label: 'Inference', text: 'Not loaded' });
+
+  let inferenceLabel = '';
+  handTracker.onModelInfo = ({ delegate, version, origin, inference }) => {
+    inferenceLabel = `${delegate} · ${inference} · ${origin}${version ? ` · v${version}` : ''}`;
+    settings.setValue('inference', inferenceLabel);
+  };
+
+  handTracker.onStats = ({ inferenceMs, detectInterval }) => {
+    const fps = Math.round(1000 / detectInterval);
+    settings.setValue('inference', `${inferenceLabel} · ${Math.round(inferenceMs)}ms · ${fps}fps`);
+  };
+
+  handTracker.onSourceChange = (source) => {
+    settings.setValue('source', sourceSelectValue(source));
+    settings.setValue('resolution', webcamSettings().resolution);
+    // Drop filter/stability state from the previous source
+    latestGestureData = gestureRecognizer.recognize(null);
+  };
+
+  // ===== Landmark session record / replay =====
+  const sessionFileInput = document.getElementById('session-file');
+
+  sessionFileInput.addEventListener('change', async () => {
+    const file = sessionFileInput.files[0];
+    sessionFileInput.value = '';
+    if (!file) return;
+    try {
+      const text = await file.text();
+      handTracker.startReplay(text);
+    } catch (err) {
+      console.warn('Could not replay landmark session:', err);
+    }
+  });
+
+  function toggleRecording() {
+    if (handTracker.recorder) {
+      const recorder = handTracker.stopRecording();
+      if (recorder.frames.length > 0) recorder.download();
+    } else if (!handTracker.startRecording()) {
+      console.warn('Recording needs a running camera');
+    }
+  }
+
+  // ===== Activation scenarios — settings, N, the scenario bar, ?scenario= =====
+  const scenarios = new ScenarioPlayer();
+  // Scenario and time the brain's activation was last set for — paused,
+  // the levels stand still and the materials needn't be rewritten
+  let activationShown = null;
+
+  function playScenario(id) {
+    scenarios.load(id);
+    scenarios.play();
+    // Open the brain far enough to see the deep structures that light up
+    const { explosion } = scenarios.scenario;
+    if (explosion && brain.targetExplosion < explosion) {
+      brain.setExplosion(explosion);
+      statusOverlay.setExplosion(brain.targetExplosion);
+    }
+  }
+
+  function closeScenario() {
+    scenarios.unload();
+    activationShown = null;
+    brain.setActivation(null);
+  }
+
+  // From the first scenario, or the one after the loaded one
+  function nextScenario() {
+    const index = scenarios.scenario ? SCENARIOS.indexOf(scenarios.scenario) : -1;
+    playScenario(SCENARIOS[(index + 1) % SCENARIOS.length].id);
+  }
+
+  scenarios.onStateChange = (player) => {
+    settings.setValue('scenario', player.scenario ? player.scenario.id : 'none');
+  };
+  scenarioPanel.onTogglePlay = () => scenarios.togglePause();
+  scenarioPanel.onSeek = (time) => scenarios.seek(time);
+  scenarioPanel.onClose = closeScenario;
+
+  const scenarioParam = new URLSearchParams(window.location.search).get('scenario');
+  if (getScenario(scenarioParam)) playScenario(scenarioParam);
+
+  // ===== Search — / or Ctrl+K, conditions with B =====
+  // Matches glow by relevance while the palette is open, unless a scenario
+  // is lighting the brain
+  searchPalette.onResults = (results) => {
+    if (scenarios.scenario) return;
+    const top = results.length > 0 ? results[0].score : 1;
+    brain.setActivation(new Map(results
+      .filter((result) => brain.getObject(result.id))
+      .map((result) => [result.id, result.score / top])));
+  };
+  searchPalette.onChoose = (regionId) => {
+    brain.highlightRegion(regionId);
+    infoPanel.show(regionId);
+  };
+  searchPalette.onClose = () => {
+    if (!scenarios.scenario) brain.setActivation(null);
+  };
+
   // ===== Keyboard =====
   document.addEventListener('keydown', (e) => {
+    // Don't steal keys from form controls (settings panel, search)
+    if (e.target.closest && e.target.closest('input, select, textarea')) return;
+
+    if (e.key === '/' || (e.key === 'k' && (e.ctrlKey || e.metaKey))) {
+      e.preventDefault();
+      searchPalette.open();
+      return;
+    }
+    if (e.key === 'b') {
+      searchPalette.open('conditions');
+      return;
+    }
+
+    // Replay transport keys take precedence while a session is loaded
+    const player = handTracker.player;
+    if (player) {
+      switch (e.key) {
+        case ' ':
+          e.preventDefault();
+          player.togglePause();
+          return;
+        case '.':
+          player.step();
+          return;
+        case 'f':
+          player.setMode(player.mode === 'fast' ? 'realtime' : 'fast');
+          return;
+        case 'x':
+          handTracker.stopReplay();
+          return;
+      }
+    }
+
+    // Space plays / pauses a loaded scenario
+    if (e.key === ' ' && scenarios.scenario) {
+      e.preventDefault();
+      scenarios.togglePause();
+      return;
+    }
+
+    const view = STANDARD_VIEWS.find((v) => v.key === e.key);
+    if (view) {
+      showView(view.id);
+      return;
+    }
+
+    // Shift+S / C / A toggle the sagittal, coronal and axial slice planes
+    const slicePlane = { S: 'sagittal', C: 'coronal', A: 'axial' }[e.key];
+    if (slicePlane) {
+      brain.slices.toggle(slicePlane);
+      return;
+    }
+
+    // Shift+L / I / O show or hide the lobes, internal structures and shell
+    const layerType = { L: 'lobe', I: 'internal', O: 'shell' }[e.key];
+    if (layerType) {
+      brain.toggleTypeVisible(layerType);
+      return;
+    }
+
     switch (e.key) {
+      case 'c':
+        toggleRecording();
+        break;
+      case 'o':
+        sessionFileInput.click();
+        break;
+      case '[':
+        brain.slices.move(-0.05);
+        break;
+      case ']':
+        brain.slices.move(0.05);
+        break;
+      case '\\':
+        brain.slices.flip();
+        break;
+      case 'l':
+        layout.toggle();
+        break;
+      case 'h':
+        brain.toggleHemispheres();
+        break;
+      case 'v':
+        // Tracts aren't layers
+        if (brain.getRegionData(brain.selectedId)) brain.toggleRegionVisible(brain.selectedId);
+        break;
+      case 'V':
+        brain.showAll();
+        break;
+      case 'i':
+        brain.toggleIsolated();
+        break;
+      case 'm':
+        brain.cycleExplosionMode();
+        break;
+      case 'p':
+        brain.peelLayer();
+        break;
+      case 'P':
+        brain.restoreLayer();
+        break;
+      case 't':
+        brain.cyclePathwayMode();
+        break;
+      case 'n':
+        nextScenario();
+        break;
+      case 'N':
+        closeScenario();
+        break;
       case 'ArrowRight':
       case 'd': {
         const sel = brain.selectNext();
@@ -68,6 +590,15 @@ async function init() {
         statusOverlay.setExplosion(brain.targetExplosion);
         break;
       }
+      case 'Enter':
+      case 'Backspace': {
+        // Down into the selection's sub-regions, or up to its parent.
+        // Not also a click on a focused info-card button.
+        e.preventDefault();
+        const sel = e.key === 'Enter' ? brain.drillDown() : brain.drillUp();
+        infoPanel.show(sel);
+        break;
+      }
       case 'ArrowUp':
       case 'w':
         brain.addExplosion(0.1);
@@ -98,62 +629,122 @@ async function init() {
   let dragMoved = false;
   let lastMouseX = 0;
   let lastMouseY = 0;
+  let crosshairDrag = false; // dragging the crosshair in an ortho pane
+
+  function canvasPosition(e) {
+    const rect = canvas.getBoundingClientRect();
+    return [(e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height];
+  }
 
   canvas.addEventListener('mousedown', (e) => {
-    isDragging = true;
     dragMoved = false;
+    // Ortho panes place the crosshair instead of rotating
+    if (layout.setCursorAt(...canvasPosition(e))) {
+      crosshairDrag = true;
+      lastMouseX = e.clientX;
+      lastMouseY = e.clientY;
+      return;
+    }
+    isDragging = true;
     lastMouseX = e.clientX;
     lastMouseY = e.clientY;
     brain.setIdle(false);
+    brain.orientation.stop();
   });
 
   window.addEventListener('mousemove', (e) => {
+    if (crosshairDrag) {
+      if (Math.abs(e.clientX - lastMouseX) > 2 || Math.abs(e.clientY - lastMouseY) > 2) dragMoved = true;
+      layout.setCursorAt(...canvasPosition(e));
+      return;
+    }
     if (!isDragging) return;
     const dx = e.clientX - lastMouseX;
     const dy = e.clientY - lastMouseY;
     if (Math.abs(dx) > 2 || Math.abs(dy) > 2) dragMoved = true;
-    brain.group.rotation.y += dx * 0.005;
-    brain.group.rotation.x += dy * 0.005;
-    brain.group.rotation.x = Math.max(-0.8, Math.min(0.8, brain.group.rotation.x));
+    if (e.shiftKey && brain.slices.active) {
+      // Shift+drag carries the active slice plane under the cursor
+      const unitsPerPixel = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) *
+        camera.position.length() / canvas.clientHeight;
+      brain.slices.moveInView(dx * unitsPerPixel, -dy * unitsPerPixel, 0, camera.quaternion);
+    } else {
+      // Arcball drag about the view axes — any orientation is reachable
+      brain.orientation.rotateScreen(dx * 0.005, dy * 0.005);
+    }
     lastMouseX = e.clientX;
     lastMouseY = e.clientY;
   });
 
   window.addEventListener('mouseup', () => {
+    if (crosshairDrag) {
+      crosshairDrag = false;
+      return;
+    }
+    if (isDragging) brain.orientation.release();
     isDragging = false;
     setTimeout(() => {
       if (!isDragging) brain.setIdle(true);
     }, 2000);
   });
 
+  // Wheel expands; ctrl+wheel (also what trackpad pinch sends) zooms
   canvas.addEventListener('wheel', (e) => {
     e.preventDefault();
+    if (e.ctrlKey) {
+      cameraRig.zoomBy(Math.exp(e.deltaY * 0.01));
+      return;
+    }
     brain.addExplosion(e.deltaY * -0.001);
     statusOverlay.setExplosion(brain.targetExplosion);
   }, { passive: false });
 
-  // Click to select
+  // Safari reports trackpad pinch as gesture events instead
+  let lastGestureScale = 1;
+  canvas.addEventListener('gesturestart', (e) => {
+    e.preventDefault();
+    lastGestureScale = 1;
+  });
+  canvas.addEventListener('gesturechange', (e) => {
+    e.preventDefault();
+    cameraRig.zoomBy(lastGestureScale / e.scale);
+    lastGestureScale = e.scale;
+  });
+
+  // Click (or point) to select
   const raycaster = new THREE.Raycaster();
-  const mouse = new THREE.Vector2();
 
-  canvas.addEventListener('click', (e) => {
-    if (dragMoved) return;
-    const rect = canvas.getBoundingClientRect();
-    mouse.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+  // Raycasting ignores `visible` — hidden regions and area patches must not
+  // be picked
+  function isShown(object) {
+    for (let o = object; o; o = o.parent) {
+      if (!o.visible) return false;
+    }
+    return true;
+  }
 
-    raycaster.setFromCamera(mouse, camera);
+  // Region (or area) under a canvas position, normalized 0..1 from the
+  // top-left, seen through whichever pane is there
+  function pickRegion(x, y) {
+    layout.setRaycaster(raycaster, x, y);
     const intersects = raycaster.intersectObjects(brain.getMeshArray());
+    // Skip hidden patches and geometry cut away by clipping planes
+    const hit = intersects.find(({ object, point }) => isShown(object) &&
+      !(object.material.clippingPlanes || []).some((plane) => plane.distanceToPoint(point) < 0));
+    return hit ? hit.object.userData.regionId || null : null;
+  }
+
+  gestureControls.pickRegion = pickRegion;
+
+  canvas.addEventListener('click', (e) => {
+    if (dragMoved) return;
+    const regionId = pickRegion(...canvasPosition(e));
 
-    if (intersects.length > 0) {
-      const regionId = intersects[0].object.userData.regionId;
-      if (regionId) {
-        brain.highlightRegion(regionId);
-        infoPanel.show(regionId);
-        if (brain.targetExplosion < 0.15) {
-          brain.setExplosion(0.2);
-          statusOverlay.setExplosion(0.2);
-        }
+    if (regionId) {
+      brain.highlightRegion(regionId);
+      infoPanel.show(regionId);
+      if (brain.targetExplosion < 0.15) {
+        brain.setExplosion(0.2);
+        statusOverlay.setExplosion(0.2);
       }
     } else {
       // Click empty space to deselect
@@ -175,10 +766,22 @@ async function init() {
       latestGestureData = null;
     }
 
+    if (scenarios.scenario) {
+      scenarios.update(dt);
+      const shown = `${scenarios.scenario.id}@${scenarios.time}`;
+      if (shown !== activationShown) {
+        activationShown = shown;
+        brain.setActivation(scenarios.levels());
+      }
+    }
+    scenarioPanel.update(scenarios);
+
     brain.update(dt, elapsed);
+    cameraRig.update(dt);
+    viewCube.update(brain.group.quaternion, camera.quaternion);
     labels.update(brain.selectedId, brain.explosionAmount);
 
-    renderer.render(scene, camera);
+    layout.render();
     labelRenderer.render(scene, camera);
   }
 
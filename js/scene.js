@@ -23,12 +23,15 @@ export function createScene(canvas) {
   const renderer = new THREE.WebGLRenderer({
     canvas,
     antialias: true,
-    alpha: true
+    alpha: true,
+    stencil: true // slice caps (SlicePlanes.js)
   });
   renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
   renderer.toneMapping = THREE.ACESFilmicToneMapping;
   renderer.toneMappingExposure = 1.3;
   renderer.outputColorSpace = THREE.SRGBColorSpace;
+  // Per-material clipping planes (slicing)
+  renderer.localClippingEnabled = true;
 
   // CSS2D Renderer (for labels)
   const labelRenderer = new CSS2DRenderer();
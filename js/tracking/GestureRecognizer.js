@@ -7,6 +7,23 @@
  *  - Gesture stability buffer (eliminates flickering)
  *  - Smoothed two-hand distance tracking
  *  - Swipe detection decoupled from open_palm
+ *  - One Euro smoothing keyed to frame timestamps, so behaviour is the
+ *    same at any detection rate and reproducible from recorded sessions
+ *  - Gestures declared in a registry (GestureRegistry.js): predicates,
+ *    priority, hysteresis and stability policy per gesture
+ *  - Handedness-aware: the dominant hand (Right by default, see
+ *    setDominantHand) is the primary hand whenever it is in view, and all
+ *    directions are measured in the user's (selfie) view, so a clockwise
+ *    twist or a swipe to the right reads the same with either hand and
+ *    with mirroring on or off
+ *  - Per-hand channels: each hand is classified independently with its
+ *    own smoothing, hysteresis and stability state, and compound two-hand
+ *    gestures (rotate + select, clutch, steering wheel, spread/squeeze) are
+ *    matched on top
+ *  - Pointing: the index fingertip is reported as a smoothed cursor
+ *    position, and a quick dip of the pointing finger as an air-tap
+ *  - Absolute palm orientation from world landmarks (palmOrientation),
+ *    for puppet-style rotation
  *
  * MediaPipe hand landmarks (21 points per hand):
  *  0 = Wrist
@@ -17,6 +34,9 @@
  *  17-20 = Pinky (MCP, PIP, DIP, TIP)
  */
 
+import { OneEuroFilter } from './OneEuroFilter.js';
+import { GestureRegistry, DEFAULT_GESTURES } from './GestureRegistry.js';
+
 // Landmark indices
 const WRIST = 0;
 const THUMB_CMC = 1;
@@ -55,6 +75,96 @@ function wrapAngleDelta(delta) {
   return d;
 }
 
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+/**
+ * Top handedness label for hand i ('Left' | 'Right'), or null if absent.
+ * HandTracker reports the user's actual hand (see toUserView there).
+ */
+function handLabel(results, i) {
+  const categories = results.handedness && results.handedness[i];
+  return categories && categories.length > 0 ? categories[0].categoryName : null;
+}
+
+/**
+ * Landmarks as the user sees them (selfie view).
+ */
+function toSelfieView(hand) {
+  return hand.map((p) => ({ ...p, x: 1 - p.x }));
+}
+
+/**
+ * World landmarks (metric, centred on the hand) in selfie view.
+ */
+function toSelfieWorld(hand) {
+  return hand.map((p) => ({ ...p, x: -p.x }));
+}
+
+function normalize(v) {
+  const len = Math.hypot(v.x, v.y, v.z);
+  return len > 1e-9 ? { x: v.x / len, y: v.y / len, z: v.z / len } : null;
+}
+
+function cross(a, b) {
+  return {
+    x: a.y * b.z - a.z * b.y,
+    y: a.z * b.x - a.x * b.z,
+    z: a.x * b.y - a.y * b.x
+  };
+}
+
+/**
+ * Palm orientation as a unit quaternion { x, y, z, w } in scene axes
+ * (x right, y up, z toward the camera), from selfie-view world landmarks.
+ *
+ * Basis: X runs across the knuckles (index → pinky on a right hand, pinky →
+ * index on a left hand, so both hands agree), Y from the wrist to the
+ * knuckles, Z = X × Y the palm normal. A hand held up, palm to the camera,
+ * is the identity.
+ */
+function getPalmOrientation(world, hand) {
+  if (!world || world.length <= PINKY_MCP) return null;
+  // MediaPipe world axes are image axes (y down, z away) — flip to scene axes
+  const toScene = (p) => ({ x: p.x, y: -p.y, z: -p.z });
+  const wrist = toScene(world[WRIST]);
+  const index = toScene(world[INDEX_MCP]);
+  const pinky = toScene(world[PINKY_MCP]);
+
+  const [from, to] = hand === 'Left' ? [pinky, index] : [index, pinky];
+  const xAxis = normalize({ x: to.x - from.x, y: to.y - from.y, z: to.z - from.z });
+  if (!xAxis) return null;
+  const knuckles = { x: (index.x + pinky.x) / 2, y: (index.y + pinky.y) / 2, z: (index.z + pinky.z) / 2 };
+  const up = { x: knuckles.x - wrist.x, y: knuckles.y - wrist.y, z: knuckles.z - wrist.z };
+
+  // Gram–Schmidt: make Y orthogonal to X
+  const along = up.x * xAxis.x + up.y * xAxis.y + up.z * xAxis.z;
+  const yAxis = normalize({ x: up.x - along * xAxis.x, y: up.y - along * xAxis.y, z: up.z - along * xAxis.z });
+  if (!yAxis) return null;
+  const zAxis = cross(xAxis, yAxis);
+
+  // Rotation matrix (columns X, Y, Z) → quaternion
+  const m00 = xAxis.x, m01 = yAxis.x, m02 = zAxis.x;
+  const m10 = xAxis.y, m11 = yAxis.y, m12 = zAxis.y;
+  const m20 = xAxis.z, m21 = yAxis.z, m22 = zAxis.z;
+  const trace = m00 + m11 + m22;
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    return { x: (m21 - m12) * s, y: (m02 - m20) * s, z: (m10 - m01) * s, w: 0.25 / s };
+  }
+  if (m00 > m11 && m00 > m22) {
+    const s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+    return { x: 0.25 * s, y: (m01 + m10) / s, z: (m02 + m20) / s, w: (m21 - m12) / s };
+  }
+  if (m11 > m22) {
+    const s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+    return { x: (m01 + m10) / s, y: 0.25 * s, z: (m12 + m21) / s, w: (m02 - m20) / s };
+  }
+  const s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+  return { x: (m02 + m20) / s, y: (m12 + m21) / s, z: 0.25 * s, w: (m10 - m01) / s };
+}
+
 function median(values) {
   if (values.length === 0) return 0;
   const sorted = [...values].sort((a, b) => a - b);
@@ -117,89 +227,216 @@ function isThumbExtended(lm) {
 
 const STABILITY_BUFFER_SIZE = 5;
 
-export class GestureRecognizer {
-  constructor() {
+/**
+ * Push `rawGesture` into `buffer` and return the gesture at least 60% of
+ * recent frames agree on, or `fallback` if there is no clear winner.
+ */
+function vote(buffer, rawGesture, fallback) {
+  buffer.push(rawGesture);
+  if (buffer.length > STABILITY_BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  // Count occurrences of each gesture in the buffer
+  const counts = {};
+  for (const g of buffer) {
+    counts[g] = (counts[g] || 0) + 1;
+  }
+
+  // Find the most common gesture
+  let best = 'none';
+  let bestCount = 0;
+  for (const [g, c] of Object.entries(counts)) {
+    if (c > bestCount) {
+      best = g;
+      bestCount = c;
+    }
+  }
+
+  // Require at least 3 out of 5 frames (60% consensus)
+  const threshold = Math.ceil(STABILITY_BUFFER_SIZE * 0.6);
+  return bestCount >= threshold ? best : fallback;
+}
+
+// ================================================================
+// Smoothing — One Euro parameters per signal
+// ================================================================
+
+/**
+ * minCutoff in Hz, beta per unit/s of the filtered quantity:
+ *  - handAngleDelta / pinchAxisDelta filter the accumulated roll angle (rad),
+ *    so slow precise twists stay smooth and fast twists keep low lag
+ *  - palmDelta filters the palm centre (normalized image units)
+ *  - pointer filters the index fingertip used as a cursor (normalized)
+ *  - depthDelta filters log palm size; its change tracks the hand moving
+ *    toward (+) or away from (−) the camera
+ *  - twoHandDistance filters the wrist-to-wrist distance (normalized)
+ *  - twoHandAngleDelta filters the accumulated angle of the left→right
+ *    wrist line (rad), which steers roll
+ *  - twoHandCenterDelta filters the midpoint between the wrists
+ */
+export const SMOOTHING_DEFAULTS = {
+  handAngleDelta: { minCutoff: 1.5, beta: 0.8 },
+  pinchAxisDelta: { minCutoff: 1.5, beta: 0.8 },
+  palmDelta: { minCutoff: 2.0, beta: 5.0 },
+  pointer: { minCutoff: 1.0, beta: 8.0 },
+  depthDelta: { minCutoff: 1.0, beta: 2.0 },
+  twoHandDistance: { minCutoff: 1.5, beta: 4.0 },
+  twoHandAngleDelta: { minCutoff: 1.5, beta: 0.8 },
+  twoHandCenterDelta: { minCutoff: 2.0, beta: 5.0 }
+};
+
+// Signals smoothed per hand; the rest belong to the pair
+const HAND_SIGNALS = ['handAngleDelta', 'pinchAxisDelta', 'palmDelta', 'pointer', 'depthDelta'];
+const PAIR_SIGNALS = ['twoHandDistance', 'twoHandAngleDelta', 'twoHandCenterDelta'];
+
+// 2D signals get an x and a y filter
+const POINT_SIGNALS = ['palmDelta', 'pointer', 'twoHandCenterDelta'];
+
+function createFilter(signal, params) {
+  return POINT_SIGNALS.includes(signal)
+    ? [new OneEuroFilter(params), new OneEuroFilter(params)]
+    : new OneEuroFilter(params);
+}
+
+// Air-tap: while pointing, the index finger dips past TAP_CURL_DOWN and
+// straightens below TAP_CURL_UP again within TAP_MAX_MS
+const TAP_CURL_DOWN = 0.5;
+const TAP_CURL_UP = 0.3;
+const TAP_MAX_MS = 400;
+
+function resetFilter(filter) {
+  if (Array.isArray(filter)) filter.forEach((f) => f.reset());
+  else filter.reset();
+}
+
+// ================================================================
+// Hand channel — tracking state for one physical hand
+// ================================================================
+
+class HandChannel {
+  /**
+   * @param {'Left'|'Right'} hand
+   * @param {GestureRegistry} registry
+   * @param {Object<string, object>} smoothing  resolved One Euro params per signal
+   */
+  constructor(hand, registry, smoothing) {
+    this.hand = hand;
+    this.registry = registry;
+
+    this.filters = {};
+    for (const signal of HAND_SIGNALS) {
+      this.filters[signal] = createFilter(signal, smoothing[signal]);
+    }
+
+    this._lastSwipeTime = -Infinity;
+    this._lastStableGesture = 'none';
+    this.reset();
+  }
+
+  setSmoothing(signal, params) {
+    this.filters[signal] = createFilter(signal, params);
+  }
+
+  /**
+   * Drop all tracking state: filters, history, hysteresis.
+   */
+  reset() {
     // Stability buffer
     this._gestureBuffer = [];
 
+    // Hysteresis gates (twist pose)
+    this._gates = this.registry.createState();
+
     // Swipe detection
     this._palmHistory = []; // { x, y, time }
-    this._lastSwipeTime = 0;
 
-    // Two-hand smoothing
-    this._smoothTwoHandDist = null;
-    this._twoHandSmoothing = 0.3; // EMA factor (0=no smoothing, 1=no memory)
+    // Palm centre, filtered
+    this._smoothPalm = null;
+
+    // Log palm size, filtered (depth)
+    this._smoothLogPalmSize = null;
+
+    // Pointer (index fingertip) and air-tap in progress
+    this._pointer = null;
+    this._tapStart = null;
+    this._tapArmed = false;
 
-    // Hand roll angle tracking (for lightbulb-twist rotation)
+    // Hand roll angle tracking (for lightbulb-twist rotation). Deltas are
+    // accumulated into unwrapped angles, which are what the filters see.
     this._prevHandAngle = null;
     this._angleDeltaHistory = [];
-    this._filteredHandAngleDelta = 0;
+    this._twistAngle = 0;
+    this._smoothTwistAngle = null;
     this._prevPinchAxisAngle = null;
-    this._filteredPinchAxisDelta = 0;
+    this._pinchAxisAngle = 0;
+    this._smoothPinchAxisAngle = null;
 
-    // Robust twist-pose gating with hysteresis
-    this._twistPoseActive = false;
-    this._twistPoseEnterThreshold = 0.58;
-    this._twistPoseExitThreshold = 0.42;
+    for (const filter of Object.values(this.filters)) resetFilter(filter);
+  }
 
+  /**
+   * Forget the swipe cooldown and last stable gesture too (time went
+   * backwards — a different recording or source).
+   */
+  resetClock() {
+    this._lastSwipeTime = -Infinity;
     this._lastStableGesture = 'none';
   }
 
   /**
-   * Classify gestures from MediaPipe results.
-   * Returns a stable, smoothed gesture state.
+   * Classify one hand.
+   * @param {object[]} lm        21 landmarks, selfie view
+   * @param {number} now         frame timestamp (ms)
+   * @param {object[]} [world]   21 world landmarks, selfie view
    */
-  recognize(results) {
+  update(lm, now, world) {
     const output = {
+      hand: this.hand,
       gesture: 'none',
       confidence: 0,
       handPosition: null,
       palmDelta: null,       // { dx, dy } frame-to-frame movement
-      handAngle: 0,          // hand roll angle in radians (index→pinky line)
+      depthDelta: 0,         // filtered change in log palm size: + toward the camera
+      handAngle: 0,          // hand roll angle in radians (index→pinky line, right-hand convention)
       handAngleDelta: 0,     // filtered frame-to-frame twist amount
       rawHandAngleDelta: 0,  // raw frame-to-frame twist amount
       twistPoseScore: 0,
       twistPoseActive: false,
-      handsDetected: 0,
-      twoHandDistance: null,
-      twoHandDelta: 0,
-      fingerCurls: null      // { index, middle, ring, pinky, thumbExtended }
+      fingerCurls: null,     // { index, middle, ring, pinky, thumbExtended }
+      pointer: null,         // { x, y } filtered index fingertip (selfie view, normalized)
+      airTap: false,         // true on the frame a pointing air-tap completes
+      palmOrientation: null  // { x, y, z, w } quaternion (see getPalmOrientation)
     };
 
-    if (!results || !results.landmarks || results.landmarks.length === 0) {
-      this._palmHistory = [];
-      this._smoothTwoHandDist = null;
-      this._gestureBuffer = [];
-      this._prevHandAngle = null;
-      this._angleDeltaHistory = [];
-      this._filteredHandAngleDelta = 0;
-      this._prevPinchAxisAngle = null;
-      this._filteredPinchAxisDelta = 0;
-      this._twistPoseActive = false;
-      return output;
-    }
-
-    output.handsDetected = results.landmarks.length;
-    const lm = results.landmarks[0]; // primary hand
     const palmSize = getPalmSize(lm);
 
+    // Depth: apparent palm size grows as the hand nears the camera
+    const prevLogPalmSize = this._smoothLogPalmSize;
+    this._smoothLogPalmSize = this.filters.depthDelta.filter(Math.log(palmSize), now);
+    if (prevLogPalmSize !== null) output.depthDelta = this._smoothLogPalmSize - prevLogPalmSize;
+
     // Palm center
     const palmX = (lm[WRIST].x + lm[INDEX_MCP].x + lm[PINKY_MCP].x) / 3;
     const palmY = (lm[WRIST].y + lm[INDEX_MCP].y + lm[PINKY_MCP].y) / 3;
     output.handPosition = { x: palmX, y: palmY };
+    output.palmOrientation = getPalmOrientation(world, this.hand);
 
-    // Compute palm delta from previous frame
-    const now = Date.now();
-    if (this._palmHistory.length > 0) {
+    // Compute palm delta from previous frame, on the filtered palm centre
+    const [palmFilterX, palmFilterY] = this.filters.palmDelta;
+    const smoothPalm = { x: palmFilterX.filter(palmX, now), y: palmFilterY.filter(palmY, now) };
+    if (this._palmHistory.length > 0 && this._smoothPalm) {
       const prev = this._palmHistory[this._palmHistory.length - 1];
       const dt = now - prev.time;
       if (dt > 0 && dt < 200) { // only if recent enough
         output.palmDelta = {
-          dx: palmX - prev.x,
-          dy: palmY - prev.y
+          dx: smoothPalm.x - this._smoothPalm.x,
+          dy: smoothPalm.y - this._smoothPalm.y
         };
       }
     }
+    this._smoothPalm = smoothPalm;
+    // Swipe detection keeps the raw positions — it measures velocity itself
     this._palmHistory.push({ x: palmX, y: palmY, time: now });
     // Keep only last 20 entries
     if (this._palmHistory.length > 20) this._palmHistory.shift();
@@ -222,29 +459,51 @@ export class GestureRecognizer {
     // Normalized thumb-index distance (also used by pinch and twist scoring)
     const pinchDist = dist(lm[THUMB_TIP], lm[INDEX_TIP]) / palmSize;
 
-    // ========= Twist pose scoring + hysteresis =========
-    // Twist pose definition:
-    // - Thumb + index extended
-    // - Middle/ring/pinky mostly curled
-    const curledOthersScore = (middleCurl + ringCurl + pinkyCurl) / 3;
-    const thumbReady = thumbExt || pinchDist < 0.72;
-    const indexReady = indexExtended || indexCurl < 0.55;
-    const twistPoseScore = clamp(
-      (thumbReady ? 0.34 : 0) +
-      (indexReady ? 0.34 : 0) +
-      (curledOthersScore * 0.18) +
-      (pinchDist < 0.55 ? 0.18 : 0),
-      0,
-      1
-    );
-    output.twistPoseScore = twistPoseScore;
+    // Per-frame features the gesture definitions are written against
+    const channel = this;
+    let swipe;
+    const features = {
+      hand: this.hand,
+      lm,
+      palmSize,
+      pinchDist,
+      curls: { index: indexCurl, middle: middleCurl, ring: ringCurl, pinky: pinkyCurl },
+      extended: { thumb: thumbExt, index: indexExtended, middle: middleExtended, ring: ringExtended, pinky: pinkyExtended },
+      extendedCount,
+      // Swipe detection consumes palm history, so only run it if a
+      // definition actually asks (i.e. nothing higher-priority matched)
+      get swipe() {
+        if (swipe === undefined) swipe = channel._detectSwipe(now);
+        return swipe;
+      }
+    };
 
-    if (!this._twistPoseActive && twistPoseScore >= this._twistPoseEnterThreshold) {
-      this._twistPoseActive = true;
-    } else if (this._twistPoseActive && twistPoseScore < this._twistPoseExitThreshold) {
-      this._twistPoseActive = false;
+    // ========= Air-tap =========
+    // A tap in progress holds 'point' (the dipping finger briefly reads as
+    // fist, pinch or twist) and freezes the pointer and hysteresis gates,
+    // so the tap lands where aimed and leaves the hand pointing.
+    let tapping = false;
+    if (indexCurl < TAP_CURL_UP) this._tapArmed = true;
+    if (this._tapStart !== null) {
+      if (now - this._tapStart > TAP_MAX_MS) {
+        // Held down too long — a deliberate curl, not a tap
+        this._tapStart = null;
+        this._tapArmed = false;
+      } else if (indexCurl < TAP_CURL_UP) {
+        this._tapStart = null;
+        output.airTap = true;
+      } else {
+        tapping = true;
+      }
+    } else if (this._tapArmed && this._lastStableGesture === 'point' && indexCurl > TAP_CURL_DOWN) {
+      this._tapStart = now;
+      tapping = true;
     }
-    output.twistPoseActive = this._twistPoseActive;
+
+    // ========= Hysteresis gates (twist pose) =========
+    if (!tapping) this.registry.updateHysteresis(features, this._gates);
+    output.twistPoseScore = this.registry.score('twist_pose', this._gates);
+    output.twistPoseActive = this.registry.isActive('twist_pose', this._gates);
 
     // ========= Hand roll angle (lightbulb twist) =========
     // Primary axis: INDEX_MCP → PINKY_MCP (palm axis)
@@ -252,7 +511,8 @@ export class GestureRecognizer {
       lm[PINKY_MCP].y - lm[INDEX_MCP].y,
       lm[PINKY_MCP].x - lm[INDEX_MCP].x
     );
-    output.handAngle = handAngle;
+    // The index→pinky line points the other way on a left hand
+    output.handAngle = this.hand === 'Left' ? wrapAngle(handAngle + Math.PI) : handAngle;
 
     const hadPrevHandAngle = this._prevHandAngle !== null;
     let palmAxisDelta = 0;
@@ -275,11 +535,14 @@ export class GestureRecognizer {
 
     if (hadPrevHandAngle) {
       // Smooth secondary axis separately.
-      this._filteredPinchAxisDelta += (pinchAxisDelta - this._filteredPinchAxisDelta) * 0.35;
+      this._pinchAxisAngle += pinchAxisDelta;
+      const prevSmoothPinch = this._smoothPinchAxisAngle;
+      this._smoothPinchAxisAngle = this.filters.pinchAxisDelta.filter(this._pinchAxisAngle, now);
+      const smoothPinchAxisDelta = prevSmoothPinch === null ? 0 : this._smoothPinchAxisAngle - prevSmoothPinch;
 
       // Blend: when thumb/index are close, trust pinch-axis more.
       const pinchBlend = clamp((0.75 - pinchDist) / 0.35, 0, 1);
-      let rawDelta = (palmAxisDelta * (1 - pinchBlend)) + (this._filteredPinchAxisDelta * pinchBlend);
+      let rawDelta = (palmAxisDelta * (1 - pinchBlend)) + (smoothPinchAxisDelta * pinchBlend);
       output.rawHandAngleDelta = rawDelta;
 
       // Add to history for robust statistics.
@@ -299,140 +562,79 @@ export class GestureRecognizer {
       const adaptiveDeadzone = 0.002 + Math.min(0.02, sigma * 1.6);
       const cleanedDelta = Math.abs(rawDelta) > adaptiveDeadzone ? rawDelta : 0;
 
-      // Final low-pass filter for smooth control signal.
-      this._filteredHandAngleDelta += (cleanedDelta - this._filteredHandAngleDelta) * 0.34;
-      output.handAngleDelta = this._filteredHandAngleDelta;
-    } else {
-      output.rawHandAngleDelta = 0;
-      output.handAngleDelta = 0;
+      // Final low-pass filter for smooth control signal: filter the
+      // accumulated angle, then difference it.
+      this._twistAngle += cleanedDelta;
+      const prevSmoothTwist = this._smoothTwistAngle;
+      this._smoothTwistAngle = this.filters.handAngleDelta.filter(this._twistAngle, now);
+      output.handAngleDelta = prevSmoothTwist === null ? 0 : this._smoothTwistAngle - prevSmoothTwist;
     }
 
-    // ========= Two-hand gestures (highest priority) =========
-    if (results.landmarks.length >= 2) {
-      const lm2 = results.landmarks[1];
-      const palm1 = { x: lm[WRIST].x, y: lm[WRIST].y };
-      const palm2 = { x: lm2[WRIST].x, y: lm2[WRIST].y };
-      const rawDist = dist2D(palm1, palm2);
-
-      // Smooth the two-hand distance with EMA
-      if (this._smoothTwoHandDist === null) {
-        this._smoothTwoHandDist = rawDist;
-      } else {
-        const prevSmooth = this._smoothTwoHandDist;
-        this._smoothTwoHandDist += (rawDist - this._smoothTwoHandDist) * this._twoHandSmoothing;
-        output.twoHandDelta = this._smoothTwoHandDist - prevSmooth;
-      }
-      output.twoHandDistance = this._smoothTwoHandDist;
-
-      // Only trigger if meaningful movement (normalized by initial distance)
-      if (Math.abs(output.twoHandDelta) > 0.003) {
-        const rawGesture = output.twoHandDelta > 0 ? 'spread' : 'squeeze';
-        output.confidence = Math.min(1, Math.abs(output.twoHandDelta) * 15);
-        return this._stabilize(rawGesture, output);
-      }
-    } else {
-      this._smoothTwoHandDist = null;
-    }
-
-    // ========= Single-hand classification =========
-
+    // ========= Classification (registry, by priority) =========
     let rawGesture = 'none';
-
-    // Pinch: thumb + index close together, middle not extended
-    // Use normalized distance — threshold ~0.35 of palm size
-    if (pinchDist < 0.35 && middleCurl > 0.3) {
-      rawGesture = 'pinch';
-      output.confidence = Math.max(0, 1 - pinchDist / 0.35);
-    }
-    // Fist: all fingers curled
-    else if (extendedCount <= 1 && !indexExtended && !middleExtended && !ringExtended) {
-      rawGesture = 'fist';
-      output.confidence = 1 - extendedCount / 5;
+    const match = this.registry.classify(features, this._gates);
+    if (match) {
+      rawGesture = match.name;
+      output.confidence = match.confidence;
     }
-    // Twist pose: robust gated posture for rotation
-    else if (this._twistPoseActive) {
-      rawGesture = 'twist_pose';
-      output.confidence = twistPoseScore;
-    }
-    // Point: only index extended
-    else if (indexExtended && !middleExtended && !ringExtended && !pinkyExtended) {
-      rawGesture = 'point';
-      output.confidence = 0.9;
-    }
-    // Open palm: 3+ fingers extended (relaxed to tolerate fingers
-    // appearing curled during a lightbulb-twist rotation)
-    else if (extendedCount >= 3) {
-      rawGesture = 'open_palm';
-      output.confidence = extendedCount / 5;
+
+    if (tapping) {
+      output.gesture = 'point';
+      this._lastStableGesture = 'point';
+    } else {
+      output.gesture = this._stabilize(rawGesture);
     }
 
-    // Check for swipe (independent of gesture — uses velocity)
-    const swipe = this._detectSwipe();
-    if (swipe) {
-      rawGesture = swipe;
-      output.confidence = 0.85;
+    // ========= Pointer =========
+    if (output.gesture === 'point') {
+      if (!tapping) {
+        const [pointerFilterX, pointerFilterY] = this.filters.pointer;
+        this._pointer = {
+          x: pointerFilterX.filter(lm[INDEX_TIP].x, now),
+          y: pointerFilterY.filter(lm[INDEX_TIP].y, now)
+        };
+      }
+      output.pointer = this._pointer;
+    } else {
+      this._pointer = null;
+      resetFilter(this.filters.pointer);
     }
 
-    return this._stabilize(rawGesture, output);
+    return output;
   }
 
   /**
    * Stability buffer: require majority agreement over recent frames.
    * Prevents flickering between gestures.
    */
-  _stabilize(rawGesture, output) {
-    this._gestureBuffer.push(rawGesture);
-    if (this._gestureBuffer.length > STABILITY_BUFFER_SIZE) {
-      this._gestureBuffer.shift();
-    }
-
-    // Count occurrences of each gesture in the buffer
-    const counts = {};
-    for (const g of this._gestureBuffer) {
-      counts[g] = (counts[g] || 0) + 1;
-    }
-
-    // Find the most common gesture
-    let best = 'none';
-    let bestCount = 0;
-    for (const [g, c] of Object.entries(counts)) {
-      if (c > bestCount) {
-        best = g;
-        bestCount = c;
-      }
-    }
-
-    // Require at least 3 out of 5 frames (60% consensus)
-    const threshold = Math.ceil(STABILITY_BUFFER_SIZE * 0.6);
-    if (bestCount >= threshold) {
-      output.gesture = best;
-    } else {
-      // Keep previous stable gesture if no clear winner
-      output.gesture = this._lastStableGesture || 'none';
-    }
-
-    // Swipe gestures bypass stability (they're already debounced internally)
-    if (rawGesture === 'swipe_left' || rawGesture === 'swipe_right') {
-      output.gesture = rawGesture;
+  _stabilize(rawGesture) {
+    // Keep previous stable gesture if no clear winner
+    let gesture = vote(this._gestureBuffer, rawGesture, this._lastStableGesture || 'none');
+
+    // 'immediate' gestures bypass stability (e.g. swipes, already debounced)
+    const rawDef = this.registry.get(rawGesture);
+    if (rawDef && rawDef.stability === 'immediate') {
+      gesture = rawGesture;
     }
 
-    // Twist pose has its own hysteresis. Preserve it unless a higher-priority
-    // action is active, avoiding flicker between twist_pose and none/point.
-    const highPriority = ['pinch', 'fist', 'spread', 'squeeze', 'swipe_left', 'swipe_right'];
-    if (this._twistPoseActive && !highPriority.includes(rawGesture)) {
-      output.gesture = 'twist_pose';
+    // 'sticky' gestures have their own hysteresis. Preserve them unless a
+    // higher-priority action is active, avoiding flicker between
+    // twist_pose and none/point.
+    const held = this.registry.stickyHold(rawGesture, this._gates);
+    if (held) {
+      gesture = held;
     }
 
-    this._lastStableGesture = output.gesture;
-    return output;
+    this._lastStableGesture = gesture;
+    return gesture;
   }
 
   /**
-   * Detect horizontal swipe from palm velocity over recent history.
+   * Detect a swipe from palm velocity over recent history: horizontal
+   * (left/right) or vertical (up/down, in image space).
    * Decoupled from any specific gesture — works with any hand shape.
    */
-  _detectSwipe() {
-    const now = Date.now();
+  _detectSwipe(now) {
     if (now - this._lastSwipeTime < 700) return null; // cooldown
     if (this._palmHistory.length < 5) return null;
 
@@ -449,16 +651,343 @@ export class GestureRecognizer {
 
     if (dt < 50) return null; // too fast to be real
 
-    // Need significant horizontal velocity, minimal vertical
-    const velocityX = dx / (dt / 1000); // units per second
-    const absVelX = Math.abs(velocityX);
+    // Need significant velocity along one axis, little along the other
+    const absVelX = Math.abs(dx / (dt / 1000)); // units per second
+    const absVelY = Math.abs(dy / (dt / 1000));
 
+    let swipe = null;
     if (absVelX > 0.8 && Math.abs(dy) < Math.abs(dx) * 0.5) {
+      swipe = dx > 0 ? 'swipe_right' : 'swipe_left';
+    } else if (absVelY > 0.8 && Math.abs(dx) < Math.abs(dy) * 0.5) {
+      swipe = dy < 0 ? 'swipe_up' : 'swipe_down'; // image y grows downward
+    }
+
+    if (swipe) {
       this._lastSwipeTime = now;
       this._palmHistory = []; // reset after swipe
-      return dx > 0 ? 'swipe_right' : 'swipe_left';
     }
+    return swipe;
+  }
+}
+
+// ================================================================
+// Recognizer — assigns hands to channels, then matches compounds
+// ================================================================
+
+const OTHER_HAND = { Left: 'Right', Right: 'Left' };
+
+export class GestureRecognizer {
+  /**
+   * @param {object} [opts]
+   * @param {Object<string, { minCutoff?: number, beta?: number, dCutoff?: number }>} [opts.smoothing]
+   *   per-signal overrides of SMOOTHING_DEFAULTS
+   * @param {object[]} [opts.gestures=DEFAULT_GESTURES]  gesture definitions
+   * @param {'Left'|'Right'} [opts.dominantHand='Right']  hand that drives
+   *   single-hand gestures when both are in view
+   */
+  constructor({ smoothing = {}, gestures = DEFAULT_GESTURES, dominantHand = 'Right' } = {}) {
+    this.dominantHand = dominantHand;
+
+    // Gesture definitions (priorities, hysteresis, stability policies)
+    this.registry = new GestureRegistry(gestures);
+
+    // Resolved One Euro parameters per signal
+    this._smoothing = {};
+    for (const signal of Object.keys(SMOOTHING_DEFAULTS)) {
+      this._smoothing[signal] = { ...SMOOTHING_DEFAULTS[signal], ...smoothing[signal] };
+    }
+
+    // One channel per physical hand
+    this._channels = {
+      Left: new HandChannel('Left', this.registry, this._smoothing),
+      Right: new HandChannel('Right', this.registry, this._smoothing)
+    };
+    // Channels used last frame, in results order
+    this._lastChannels = [];
+
+    // Two-hand distance / steering line, and compound stability
+    this._pairFilters = {};
+    for (const signal of PAIR_SIGNALS) {
+      this._pairFilters[signal] = createFilter(signal, this._smoothing[signal]);
+    }
+    this._resetPairTracking();
+    this._pairBuffer = [];
+    this._lastPairGesture = 'none';
+
+    // Timestamp of the previous recognize() call (ms)
+    this._lastTimestamp = null;
+  }
+
+  /**
+   * @param {'Left'|'Right'} hand
+   */
+  setDominantHand(hand) {
+    if (hand !== 'Left' && hand !== 'Right') throw new Error(`Invalid dominant hand: ${hand}`);
+    if (hand === this.dominantHand) return;
+    this.dominantHand = hand;
+    this._resetTracking();
+  }
+
+  /**
+   * Change the One Euro parameters of one signal (see SMOOTHING_DEFAULTS).
+   * Filter state is reset.
+   * @param {string} signal
+   * @param {{ minCutoff?: number, beta?: number, dCutoff?: number }} [params]
+   */
+  setSmoothing(signal, params = {}) {
+    if (!SMOOTHING_DEFAULTS[signal]) throw new Error(`Unknown smoothing signal: ${signal}`);
+    const merged = { ...SMOOTHING_DEFAULTS[signal], ...params };
+    this._smoothing[signal] = merged;
+
+    if (PAIR_SIGNALS.includes(signal)) {
+      this._pairFilters[signal] = createFilter(signal, merged);
+      this._resetPairTracking();
+    } else {
+      for (const channel of Object.values(this._channels)) channel.setSmoothing(signal, merged);
+    }
+  }
+
+  /**
+   * Drop all tracking state, for every hand and the pair.
+   */
+  _resetTracking() {
+    for (const channel of Object.values(this._channels)) channel.reset();
+    this._lastChannels = [];
+    this._resetPair();
+  }
+
+  _resetPair() {
+    this._resetPairTracking();
+    this._pairBuffer = [];
+    this._lastPairGesture = 'none';
+  }
+
+  _resetPairTracking() {
+    this._smoothTwoHandDist = null;
+    this._prevTwoHandAngle = null;
+    this._twoHandAngle = 0;       // unwrapped
+    this._smoothTwoHandAngle = null;
+    this._smoothTwoHandCenter = null;
+    for (const filter of Object.values(this._pairFilters)) resetFilter(filter);
+  }
+
+  /**
+   * Decide which channel each hand in `results` feeds, by handedness.
+   * With a single hand in view frame after frame it stays in its channel,
+   * since a label change is then just MediaPipe flickering.
+   * @returns {string[]} channel key per hand, in results order
+   */
+  _assignChannels(results) {
+    const count = results.landmarks.length;
+    if (count === 1 && this._lastChannels.length === 1) return [this._lastChannels[0]];
+
+    const keys = new Array(count).fill(null);
+    const taken = new Set();
+    for (let i = 0; i < count; i++) {
+      const label = handLabel(results, i);
+      if (this._channels[label] && !taken.has(label)) {
+        keys[i] = label;
+        taken.add(label);
+      }
+    }
+    // Unlabelled hands, or both labelled the same: dominant channel first
+    for (let i = 0; i < count; i++) {
+      if (keys[i] !== null) continue;
+      const free = [this.dominantHand, OTHER_HAND[this.dominantHand]].find((k) => !taken.has(k));
+      if (free === undefined) break; // more than two hands — ignore the rest
+      keys[i] = free;
+      taken.add(free);
+    }
+    return keys;
+  }
 
-    return null;
+  /**
+   * Classify gestures from MediaPipe results.
+   * Returns a stable, smoothed gesture state.
+   *
+   * Top-level fields describe the primary hand (the dominant hand when it
+   * is in view) or, when a compound gesture is active, that gesture.
+   * `hands.primary` / `hands.secondary` hold each hand's own result, and
+   * `compound` the active two-hand gesture with its `roles`.
+   *
+   * @param {object|null} results    HandLandmarker results
+   * @param {number} [timestamp]     frame time in ms (HandTracker.onResults);
+   *   a timestamp earlier than the previous one (replay restart, source
+   *   switch) resets all smoothing state
+   */
+  recognize(results, timestamp = performance.now()) {
+    const output = {
+      gesture: 'none',
+      confidence: 0,
+      hand: null,            // primary hand: 'Left' | 'Right'
+      handPosition: null,
+      palmDelta: null,
+      depthDelta: 0,
+      handAngle: 0,
+      handAngleDelta: 0,
+      rawHandAngleDelta: 0,
+      twistPoseScore: 0,
+      twistPoseActive: false,
+      fingerCurls: null,
+      pointer: null,
+      airTap: false,
+      palmOrientation: null,
+      handsDetected: 0,
+      hands: { primary: null, secondary: null },
+      compound: null,        // { name, confidence, roles }
+      twoHandDistance: null,
+      twoHandDelta: 0,
+      twoHandAngle: null,       // angle of the left→right wrist line (rad, selfie view)
+      twoHandAngleDelta: 0,     // filtered frame-to-frame change (steering roll)
+      twoHandCenter: null,      // { x, y } midpoint between the wrists
+      twoHandCenterDelta: null  // { dx, dy } filtered midpoint movement
+    };
+
+    if (this._lastTimestamp !== null && timestamp < this._lastTimestamp) {
+      this._resetTracking();
+      for (const channel of Object.values(this._channels)) channel.resetClock();
+    }
+    this._lastTimestamp = timestamp;
+
+    if (!results || !results.landmarks || results.landmarks.length === 0) {
+      this._resetTracking();
+      return output;
+    }
+
+    const now = timestamp;
+
+    // Measure everything in the user's view, whatever the mirror setting
+    const selfie = results.mirrored === false ? toSelfieView : (hand) => hand;
+    const selfieWorld = results.mirrored === false ? toSelfieWorld : (hand) => hand;
+    const worldLandmarks = results.worldLandmarks || [];
+
+    // ========= Per-hand channels =========
+    const keys = this._assignChannels(results);
+    const hands = [];
+    keys.forEach((key, i) => {
+      if (key === null) return;
+      hands.push({
+        key,
+        lm: selfie(results.landmarks[i]),
+        world: worldLandmarks[i] ? selfieWorld(worldLandmarks[i]) : null
+      });
+    });
+
+    // A hand that left and came back starts fresh
+    for (const [key, channel] of Object.entries(this._channels)) {
+      if (!keys.includes(key)) channel.reset();
+    }
+    this._lastChannels = keys.filter((k) => k !== null);
+
+    const perHand = hands.map(({ key, lm, world }) => ({ key, lm, result: this._channels[key].update(lm, now, world) }));
+
+    // Primary hand: the dominant hand if it's in view
+    const primaryIndex = Math.max(0, perHand.findIndex((h) => h.key === this.dominantHand));
+    const primary = perHand[primaryIndex];
+    const secondary = perHand.find((_, i) => i !== primaryIndex) || null;
+
+    output.handsDetected = perHand.length;
+    output.hands.primary = primary.result;
+    output.hands.secondary = secondary ? secondary.result : null;
+    Object.assign(output, {
+      gesture: primary.result.gesture,
+      confidence: primary.result.confidence,
+      hand: primary.result.hand,
+      handPosition: primary.result.handPosition,
+      palmDelta: primary.result.palmDelta,
+      depthDelta: primary.result.depthDelta,
+      handAngle: primary.result.handAngle,
+      handAngleDelta: primary.result.handAngleDelta,
+      rawHandAngleDelta: primary.result.rawHandAngleDelta,
+      twistPoseScore: primary.result.twistPoseScore,
+      twistPoseActive: primary.result.twistPoseActive,
+      fingerCurls: primary.result.fingerCurls,
+      pointer: primary.result.pointer,
+      airTap: primary.result.airTap,
+      palmOrientation: primary.result.palmOrientation
+    });
+
+    if (!secondary) {
+      this._resetPair();
+      return output;
+    }
+
+    // ========= Two-hand distance =========
+    const lm = primary.lm;
+    const lm2 = secondary.lm;
+    const palm1 = { x: lm[WRIST].x, y: lm[WRIST].y };
+    const palm2 = { x: lm2[WRIST].x, y: lm2[WRIST].y };
+    const rawDist = dist2D(palm1, palm2);
+
+    // Smooth the two-hand distance
+    const prevSmooth = this._smoothTwoHandDist;
+    this._smoothTwoHandDist = this._pairFilters.twoHandDistance.filter(rawDist, now);
+    if (prevSmooth !== null) {
+      output.twoHandDelta = this._smoothTwoHandDist - prevSmooth;
+    }
+    output.twoHandDistance = this._smoothTwoHandDist;
+
+    // ========= Steering line (left wrist → right wrist) =========
+    const [left, right] = primary.key === 'Left' ? [palm1, palm2] : [palm2, palm1];
+    const lineAngle = Math.atan2(right.y - left.y, right.x - left.x);
+    output.twoHandAngle = lineAngle;
+    if (this._prevTwoHandAngle !== null) {
+      this._twoHandAngle += wrapAngleDelta(lineAngle - this._prevTwoHandAngle);
+    }
+    this._prevTwoHandAngle = lineAngle;
+    const prevSmoothAngle = this._smoothTwoHandAngle;
+    this._smoothTwoHandAngle = this._pairFilters.twoHandAngleDelta.filter(this._twoHandAngle, now);
+    if (prevSmoothAngle !== null) {
+      output.twoHandAngleDelta = this._smoothTwoHandAngle - prevSmoothAngle;
+    }
+
+    const center = { x: (palm1.x + palm2.x) / 2, y: (palm1.y + palm2.y) / 2 };
+    output.twoHandCenter = center;
+    const [centerFilterX, centerFilterY] = this._pairFilters.twoHandCenterDelta;
+    const smoothCenter = { x: centerFilterX.filter(center.x, now), y: centerFilterY.filter(center.y, now) };
+    if (this._smoothTwoHandCenter) {
+      output.twoHandCenterDelta = {
+        dx: smoothCenter.x - this._smoothTwoHandCenter.x,
+        dy: smoothCenter.y - this._smoothTwoHandCenter.y
+      };
+    }
+    this._smoothTwoHandCenter = smoothCenter;
+
+    // ========= Compound gestures (on top of per-hand results) =========
+    const pair = {
+      primary: output.hands.primary,
+      secondary: output.hands.secondary,
+      twoHandDelta: output.twoHandDelta,
+      twoHandDistance: output.twoHandDistance,
+      twoHandAngleDelta: output.twoHandAngleDelta,
+      twoHandCenterDelta: output.twoHandCenterDelta
+    };
+    const match = this.registry.classifyPair(pair);
+    const rawPairGesture = match ? match.name : 'none';
+
+    // 'immediate' compounds follow the (already stable) per-hand gestures;
+    // the rest go through their own vote
+    let pairGesture;
+    if (match && match.definition.stability === 'immediate') {
+      pairGesture = rawPairGesture;
+      this._pairBuffer = [];
+      this._lastPairGesture = 'none';
+    } else {
+      pairGesture = vote(this._pairBuffer, rawPairGesture, this._lastPairGesture);
+      this._lastPairGesture = pairGesture;
+    }
+
+    const stableDef = this.registry.get(pairGesture);
+    if (pairGesture !== 'none' && stableDef && stableDef.enabled) {
+      output.compound = {
+        name: pairGesture,
+        confidence: match && match.name === pairGesture ? match.confidence : stableDef.confidence(pair),
+        roles: stableDef.roles ? stableDef.roles(pair) : { primary: pair.primary, secondary: pair.secondary }
+      };
+      output.gesture = pairGesture;
+      output.confidence = output.compound.confidence;
+    }
+
+    return output;
   }
 }
@@ -0,0 +1,429 @@
+/**
+ * Declarative gesture definitions for GestureRecognizer.
+ *
+ * Single-hand definitions are evaluated independently for each hand in
+ * view. Each describes one gesture:
+ *
+ *   {
+ *     name: 'pinch',
+ *     priority: 80,            // higher is tested first; first match wins
+ *     match: (f) => boolean,   // feature predicate, see below
+ *     confidence: (f) => number,
+ *     hysteresis: {            // optional: gate on a score with enter/exit
+ *       score: (f) => number,  //   thresholds; `match` defaults to "active"
+ *       enter: 0.58,
+ *       exit: 0.42
+ *     },
+ *     stability: 'vote'        // 'vote'      majority of recent frames (default)
+ *                              // 'immediate' bypass the vote (debounced elsewhere)
+ *                              // 'sticky'    hold while the hysteresis gate is
+ *                              //             active, unless a higher-priority
+ *                              //             gesture fires
+ *   }
+ *
+ * Features `f`, computed once per frame for each hand:
+ *   hand ('Left' | 'Right'), lm, palmSize, pinchDist (thumb–index / palm size),
+ *   curls { index, middle, ring, pinky } (0 = extended, 1 = curled),
+ *   extended { thumb, index, middle, ring, pinky }, extendedCount,
+ *   swipe ('swipe_left' | 'swipe_right' | 'swipe_up' | 'swipe_down' | null,
+ *   evaluated lazily because swipe detection is stateful).
+ *
+ * Two-hand (compound) definitions have `hands: 2` and are matched on top of
+ * the per-hand results, once both hands are in view:
+ *
+ *   {
+ *     name: 'rotate_select',
+ *     hands: 2,
+ *     priority: 100,
+ *     match: (pair) => boolean,
+ *     confidence: (pair) => number,
+ *     roles: (pair) => object,
+ *     stability: 'immediate'
+ *   }
+ *
+ * `pair` holds { primary, secondary } — per-hand outputs (stabilized
+ * gesture, palmDelta, handAngleDelta, ...) — plus the two-hand signals
+ * twoHandDelta, twoHandDistance, twoHandAngleDelta, twoHandCenterDelta.
+ *
+ * `roles` names which hand does what (e.g. { rotate, select }) so
+ * GestureControls can read each hand's signals. Pair definitions support
+ * the 'vote' and 'immediate' stability policies.
+ *
+ * Deployments can add, replace, or disable gestures without touching the
+ * recognizer core:
+ *
+ *   recognizer.registry.setEnabled('point', false);
+ *   recognizer.registry.register({ name: 'peace', priority: 55, ... });
+ */
+
+const SWIPE_PRIORITY = 90;
+
+/**
+ * Split a pair into the hand showing gesture `a` and the one showing `b`,
+ * in either order: { [a]: hand, [b]: hand }, or null.
+ */
+function splitPair({ primary, secondary }, a, b) {
+  if (primary.gesture === a && secondary.gesture === b) return { [a]: primary, [b]: secondary };
+  if (secondary.gesture === a && primary.gesture === b) return { [a]: secondary, [b]: primary };
+  return null;
+}
+
+/**
+ * The hand showing `gesture` while the other hand shows anything else.
+ */
+function soloHand({ primary, secondary }, gesture) {
+  if (primary.gesture === gesture && secondary.gesture !== gesture) return { hand: primary, other: secondary };
+  if (secondary.gesture === gesture && primary.gesture !== gesture) return { hand: secondary, other: primary };
+  return null;
+}
+
+/**
+ * Index, middle and ring extended, pinky curled; the thumb may be either.
+ */
+function threeFingers({ extended }) {
+  return extended.index && extended.middle && extended.ring && !extended.pinky;
+}
+
+export const DEFAULT_GESTURES = [
+  // ---------- Compound (two-hand) gestures ----------
+
+  // One hand rotates with the twist pose while the other pinches to select
+  {
+    name: 'rotate_select',
+    hands: 2,
+    priority: 100,
+    match: (pair) => splitPair(pair, 'twist_pose', 'pinch') !== null,
+    confidence: (pair) => {
+      const split = splitPair(pair, 'twist_pose', 'pinch');
+      return split ? Math.min(split.twist_pose.confidence, split.pinch.confidence) : 0;
+    },
+    roles: (pair) => {
+      const split = splitPair(pair, 'twist_pose', 'pinch');
+      return split
+        ? { rotate: split.twist_pose, select: split.pinch }
+        : { rotate: pair.primary, select: pair.secondary };
+    },
+    stability: 'immediate'
+  },
+
+  // One hand holds a fist as a clutch; the other hand's movement drives
+  {
+    name: 'clutch',
+    hands: 2,
+    priority: 100,
+    match: (pair) => soloHand(pair, 'fist') !== null,
+    confidence: (pair) => {
+      const solo = soloHand(pair, 'fist');
+      return solo ? solo.hand.confidence : 0;
+    },
+    roles: (pair) => {
+      const solo = soloHand(pair, 'fist');
+      return solo
+        ? { clutch: solo.hand, drive: solo.other }
+        : { clutch: pair.secondary, drive: pair.primary };
+    },
+    stability: 'immediate'
+  },
+
+  // Steering wheel: pinch with both hands to grab the brain. Turning the
+  // wrist line rolls it; moving both hands together yaws and pitches.
+  // Holding the grab is what tells it apart from spread/squeeze.
+  {
+    name: 'steer',
+    hands: 2,
+    priority: 100,
+    match: (pair) => pair.primary.gesture === 'pinch' && pair.secondary.gesture === 'pinch',
+    confidence: (pair) => Math.min(pair.primary.confidence, pair.secondary.confidence),
+    roles: (pair) => pair.primary.hand === 'Left'
+      ? { left: pair.primary, right: pair.secondary }
+      : { left: pair.secondary, right: pair.primary },
+    stability: 'immediate'
+  },
+
+  // Hands moving apart / together (open hands — a held grab steers instead)
+  {
+    name: 'spread',
+    hands: 2,
+    priority: 90,
+    match: (pair) => pair.twoHandDelta > 0.003,
+    confidence: (pair) => Math.min(1, Math.abs(pair.twoHandDelta) * 15)
+  },
+  {
+    name: 'squeeze',
+    hands: 2,
+    priority: 90,
+    match: (pair) => pair.twoHandDelta < -0.003,
+    confidence: (pair) => Math.min(1, Math.abs(pair.twoHandDelta) * 15)
+  },
+
+  // ---------- Single-hand gestures ----------
+
+  // Swipes are velocity-based and work with any hand shape
+  {
+    name: 'swipe_left',
+    priority: SWIPE_PRIORITY,
+    match: (f) => f.swipe === 'swipe_left',
+    confidence: () => 0.85,
+    stability: 'immediate'
+  },
+  {
+    name: 'swipe_right',
+    priority: SWIPE_PRIORITY,
+    match: (f) => f.swipe === 'swipe_right',
+    confidence: () => 0.85,
+    stability: 'immediate'
+  },
+  // Three-finger vertical swipes (index, middle, ring up, pinky curled)
+  // step the anatomical layers out and back. Tested before the drill
+  // swipes, which a three-finger hand with its thumb out would also match.
+  {
+    name: 'depth_in',
+    priority: SWIPE_PRIORITY,
+    match: (f) => f.swipe === 'swipe_down' && threeFingers(f),
+    confidence: () => 0.85,
+    stability: 'immediate'
+  },
+  {
+    name: 'depth_out',
+    priority: SWIPE_PRIORITY,
+    match: (f) => f.swipe === 'swipe_up' && threeFingers(f),
+    confidence: () => 0.85,
+    stability: 'immediate'
+  },
+  // Vertical swipes drill through the region hierarchy. Open hand only, so
+  // raising or lowering a twist or slice pose never counts.
+  {
+    name: 'swipe_up',
+    priority: SWIPE_PRIORITY,
+    match: (f) => f.swipe === 'swipe_up' && f.extendedCount >= 4,
+    confidence: () => 0.85,
+    stability: 'immediate'
+  },
+  {
+    name: 'swipe_down',
+    priority: SWIPE_PRIORITY,
+    match: (f) => f.swipe === 'swipe_down' && f.extendedCount >= 4,
+    confidence: () => 0.85,
+    stability: 'immediate'
+  },
+
+  // Pinch: thumb + index close together (normalized ~0.35 of palm size),
+  // middle not extended
+  {
+    name: 'pinch',
+    priority: 80,
+    match: (f) => f.pinchDist < 0.35 && f.curls.middle > 0.3,
+    confidence: (f) => Math.max(0, 1 - f.pinchDist / 0.35)
+  },
+
+  // Fist: all fingers curled
+  {
+    name: 'fist',
+    priority: 70,
+    match: (f) => f.extendedCount <= 1 && !f.extended.index && !f.extended.middle && !f.extended.ring,
+    confidence: (f) => 1 - f.extendedCount / 5
+  },
+
+  // Slice: index + middle extended together like a blade, ring and pinky
+  // curled. Above twist_pose so the held twist can't swallow it.
+  {
+    name: 'slice',
+    priority: 65,
+    match: (f) => f.extended.index && f.extended.middle && !f.extended.ring && !f.extended.pinky &&
+      f.curls.ring > 0.5 && f.curls.pinky > 0.5,
+    confidence: (f) => Math.min(1, (f.curls.ring + f.curls.pinky) / 2)
+  },
+
+  // Twist pose: thumb + index extended, middle/ring/pinky mostly curled.
+  // Gated with hysteresis and held through lower-priority poses.
+  {
+    name: 'twist_pose',
+    priority: 60,
+    hysteresis: {
+      score: (f) => {
+        const curledOthersScore = (f.curls.middle + f.curls.ring + f.curls.pinky) / 3;
+        const thumbReady = f.extended.thumb || f.pinchDist < 0.72;
+        const indexReady = f.extended.index || f.curls.index < 0.55;
+        const score =
+          (thumbReady ? 0.34 : 0) +
+          (indexReady ? 0.34 : 0) +
+          (curledOthersScore * 0.18) +
+          (f.pinchDist < 0.55 ? 0.18 : 0);
+        return Math.max(0, Math.min(1, score));
+      },
+      enter: 0.58,
+      exit: 0.42
+    },
+    confidence: (f, score) => score,
+    stability: 'sticky'
+  },
+
+  // Point: only index extended
+  {
+    name: 'point',
+    priority: 50,
+    match: (f) => f.extended.index && !f.extended.middle && !f.extended.ring && !f.extended.pinky,
+    confidence: () => 0.9
+  },
+
+  // Open palm: 3+ fingers extended (relaxed to tolerate fingers appearing
+  // curled during a lightbulb-twist rotation)
+  {
+    name: 'open_palm',
+    priority: 40,
+    match: (f) => f.extendedCount >= 3,
+    confidence: (f) => f.extendedCount / 5
+  }
+];
+
+export class GestureRegistry {
+  /**
+   * @param {object[]} [definitions=DEFAULT_GESTURES]
+   */
+  constructor(definitions = DEFAULT_GESTURES) {
+    this._definitions = new Map(); // name -> definition
+    this._ordered = [];            // enabled single-hand, by priority
+    this._orderedPairs = [];       // enabled two-hand, by priority
+
+    for (const def of definitions) this.register(def);
+  }
+
+  /**
+   * Add a gesture, or replace the one with the same name.
+   */
+  register(definition) {
+    if (!definition.name) throw new Error('Gesture definition needs a name');
+    if (!definition.match && !definition.hysteresis) {
+      throw new Error(`Gesture "${definition.name}" needs match() or hysteresis`);
+    }
+    if (definition.hands === 2 && (definition.hysteresis || definition.stability === 'sticky')) {
+      throw new Error(`Two-hand gesture "${definition.name}" can't use hysteresis or sticky stability`);
+    }
+    this._definitions.set(definition.name, {
+      hands: 1,
+      priority: 0,
+      stability: 'vote',
+      enabled: true,
+      confidence: () => 1,
+      ...definition
+    });
+    this._sort();
+  }
+
+  unregister(name) {
+    this._definitions.delete(name);
+    this._sort();
+  }
+
+  get(name) {
+    return this._definitions.get(name) || null;
+  }
+
+  setEnabled(name, enabled) {
+    const def = this._definitions.get(name);
+    if (!def) throw new Error(`Unknown gesture: ${name}`);
+    def.enabled = enabled;
+    this._sort();
+  }
+
+  /**
+   * Enabled single-hand definitions, highest priority first.
+   */
+  get definitions() {
+    return this._ordered;
+  }
+
+  /**
+   * Enabled two-hand definitions, highest priority first.
+   */
+  get pairDefinitions() {
+    return this._orderedPairs;
+  }
+
+  _sort() {
+    // Stable sort keeps registration order among equal priorities
+    const enabled = [...this._definitions.values()]
+      .filter((def) => def.enabled)
+      .sort((a, b) => b.priority - a.priority);
+    this._ordered = enabled.filter((def) => def.hands !== 2);
+    this._orderedPairs = enabled.filter((def) => def.hands === 2);
+  }
+
+  /**
+   * Fresh per-hand hysteresis state. Each hand keeps its own, so one hand's
+   * twist pose doesn't latch the other's.
+   */
+  createState() {
+    return { active: new Map(), scores: new Map() };
+  }
+
+  isActive(name, state) {
+    return state.active.get(name) === true;
+  }
+
+  score(name, state) {
+    return state.scores.get(name) || 0;
+  }
+
+  /**
+   * Update every hysteresis gate from this frame's features. Runs before
+   * classification so gates track even while another gesture wins.
+   */
+  updateHysteresis(features, state) {
+    for (const def of this._ordered) {
+      if (!def.hysteresis) continue;
+      const { score, enter, exit } = def.hysteresis;
+      const value = score(features);
+      const active = state.active.get(def.name) === true;
+      state.scores.set(def.name, value);
+
+      if (!active && value >= enter) state.active.set(def.name, true);
+      else if (active && value < exit) state.active.set(def.name, false);
+    }
+  }
+
+  /**
+   * First matching single-hand gesture by priority.
+   * @returns {{ name: string, confidence: number, definition: object }|null}
+   */
+  classify(features, state) {
+    for (const def of this._ordered) {
+      const matched = def.match ? def.match(features) : this.isActive(def.name, state);
+      if (!matched) continue;
+
+      return {
+        name: def.name,
+        confidence: def.confidence(features, this.score(def.name, state)),
+        definition: def
+      };
+    }
+    return null;
+  }
+
+  /**
+   * First matching two-hand gesture by priority.
+   * @param {{ primary: object, secondary: object, twoHandDelta: number, twoHandDistance: number }} pair
+   * @returns {{ name: string, confidence: number, definition: object }|null}
+   */
+  classifyPair(pair) {
+    for (const def of this._orderedPairs) {
+      if (!def.match(pair)) continue;
+      return { name: def.name, confidence: def.confidence(pair), definition: def };
+    }
+    return null;
+  }
+
+  /**
+   * The sticky gesture that should hold a hand's output this frame, if any:
+   * its gate is active and the raw gesture doesn't outrank it.
+   */
+  stickyHold(rawName, state) {
+    const raw = this._definitions.get(rawName);
+    for (const def of this._ordered) {
+      if (def.stability !== 'sticky' || !this.isActive(def.name, state)) continue;
+      if (raw && raw.enabled && raw.priority > def.priority) continue;
+      return def.name;
+    }
+    return null;
+  }
+}
@@ -1,106 +1,671 @@
 import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import { SessionRecorder } from './SessionRecorder.js';
+import { SessionPlayer } from './SessionPlayer.js';
+import { WebcamSource } from './InputSources.js';
+import { resolveMediaPipeAssets } from './mediapipeAssets.js';
+import { WorkerLandmarker } from './WorkerLandmarker.js';
+
+// getUserMedia errors that mean "the user (or policy) said no"
+const PERMISSION_ERRORS = ['NotAllowedError', 'SecurityError', 'PermissionDeniedError'];
+
+const SWAPPED_HANDEDNESS = { Left: 'Right', Right: 'Left' };
+
+/**
+ * Turn raw HandLandmarker output into what the rest of the app consumes.
+ *
+ * Handedness: MediaPipe labels hands as if the frame were already a selfie
+ * mirror. Every source feeds it raw (unflipped) frames, so the labels come
+ * out swapped — swap them back to the user's actual hand.
+ *
+ * Mirroring (selfie view): landmarks are normalized, so x → 1 − x; world
+ * landmarks are metric around the hand, so x → −x. The result carries
+ * `mirrored` so GestureRecognizer can measure directions in the user's view
+ * either way.
+ */
+function toUserView(results, mirrored) {
+  const flip = (hands, fn) => (hands || []).map((hand) => hand.map((p) => ({ ...p, x: fn(p.x) })));
+  const handedness = (results.handedness || []).map((categories) => categories.map((c) => ({
+    ...c,
+    index: c.index === 0 || c.index === 1 ? 1 - c.index : c.index,
+    categoryName: SWAPPED_HANDEDNESS[c.categoryName] || c.categoryName,
+    displayName: SWAPPED_HANDEDNESS[c.displayName] || c.displayName
+  })));
+
+  return {
+    ...results,
+    landmarks: mirrored ? flip(results.landmarks, (x) => 1 - x) : results.landmarks,
+    worldLandmarks: mirrored ? flip(results.worldLandmarks, (x) => -x) : results.worldLandmarks,
+    handedness,
+    mirrored
+  };
+}
+
+const HAND_LANDMARKER_OPTIONS = {
+  runningMode: 'VIDEO',
+  numHands: 2,
+  // Raised thresholds for more stable, confident detections
+  minHandDetectionConfidence: 0.65,
+  minHandPresenceConfidence: 0.6,
+  minTrackingConfidence: 0.6
+};
 
 /**
- * Manages webcam access and MediaPipe HandLandmarker for real-time
+ * Runs MediaPipe HandLandmarker over frames from a pluggable input source
+ * (webcam, video file, synthetic hand — see InputSources.js) for real-time
  * hand landmark detection.
  *
+ * Model and WASM are self-hosted where available (see mediapipeAssets.js).
+ * The GPU delegate is tried first and falls back to CPU if it fails either
+ * at creation or on the first detections.
+ *
+ * Inference runs in a dedicated worker (WorkerLandmarker) when the browser
+ * supports it, with at most one frame in flight. Otherwise it runs here on
+ * the main thread, as before.
+ *
  * Tuned for stability:
  *  - Higher confidence thresholds to reduce phantom detections
- *  - Throttled to ~20fps detection (GPU can't keep up at 60fps anyway)
+ *  - Adaptive detection interval (~4–30fps) driven by measured inference
+ *    latency and render frame time, so a slow machine lowers the tracking
+ *    rate instead of the render rate
  *  - Larger landmark rendering for better webcam feedback
+ *
+ * Mirroring is applied to the results themselves (not just the preview),
+ * so GestureRecognizer sees the same left/right the user sees in the PiP.
+ * Sources supply the default; setMirrored() overrides it.
+ *
+ * Lifecycle: detection pauses while the tab is hidden, and the webcam is
+ * reopened when its track ends or the device list changes. Status changes
+ * ('loading' | 'running' | 'paused' | 'denied' | 'unavailable') are
+ * reported through onStatusChange.
+ *
+ * Live results can be captured to a landmark session (startRecording /
+ * stopRecording) and a session can be replayed through the same onResults
+ * and PiP drawing path with no camera attached (startReplay / stopReplay).
  */
 export class HandTracker {
-  constructor() {
-    this.handLandmarker = null;
+  /**
+   * @param {object} [opts]
+   * @param {object} [opts.source]  input source; defaults to the webcam
+   * @param {{ wasmUrl?: string, modelUrl?: string, delegate?: 'AUTO'|'GPU'|'CPU',
+   *   inference?: 'worker'|'main' }} [opts.landmarker]
+   */
+  constructor({ source, landmarker = {} } = {}) {
+    this.handLandmarker = null; // HandLandmarker, or WorkerLandmarker proxy
+    this.source = source || new WebcamSource();
+    this.landmarkerConfig = landmarker;
+    this.inference = null;  // 'worker' | 'main' once the model is loaded
+    this._vision = null;
+    this._modelUrl = null;
+    this._fallingBack = false;
+    this.delegate = null;   // 'GPU' | 'CPU' once the model is loaded
+    // { delegate, version, origin, inference } once the model is loaded
+    this.modelInfo = null;
     this.video = null;
     this.landmarkCanvas = null;
     this.landmarkCtx = null;
     this.isRunning = false;
+    this.isPaused = false;
+    this.status = 'idle';
     this.lastResults = null;
     this.lastTimestamp = -1;
+    this._rafId = null;
 
-    // Throttle detection to ~20fps (every 50ms)
+    // null → follow source.mirrored; true/false → user override
+    this.mirrored = null;
+
+    this._lifecycleBound = false;
+    this._recovering = false;
+
+    // Adaptive throttle: starts at ~20fps (every 50ms), then follows
+    // measured latency between the bounds below
     this._lastDetectTime = 0;
     this._detectInterval = 50;
+    this._minDetectInterval = 33;   // ~30fps ceiling
+    this._maxDetectInterval = 250;  // ~4fps floor
+    this._inflight = false;         // worker: one frame at a time
+    this._inferenceMs = null;       // EMA of inference latency
+    this._frameMs = 1000 / 60;      // EMA of rAF frame time
+    this._lastFrameTime = 0;
+    this._lastStatsTime = 0;
+
+    // Session capture / replay
+    this.recorder = null;   // SessionRecorder while recording
+    this.player = null;     // SessionPlayer while replaying
+    this._replayWasPlaying = false; // player running when the tab was hidden
 
     // Callbacks
-    this.onResults = null;
+    this.onResults = null;  // (results, timestamp) => void
+    this.onSessionChange = null; // ({ recording, replaying, player }) => void
+    this.onSourceChange = null;  // (source) => void
+    this.onModelInfo = null;     // ({ delegate, version, origin, inference }) => void
+    this.onStats = null;         // ({ inferenceMs, detectInterval, frameMs }) => void, ~1Hz
+    this.onStatusChange = null;  // ({ status, source, error }) => void
+  }
+
+  /**
+   * Whether results (and the PiP) are currently mirrored.
+   */
+  get isMirrored() {
+    return this.mirrored === null ? !!this.source.mirrored : this.mirrored;
+  }
+
+  /**
+   * @param {boolean|null} mirrored  null to follow the source default
+   */
+  setMirrored(mirrored) {
+    this.mirrored = mirrored;
+    if (this.landmarkCanvas) this._applySourceLayout();
   }
 
   async init() {
-    this.video = document.getElementById('webcam');
-    this.landmarkCanvas = document.getElementById('landmark-canvas');
-    this.landmarkCtx = this.landmarkCanvas.getContext('2d');
+    this._bindElements();
+    this._bindLifecycle();
 
     const statusEl = document.getElementById('webcam-status');
+    const source = this.source;
+    statusEl.style.display = '';
+    statusEl.style.color = '';
+    this._setStatus('loading');
 
     try {
-      statusEl.textContent = 'Loading AI...';
-
-      const vision = await FilesetResolver.forVisionTasks(
-        'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-      );
-
-      this.handLandmarker = await HandLandmarker.createFromOptions(vision, {
-        baseOptions: {
-          modelAssetPath:
-            'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task',
-          delegate: 'GPU'
-        },
-        runningMode: 'VIDEO',
-        numHands: 2,
-        // Raised thresholds for more stable, confident detections
-        minHandDetectionConfidence: 0.65,
-        minHandPresenceConfidence: 0.6,
-        minTrackingConfidence: 0.6
-      });
+      if (source.needsModel) {
+        statusEl.textContent = 'Loading AI...';
+        await this._loadModel();
+      }
 
-      statusEl.textContent = 'Starting camera...';
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { width: 640, height: 480, facingMode: 'user' }
-      });
+      statusEl.textContent = source.startMessage || 'Starting...';
+      await source.start(this.video);
 
-      this.video.srcObject = stream;
-      await new Promise((resolve) => {
-        this.video.onloadeddata = resolve;
-      });
+      // The source was swapped while we were waiting on it
+      if (source !== this.source) return;
 
-      this.landmarkCanvas.width = this.video.videoWidth;
-      this.landmarkCanvas.height = this.video.videoHeight;
+      source.onEnded = () => this._recover();
+      this._applySourceLayout();
 
       statusEl.style.display = 'none';
       this.isRunning = true;
-      this._detect();
+      this._setStatus('running');
+      // Started in a background tab — wait for it to become visible
+      if (document.hidden) this.pause();
+      // A replay started while the model was loading keeps the canvas
+      else if (!this.player) this._detect();
     } catch (err) {
+      if (source !== this.source) return;
       console.error('Hand tracking init failed:', err);
-      statusEl.textContent = 'Camera unavailable';
+      const denied = PERMISSION_ERRORS.includes(err && err.name);
+      statusEl.textContent = denied ? 'Camera blocked' : (source.failMessage || 'Input unavailable');
+      statusEl.style.color = '#f87171';
+      this._setStatus(denied ? 'denied' : 'unavailable', err);
+    }
+  }
+
+  _setStatus(status, error = null) {
+    this.status = status;
+    if (this.onStatusChange) this.onStatusChange({ status, source: this.source, error });
+  }
+
+  // ==================== Lifecycle ====================
+
+  _bindLifecycle() {
+    if (this._lifecycleBound) return;
+    this._lifecycleBound = true;
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.pause();
+      else this.resume();
+    });
+
+    const media = navigator.mediaDevices;
+    if (media && media.addEventListener) {
+      media.addEventListener('devicechange', () => {
+        // Our camera was unplugged (track may not fire 'ended' everywhere)
+        if (this.isRunning && this.source.isLive && !this.source.isLive()) this._recover();
+      });
+    }
+
+    // Permission revoked / re-granted from the browser's site settings
+    if (navigator.permissions && navigator.permissions.query) {
+      navigator.permissions.query({ name: 'camera' }).then((permission) => {
+        permission.onchange = () => {
+          if (!(this.source instanceof WebcamSource)) return;
+          if (permission.state === 'denied') {
+            this._halt();
+            this.source.stop();
+            this._setStatus('denied');
+          } else if (permission.state === 'granted' && this.status === 'denied') {
+            this.init();
+          }
+        };
+      }).catch(() => {
+        // 'camera' isn't a queryable permission in every browser
+      });
+    }
+  }
+
+  /**
+   * Suspend detection (tab hidden). The camera stays open so resuming is
+   * instant; video files pause playback.
+   */
+  pause() {
+    // A replay runs with or without a camera underneath. Only one that was
+    // playing picks up again on resume — not one paused by the user or
+    // stepping frame by frame.
+    if (this.player && this.player.isPlaying) {
+      this._replayWasPlaying = true;
+      this.player.pause();
+    }
+    if (!this.isRunning || this.isPaused) return;
+    this.isPaused = true;
+    if (this._rafId !== null) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    if (this.source.pause) this.source.pause();
+
+    // Let the recognizer settle as if the hands left the frame
+    if (this.onResults) this.onResults({ landmarks: [], worldLandmarks: [], handedness: [] }, performance.now());
+    this._setStatus('paused');
+  }
+
+  resume() {
+    if (this._replayWasPlaying) {
+      this._replayWasPlaying = false;
+      if (this.player) this.player.play();
+    }
+    if (!this.isPaused) return;
+    this.isPaused = false;
+    this._lastFrameTime = 0;
+    if (this.source.resume) this.source.resume();
+
+    // The camera may have gone away while we were hidden
+    if (this.source.isLive && !this.source.isLive()) {
+      this._recover();
+      return;
+    }
+    this._setStatus('running');
+    if (!this.player) this._detect();
+  }
+
+  /**
+   * Reopen the current source after its camera track ended. If a specific
+   * device was requested and is gone, fall back to the default camera.
+   */
+  async _recover() {
+    if (this._recovering || !this.isRunning) return;
+    this._recovering = true;
+    const source = this.source;
+    this._halt();
+    source.stop();
+
+    // Give the OS a moment to settle after an unplug
+    await new Promise((resolve) => setTimeout(resolve, 500));
+
+    try {
+      if (source !== this.source) return;
+      if (source.deviceId) {
+        const devices = await WebcamSource.listDevices();
+        if (!devices.some((d) => d.deviceId === source.deviceId)) source.deviceId = null;
+      }
+      await this.init();
+    } finally {
+      this._recovering = false;
+    }
+  }
+
+  /**
+   * Switch to a different input source at runtime. The model stays loaded.
+   */
+  async setSource(source) {
+    this._halt();
+    this.source.stop();
+    this.source = source;
+    if (this.onSourceChange) this.onSourceChange(source);
+    await this.init();
+  }
+
+  async _loadModel() {
+    if (this.handLandmarker) return;
+
+    const assets = await resolveMediaPipeAssets(this.landmarkerConfig);
+    for (const warning of assets.warnings) console.warn(warning);
+
+    const preference = this.landmarkerConfig.delegate || 'AUTO';
+    const delegates = preference === 'AUTO' ? ['GPU', 'CPU'] : [preference];
+
+    if (this.landmarkerConfig.inference !== 'main' && WorkerLandmarker.isSupported()) {
+      try {
+        await this._loadWorker(assets, delegates);
+      } catch (err) {
+        console.warn('Landmarker worker unavailable, running inference on main thread:', err);
+      }
+    }
+
+    if (!this.handLandmarker) {
+      await this._loadMainThread(assets, delegates);
+    }
+
+    this.modelInfo = {
+      delegate: this.delegate,
+      version: assets.version,
+      origin: assets.origin,
+      inference: this.inference
+    };
+    if (this.onModelInfo) this.onModelInfo(this.modelInfo);
+  }
+
+  async _loadWorker(assets, delegates) {
+    const proxy = new WorkerLandmarker();
+    try {
+      this.delegate = await proxy.init({
+        wasmUrl: assets.wasmUrl,
+        modelUrl: assets.modelUrl,
+        delegates,
+        options: HAND_LANDMARKER_OPTIONS
+      });
+    } catch (err) {
+      proxy.close();
+      throw err;
+    }
+
+    // The worker handles its own GPU → CPU fallback; just report it
+    proxy.onDelegateChange = (delegate) => {
+      this.delegate = delegate;
+      this.modelInfo = { ...this.modelInfo, delegate };
+      if (this.onModelInfo) this.onModelInfo(this.modelInfo);
+    };
+
+    this.handLandmarker = proxy;
+    this.inference = 'worker';
+  }
+
+  async _loadMainThread(assets, delegates) {
+    this._vision = await FilesetResolver.forVisionTasks(assets.wasmUrl);
+    this._modelUrl = assets.modelUrl;
+
+    let lastError = null;
+    for (const delegate of delegates) {
+      try {
+        await this._createLandmarker(delegate);
+        break;
+      } catch (err) {
+        lastError = err;
+        console.warn(`HandLandmarker ${delegate} delegate failed:`, err);
+      }
+    }
+    if (!this.handLandmarker) throw lastError;
+    this.inference = 'main';
+  }
+
+  async _createLandmarker(delegate) {
+    const landmarker = await HandLandmarker.createFromOptions(this._vision, {
+      baseOptions: { modelAssetPath: this._modelUrl, delegate },
+      ...HAND_LANDMARKER_OPTIONS
+    });
+    this.handLandmarker = landmarker;
+    this.delegate = delegate;
+  }
+
+  /**
+   * GPU contexts can be created fine and still fail on the first frames
+   * (blocklisted drivers, lost context). Rebuild on CPU once and carry on.
+   */
+  async _fallbackToCPU(err) {
+    if (this._fallingBack) return;
+    this._fallingBack = true;
+    console.warn('HandLandmarker GPU inference failed, switching to CPU:', err);
+
+    const wasRunning = this.isRunning;
+    this._halt();
+    try {
+      this.handLandmarker.close();
+    } catch {
+      // already broken — nothing to release
+    }
+    this.handLandmarker = null;
+
+    try {
+      await this._createLandmarker('CPU');
+      this.modelInfo = { ...this.modelInfo, delegate: 'CPU' };
+      if (this.onModelInfo) this.onModelInfo(this.modelInfo);
+      if (wasRunning) {
+        this.isRunning = true;
+        this._detect();
+      }
+    } catch (cpuErr) {
+      console.error('HandLandmarker CPU fallback failed:', cpuErr);
+      const statusEl = document.getElementById('webcam-status');
+      statusEl.style.display = '';
+      statusEl.textContent = 'Hand tracking failed';
       statusEl.style.color = '#f87171';
+    } finally {
+      this._fallingBack = false;
     }
   }
 
+  _bindElements() {
+    if (this.landmarkCanvas) return;
+    this.video = document.getElementById('webcam');
+    this.landmarkCanvas = document.getElementById('landmark-canvas');
+    this.landmarkCtx = this.landmarkCanvas.getContext('2d');
+  }
+
+  /**
+   * Size the landmark canvas and PiP preview for the current source.
+   */
+  _applySourceLayout() {
+    this.landmarkCanvas.width = this.source.width;
+    this.landmarkCanvas.height = this.source.height;
+
+    const pip = this.landmarkCanvas.parentElement;
+    pip.classList.toggle('no-video', !this.source.hasVideo);
+    // Landmarks are mirrored in data; only the raw video needs a CSS flip
+    pip.classList.toggle('mirrored', this.isMirrored);
+  }
+
+  /**
+   * Stop the detection loop without touching the source.
+   */
+  _halt() {
+    this.isRunning = false;
+    this.isPaused = false;
+    this._inflight = false;
+    if (this._rafId !== null) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    if (this.recorder) this.stopRecording();
+  }
+
   _detect() {
-    if (!this.isRunning) return;
+    this._rafId = null;
+    if (!this.isRunning || this.isPaused || this.player) return;
 
     const now = performance.now();
+    this._trackFrameTime(now);
 
-    // Throttle: skip frames if we're running too fast
+    // Throttle: skip frames if we're running too fast, or if the worker
+    // is still busy with the previous one
     if (now - this._lastDetectTime >= this._detectInterval &&
         now !== this.lastTimestamp &&
-        this.video.readyState >= 2) {
+        !this._inflight &&
+        this.source.isReady()) {
       this._lastDetectTime = now;
       this.lastTimestamp = now;
 
-      const results = this.handLandmarker.detectForVideo(this.video, now);
-      this.lastResults = results;
-
-      this._drawLandmarks(results);
+      let results;
+      try {
+        results = this.source.detect(this.handLandmarker, now);
+      } catch (err) {
+        if (this.delegate === 'GPU' && this.inference === 'main') {
+          this._fallbackToCPU(err);
+          return;
+        }
+        throw err;
+      }
 
-      if (this.onResults) {
-        this.onResults(results);
+      if (results && typeof results.then === 'function') {
+        this._inflight = true;
+        const source = this.source;
+        results.then((res) => {
+          this._inflight = false;
+          // Drop late results from a source that has since been swapped out
+          if (!this.isRunning || this.isPaused || this.player || source !== this.source) return;
+          this._onDetected(res, now, performance.now() - now);
+        }, (err) => {
+          this._inflight = false;
+          console.warn('Hand detection failed:', err);
+        });
+      } else {
+        this._onDetected(results, now, performance.now() - now);
       }
     }
 
-    requestAnimationFrame(() => this._detect());
+    this._rafId = requestAnimationFrame(() => this._detect());
+  }
+
+  _onDetected(results, timestamp, latencyMs) {
+    if (this.source.needsModel) this._adaptInterval(latencyMs);
+    if (this.recorder) this.recorder.record(results, timestamp);
+    this._emitResults(results, timestamp);
+  }
+
+  _trackFrameTime(now) {
+    if (this._lastFrameTime > 0) {
+      // Ignore gaps from background tabs
+      const frameMs = Math.min(100, now - this._lastFrameTime);
+      this._frameMs += (frameMs - this._frameMs) * 0.1;
+    }
+    this._lastFrameTime = now;
+  }
+
+  /**
+   * Pick the next detection interval from measured latency.
+   *
+   * Main thread: inference blocks rendering, so keep it to ~1/3 of the time.
+   * Worker: inference runs in parallel — detect again as soon as the last
+   * result lands, plus a little slack for the frame grab and transfer.
+   * Either way, back off further while render frames are running long.
+   */
+  _adaptInterval(latencyMs) {
+    this._inferenceMs = this._inferenceMs === null
+      ? latencyMs
+      : this._inferenceMs + (latencyMs - this._inferenceMs) * 0.2;
+
+    let target = this.inference === 'worker'
+      ? this._inferenceMs * 1.15
+      : this._inferenceMs * 3;
+
+    // Below ~55fps — give the renderer more room
+    if (this._frameMs > 18) target *= this._frameMs / 16.7;
+
+    target = Math.max(this._minDetectInterval, Math.min(this._maxDetectInterval, target));
+    this._detectInterval += (target - this._detectInterval) * 0.25;
+
+    const now = performance.now();
+    if (this.onStats && now - this._lastStatsTime > 1000) {
+      this._lastStatsTime = now;
+      this.onStats({
+        inferenceMs: this._inferenceMs,
+        detectInterval: this._detectInterval,
+        frameMs: this._frameMs
+      });
+    }
+  }
+
+  /**
+   * Shared output path for live detection and replay.
+   */
+  _emitResults(rawResults, timestamp) {
+    const results = toUserView(rawResults, this.isMirrored);
+    this.lastResults = results;
+    this._drawLandmarks(results);
+
+    if (this.onResults) {
+      this.onResults(results, timestamp);
+    }
+  }
+
+  // ==================== Session recording ====================
+
+  /**
+   * Start capturing live detection results. Returns false if the camera
+   * isn't running (nothing to record).
+   */
+  startRecording() {
+    if (!this.isRunning || this.player) return false;
+    this.recorder = new SessionRecorder({
+      videoWidth: this.source.width,
+      videoHeight: this.source.height
+    });
+    this._notifySession();
+    return true;
+  }
+
+  /**
+   * Stop capturing. Returns the SessionRecorder (call .download() on it),
+   * or null if nothing was being recorded.
+   */
+  stopRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    this._notifySession();
+    return recorder;
+  }
+
+  // ==================== Session replay ====================
+
+  /**
+   * Replay a landmark session (JSON string, parsed object, or SessionPlayer)
+   * in place of the camera. Live detection is suspended until stopReplay().
+   */
+  startReplay(session, { mode = 'realtime' } = {}) {
+    this.stopReplay();
+    if (this.recorder) this.stopRecording();
+    this._bindElements();
+
+    const player = session instanceof SessionPlayer ? session : new SessionPlayer(session);
+    this.player = player;
+
+    this.landmarkCanvas.width = player.videoWidth;
+    this.landmarkCanvas.height = player.videoHeight;
+    this.landmarkCanvas.parentElement.classList.add('replaying');
+
+    player.onFrame = (results, timestamp) => this._emitResults(results, timestamp);
+    player.onStateChange = () => this._notifySession();
+    player.onEnd = () => {
+      // Hand the recognizer an empty frame so it settles like hands leaving view
+      this._emitResults({ landmarks: [], worldLandmarks: [], handedness: [] },
+        player.lastTimestamp + 1);
+    };
+
+    if (mode === 'step') player.step();
+    else player.setMode(mode);
+    this._notifySession();
+    return player;
+  }
+
+  stopReplay() {
+    if (!this.player) return;
+    this.player.stop();
+    this.player = null;
+    this._replayWasPlaying = false;
+
+    this.landmarkCanvas.parentElement.classList.remove('replaying');
+    this.landmarkCtx.clearRect(0, 0, this.landmarkCanvas.width, this.landmarkCanvas.height);
+    if (this.onResults) this.onResults({ landmarks: [], worldLandmarks: [], handedness: [] }, performance.now());
+
+    // Resume live detection if a source was running underneath
+    if (this.isRunning) {
+      this._applySourceLayout();
+      this._detect();
+    }
+    this._notifySession();
+  }
+
+  _notifySession() {
+    if (this.onSessionChange) {
+      this.onSessionChange({
+        recording: this.recorder !== null,
+        replaying: this.player !== null,
+        player: this.player
+      });
+    }
   }
 
   /**
@@ -155,9 +720,8 @@ export class HandTracker {
   }
 
   stop() {
-    this.isRunning = false;
-    if (this.video && this.video.srcObject) {
-      this.video.srcObject.getTracks().forEach((t) => t.stop());
-    }
+    this.stopReplay();
+    this._halt();
+    this.source.stop();
   }
 }
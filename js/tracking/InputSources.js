@@ -0,0 +1,324 @@
+import { sampleScript, SCRIPTS } from './SyntheticHand.js';
+
+/**
+ * Input sources for HandTracker.
+ *
+ * Every source implements the same small interface so the detection loop
+ * doesn't care where frames come from:
+ *
+ *   label              human-readable name for the UI
+ *   startMessage       PiP status text while starting
+ *   failMessage        PiP status text if start() throws
+ *   needsModel         true if frames must go through HandLandmarker
+ *   hasVideo           true if the PiP should show the <video> element
+ *   mirrored           default for HandTracker's mirror setting (selfie view)
+ *   width, height      frame size, valid after start()
+ *   start(video)       async; attach to the shared <video> element
+ *   stop()             release camera / files / timers
+ *   pause(), resume()  optional; called when the tab is hidden / shown
+ *   isReady()          true when a frame can be processed
+ *   detect(landmarker, timestamp) → HandLandmarkerResult
+ */
+
+// ================================================================
+// Webcam
+// ================================================================
+
+export const CAMERA_RESOLUTIONS = [
+  { value: '320x240', width: 320, height: 240, label: '320 × 240' },
+  { value: '640x480', width: 640, height: 480, label: '640 × 480' },
+  { value: '1280x720', width: 1280, height: 720, label: '1280 × 720' },
+  { value: '1920x1080', width: 1920, height: 1080, label: '1920 × 1080' }
+];
+
+export class WebcamSource {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.deviceId]  from WebcamSource.listDevices(); default front camera
+   * @param {number} [opts.width=640]
+   * @param {number} [opts.height=480]
+   */
+  constructor({ deviceId = null, width = 640, height = 480 } = {}) {
+    this.label = 'Webcam';
+    this.needsModel = true;
+    this.hasVideo = true;
+    this.mirrored = true;
+    this.startMessage = 'Starting camera...';
+    this.failMessage = 'Camera unavailable';
+    this.deviceId = deviceId;
+    this.requestedWidth = width;
+    this.requestedHeight = height;
+    this.video = null;
+    this.stream = null;
+    this.width = 0;
+    this.height = 0;
+
+    // Fired when the camera goes away underneath us (unplugged, permission
+    // revoked, taken by another app)
+    this.onEnded = null;
+  }
+
+  /**
+   * Available cameras. Labels are empty until camera permission is granted.
+   * @returns {Promise<{ deviceId: string, label: string }[]>}
+   */
+  static async listDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+      .filter((d) => d.kind === 'videoinput')
+      .map((d, i) => ({ deviceId: d.deviceId, label: d.label || `Camera ${i + 1}` }));
+  }
+
+  async start(video) {
+    this.video = video;
+
+    const constraints = {
+      width: { ideal: this.requestedWidth },
+      height: { ideal: this.requestedHeight }
+    };
+    if (this.deviceId) constraints.deviceId = { exact: this.deviceId };
+    else constraints.facingMode = 'user';
+
+    this.stream = await navigator.mediaDevices.getUserMedia({ video: constraints });
+
+    const track = this.stream.getVideoTracks()[0];
+    if (track) {
+      // Remember which camera we actually got, so device lists can show it
+      this.deviceId = track.getSettings().deviceId || this.deviceId;
+      this.label = track.label || this.label;
+      track.addEventListener('ended', () => {
+        if (this.onEnded) this.onEnded(this);
+      });
+    }
+
+    video.srcObject = this.stream;
+    await new Promise((resolve) => {
+      video.onloadeddata = resolve;
+    });
+
+    this.width = video.videoWidth;
+    this.height = video.videoHeight;
+  }
+
+  stop() {
+    if (this.stream) {
+      this.stream.getTracks().forEach((t) => t.stop());
+      this.stream = null;
+    }
+    if (this.video) this.video.srcObject = null;
+  }
+
+  /**
+   * True while the camera track is still delivering frames.
+   */
+  isLive() {
+    const track = this.stream && this.stream.getVideoTracks()[0];
+    return !!track && track.readyState === 'live';
+  }
+
+  isReady() {
+    return this.video !== null && this.video.readyState >= 2;
+  }
+
+  detect(landmarker, timestamp) {
+    return landmarker.detectForVideo(this.video, timestamp);
+  }
+}
+
+// ================================================================
+// Local video file (or URL)
+// ================================================================
+
+export class VideoFileSource {
+  /**
+   * @param {File|Blob|string} fileOrUrl  a picked File or a URL to a clip
+   */
+  constructor(fileOrUrl) {
+    this.label = fileOrUrl && fileOrUrl.name ? fileOrUrl.name : 'Video file';
+    this.needsModel = true;
+    this.hasVideo = true;
+    // A recorded clip shows the subject facing us — don't mirror it
+    this.mirrored = false;
+    this.startMessage = 'Loading video...';
+    this.failMessage = 'Video unavailable';
+    this.fileOrUrl = fileOrUrl;
+    this.video = null;
+    this._objectUrl = null;
+    this.width = 0;
+    this.height = 0;
+  }
+
+  async start(video) {
+    this.video = video;
+
+    let src = this.fileOrUrl;
+    if (typeof src !== 'string') {
+      this._objectUrl = URL.createObjectURL(src);
+      src = this._objectUrl;
+    }
+
+    video.srcObject = null;
+    video.src = src;
+    video.loop = true;
+    video.muted = true;
+
+    await new Promise((resolve, reject) => {
+      video.onloadeddata = resolve;
+      video.onerror = () => reject(new Error(`Could not load video: ${this.label}`));
+    });
+    await video.play();
+
+    this.width = video.videoWidth;
+    this.height = video.videoHeight;
+  }
+
+  stop() {
+    if (this.video) {
+      this.video.pause();
+      this.video.removeAttribute('src');
+      this.video.loop = false;
+      this.video.load();
+    }
+    if (this._objectUrl) {
+      URL.revokeObjectURL(this._objectUrl);
+      this._objectUrl = null;
+    }
+  }
+
+  pause() {
+    if (this.video) this.video.pause();
+  }
+
+  resume() {
+    if (this.video) this.video.play().catch(() => {});
+  }
+
+  isReady() {
+    return this.video !== null && this.video.readyState >= 2 && !this.video.paused;
+  }
+
+  detect(landmarker, timestamp) {
+    return landmarker.detectForVideo(this.video, timestamp);
+  }
+}
+
+// ================================================================
+// Synthetic hand generator — no camera, no model
+// ================================================================
+
+export class SyntheticHandSource {
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.script='demo']  key of SCRIPTS in SyntheticHand.js
+   * @param {'Left'|'Right'} [opts.handedness='Right']
+   */
+  constructor({ script = 'demo', handedness = 'Right' } = {}) {
+    this.script = SCRIPTS[script] ? script : 'demo';
+    this.handedness = handedness;
+    this.label = `Synthetic (${this.script})`;
+    this.needsModel = false;
+    this.hasVideo = false;
+    this.mirrored = true;
+    this.startMessage = 'Starting synthetic hand...';
+    this.failMessage = 'Synthetic hand failed';
+    this.width = 640;
+    this.height = 480;
+    this._startTime = null;
+  }
+
+  async start() {
+    this._startTime = null;
+  }
+
+  stop() {
+    this._startTime = null;
+  }
+
+  isReady() {
+    return true;
+  }
+
+  detect(_landmarker, timestamp) {
+    if (this._startTime === null) this._startTime = timestamp;
+    const results = sampleScript(this.script, timestamp - this._startTime, {
+      handedness: this.handedness
+    });
+
+    // Scripts are authored as seen in the selfie view with true handedness;
+    // convert to what HandLandmarker reports for a raw camera frame (flipped
+    // x, labels as if mirrored), so HandTracker treats every source alike
+    for (const hand of results.landmarks) {
+      for (const p of hand) p.x = 1 - p.x;
+    }
+    for (const hand of results.worldLandmarks) {
+      for (const p of hand) p.x = -p.x;
+    }
+    for (const categories of results.handedness) {
+      for (const c of categories) {
+        const label = c.categoryName === 'Right' ? 'Left' : 'Right';
+        c.categoryName = label;
+        c.displayName = label;
+        c.index = label === 'Right' ? 1 : 0;
+      }
+    }
+    return results;
+  }
+}
+
+// ================================================================
+// Factory
+// ================================================================
+
+export const SYNTHETIC_SCRIPTS = Object.keys(SCRIPTS);
+
+/**
+ * '1280x720' → { width: 1280, height: 720 }; anything else → {} (defaults).
+ */
+export function parseResolution(value) {
+  const match = /^(\d+)x(\d+)$/.exec(value || '');
+  if (!match) return {};
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+/**
+ * Build a source from a descriptor, as used by URL params and the settings UI.
+ *
+ *   ?source=webcam&resolution=1280x720    (default source, 640x480)
+ *   ?source=video&src=/clips/lecture.mp4
+ *   ?source=synthetic&script=twist
+ *
+ * @param {{ source?: string, src?: string|File, script?: string, handedness?: string,
+ *   deviceId?: string, resolution?: string }} desc
+ */
+export function createInputSource(desc = {}) {
+  switch (desc.source) {
+    case 'video':
+      if (!desc.src) throw new Error('Video source needs a file or src URL');
+      return new VideoFileSource(desc.src);
+    case 'synthetic':
+      return new SyntheticHandSource({ script: desc.script, handedness: desc.handedness });
+    case 'webcam':
+    case undefined:
+    case null:
+    case '':
+      return new WebcamSource({ deviceId: desc.deviceId, ...parseResolution(desc.resolution) });
+    default:
+      throw new Error(`Unknown input source: ${desc.source}`);
+  }
+}
+
+/**
+ * Read a source descriptor from the page URL.
+ */
+export function inputSourceFromURL(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  return {
+    source: params.get('source') || 'webcam',
+    src: params.get('src') || undefined,
+    script: params.get('script') || undefined,
+    handedness: params.get('hand') || undefined,
+    deviceId: params.get('camera') || undefined,
+    resolution: params.get('resolution') || undefined
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * One Euro filter (Casiez, Roussel & Vogel, CHI 2012).
+ *
+ * An exponential low-pass whose cutoff rises with the signal's speed:
+ * slow movement is smoothed hard (low jitter), fast movement passes with
+ * little lag. Driven by explicit timestamps, so the result does not depend
+ * on how often it is sampled — live, throttled, or replayed.
+ *
+ *   minCutoff  Hz, cutoff at rest. Lower = smoother when still.
+ *   beta       cutoff gain per unit/s of speed. Higher = less lag when fast.
+ *   dCutoff    Hz, cutoff for the speed estimate itself.
+ */
+
+function smoothingFactor(dtSeconds, cutoff) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dtSeconds);
+}
+
+export class OneEuroFilter {
+  /**
+   * @param {{ minCutoff?: number, beta?: number, dCutoff?: number }} [params]
+   */
+  constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this._value = null;
+    this._speed = 0;
+    this._lastTime = null;
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} timestamp  ms
+   * @returns {number} filtered value
+   */
+  filter(value, timestamp) {
+    if (this._value === null) {
+      this._value = value;
+      this._lastTime = timestamp;
+      return value;
+    }
+
+    const dt = (timestamp - this._lastTime) / 1000;
+    // Same or earlier timestamp — nothing to integrate over
+    if (dt <= 0) return this._value;
+    this._lastTime = timestamp;
+
+    const speed = (value - this._value) / dt;
+    this._speed += (speed - this._speed) * smoothingFactor(dt, this.dCutoff);
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this._speed);
+    this._value += (value - this._value) * smoothingFactor(dt, cutoff);
+    return this._value;
+  }
+}
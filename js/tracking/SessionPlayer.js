@@ -0,0 +1,174 @@
+import { SESSION_FORMAT, SESSION_VERSION } from './SessionRecorder.js';
+
+// Most session time one animation frame may advance
+const MAX_TICK_MS = 100;
+
+/**
+ * Plays a recorded landmark session back as if it were coming from
+ * HandLandmarker, frame by frame, with the original timestamps.
+ *
+ * Playback modes:
+ *  - 'realtime' → frames emitted at their recorded pace
+ *  - 'fast'     → same pacing scaled by `fastSpeed` (default 4×)
+ *  - 'step'     → paused; each step() emits exactly one frame
+ *
+ * Every emitted frame goes through `onFrame(results, timestamp)`. Timestamps
+ * keep increasing across restarts so downstream filters never see time run
+ * backwards.
+ */
+export class SessionPlayer {
+  constructor(session) {
+    this.session = SessionPlayer.validate(session);
+    this.frames = this.session.frames;
+    this.videoWidth = this.session.videoWidth || 640;
+    this.videoHeight = this.session.videoHeight || 480;
+
+    this.mode = 'realtime';
+    this.fastSpeed = 4;
+    this.loop = false;
+
+    this.index = 0;
+    this.isPlaying = false;
+    this.lastTimestamp = 0;
+
+    // Playback clock in session time (ms)
+    this._clock = 0;
+    this._lastTick = 0;
+    this._rafId = null;
+    // Offset added to session time so timestamps stay monotonic on restart
+    this._timeOffset = 0;
+
+    // Callbacks
+    this.onFrame = null;   // (results, timestamp) => void
+    this.onEnd = null;     // () => void
+    this.onStateChange = null; // (player) => void
+  }
+
+  /**
+   * Parse a session from a JSON string or object. Throws on malformed input.
+   */
+  static validate(session) {
+    const data = typeof session === 'string' ? JSON.parse(session) : session;
+    if (!data || data.format !== SESSION_FORMAT) {
+      throw new Error('Not a landmark session file');
+    }
+    if (data.version > SESSION_VERSION) {
+      throw new Error(`Unsupported landmark session version ${data.version}`);
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+      throw new Error('Landmark session contains no frames');
+    }
+    return data;
+  }
+
+  get duration() {
+    return this.frames[this.frames.length - 1].t;
+  }
+
+  get speed() {
+    return this.mode === 'fast' ? this.fastSpeed : 1;
+  }
+
+  setMode(mode) {
+    if (mode !== 'realtime' && mode !== 'fast' && mode !== 'step') return;
+    this.mode = mode;
+    if (mode === 'step') {
+      this.pause();
+    } else if (!this.isPlaying && this.index < this.frames.length) {
+      this.play();
+    }
+    this._notify();
+  }
+
+  play() {
+    if (this.mode === 'step') this.mode = 'realtime';
+    if (this.index >= this.frames.length) this._rewind();
+    if (this.isPlaying) return;
+
+    this.isPlaying = true;
+    this._clock = this.index > 0 ? this.frames[this.index - 1].t : this.frames[0].t;
+    this._lastTick = performance.now();
+    this._rafId = requestAnimationFrame((now) => this._tick(now));
+    this._notify();
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+    this.isPlaying = false;
+    if (this._rafId !== null) cancelAnimationFrame(this._rafId);
+    this._rafId = null;
+    this._notify();
+  }
+
+  togglePause() {
+    if (this.isPlaying) this.pause();
+    else this.play();
+  }
+
+  /**
+   * Emit the next frame and pause. Switches into 'step' mode.
+   */
+  step() {
+    this.mode = 'step';
+    this.pause();
+    if (this.index >= this.frames.length) this._rewind();
+    this._emit(this.frames[this.index++]);
+    this._notify();
+  }
+
+  stop() {
+    this.pause();
+    this.index = 0;
+  }
+
+  _rewind() {
+    // Continue the timeline past the last frame so time never goes backwards
+    this._timeOffset += this.duration + 100;
+    this.index = 0;
+  }
+
+  _tick(now) {
+    if (!this.isPlaying) return;
+
+    // Clamped, so a stall (a hidden tab, a breakpoint) doesn't flush every
+    // pending frame at once
+    const elapsed = Math.min(now - this._lastTick, MAX_TICK_MS);
+    this._lastTick = now;
+    this._clock += elapsed * this.speed;
+
+    // Emit every frame that is due, in order — the recognizer must see each
+    // one, exactly as it would have live.
+    while (this.index < this.frames.length && this.frames[this.index].t <= this._clock) {
+      this._emit(this.frames[this.index++]);
+    }
+
+    if (this.index >= this.frames.length) {
+      if (this.loop) {
+        this._rewind();
+        this._clock = this.frames[0].t;
+      } else {
+        this.isPlaying = false;
+        this._rafId = null;
+        this._notify();
+        if (this.onEnd) this.onEnd();
+        return;
+      }
+    }
+
+    this._rafId = requestAnimationFrame((t) => this._tick(t));
+  }
+
+  _emit(frame) {
+    this.lastTimestamp = frame.t + this._timeOffset;
+    if (!this.onFrame) return;
+    this.onFrame({
+      landmarks: frame.landmarks || [],
+      worldLandmarks: frame.worldLandmarks || [],
+      handedness: frame.handedness || []
+    }, this.lastTimestamp);
+  }
+
+  _notify() {
+    if (this.onStateChange) this.onStateChange(this);
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Records raw HandLandmarker results into a replayable landmark session.
+ *
+ * A session is plain JSON so it can be downloaded, attached to a bug report,
+ * and replayed later through SessionPlayer with no camera attached:
+ *
+ *   {
+ *     format: 'interactive-brain/landmark-session',
+ *     version: 1,
+ *     createdAt: ISO date,
+ *     videoWidth, videoHeight,
+ *     frames: [{ t, landmarks, worldLandmarks, handedness }]
+ *   }
+ *
+ * `t` is milliseconds since recording started, taken from the same
+ * timestamp HandTracker passes to detectForVideo().
+ */
+
+export const SESSION_FORMAT = 'interactive-brain/landmark-session';
+export const SESSION_VERSION = 1;
+
+// 5 decimals ≈ 0.01px at 640px — far below MediaPipe jitter, keeps files small
+function round(value) {
+  return Math.round(value * 100000) / 100000;
+}
+
+function serializeLandmarks(hands) {
+  if (!hands) return [];
+  return hands.map((points) => points.map((p) => {
+    const out = { x: round(p.x), y: round(p.y), z: round(p.z) };
+    if (typeof p.visibility === 'number') out.visibility = round(p.visibility);
+    return out;
+  }));
+}
+
+function serializeHandedness(handedness) {
+  if (!handedness) return [];
+  return handedness.map((categories) => categories.map((c) => ({
+    score: round(c.score),
+    index: c.index,
+    categoryName: c.categoryName,
+    displayName: c.displayName
+  })));
+}
+
+export class SessionRecorder {
+  /**
+   * @param {{ videoWidth?: number, videoHeight?: number }} [meta]
+   */
+  constructor(meta = {}) {
+    this.videoWidth = meta.videoWidth || 640;
+    this.videoHeight = meta.videoHeight || 480;
+    this.frames = [];
+    this.startTime = null;
+    this.createdAt = new Date().toISOString();
+  }
+
+  /**
+   * Append one detection result.
+   * @param {object} results    HandLandmarkerResult
+   * @param {number} timestamp  ms, as passed to detectForVideo()
+   */
+  record(results, timestamp) {
+    if (this.startTime === null) this.startTime = timestamp;
+
+    this.frames.push({
+      t: round(timestamp - this.startTime),
+      landmarks: serializeLandmarks(results.landmarks),
+      worldLandmarks: serializeLandmarks(results.worldLandmarks),
+      handedness: serializeHandedness(results.handedness)
+    });
+  }
+
+  /**
+   * Duration of the recording so far, in ms.
+   */
+  get duration() {
+    if (this.frames.length === 0) return 0;
+    return this.frames[this.frames.length - 1].t;
+  }
+
+  toJSON() {
+    return {
+      format: SESSION_FORMAT,
+      version: SESSION_VERSION,
+      createdAt: this.createdAt,
+      videoWidth: this.videoWidth,
+      videoHeight: this.videoHeight,
+      frames: this.frames
+    };
+  }
+
+  /**
+   * Trigger a browser download of the session as a .json file.
+   */
+  download(filename) {
+    const name = filename ||
+      `landmark-session-${this.createdAt.replace(/[:.]/g, '-')}.json`;
+    const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+
+    // Give the browser a tick to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
@@ -0,0 +1,291 @@
+/**
+ * Procedural 21-point hand landmarks for testing the gesture pipeline
+ * without a camera.
+ *
+ * Hands are built in a local 2D frame measured in palm sizes
+ * (wrist → middle MCP = 1), fingers pointing up (−y), thumb on −x.
+ * buildHand() then rolls, scales and places the hand in normalized
+ * image coordinates, matching what HandLandmarker returns.
+ *
+ * Poses are chosen so GestureRecognizer classifies them as intended:
+ *  - open   → all five digits extended
+ *  - fist   → all fingers curled, thumb wrapped across them
+ *  - pinch  → thumb tip touching a half-bent index tip
+ *  - twist  → thumb + index extended, others curled (twist_pose)
+ *  - point  → index extended, thumb tucked
+ *  - slice  → index + middle extended, thumb tucked
+ *  - three  → index + middle + ring extended, thumb tucked
+ */
+
+// Finger MCP positions (local frame) and the direction each finger extends
+const FINGERS = {
+  index: { mcp: [-0.3, -0.95], dir: [-0.12, -1] },
+  middle: { mcp: [0, -1.0], dir: [0, -1] },
+  ring: { mcp: [0.25, -0.95], dir: [0.1, -1] },
+  pinky: { mcp: [0.48, -0.85], dir: [0.22, -1] }
+};
+
+const FINGER_ORDER = ['index', 'middle', 'ring', 'pinky'];
+
+// Thumb CMC/MCP/IP/TIP for each thumb state
+const THUMB = {
+  extended: [[-0.25, -0.25], [-0.45, -0.45], [-0.6, -0.65], [-0.72, -0.82]],
+  tucked: [[-0.25, -0.25], [-0.35, -0.5], [-0.2, -0.75], [0.1, -0.95]],
+  pinch: [[-0.25, -0.25], [-0.42, -0.55], [-0.5, -0.95], [-0.5, -1.3]]
+};
+
+/**
+ * Pose table: thumb state + per-finger state ('extended' | 'curled' | 'pinch').
+ */
+export const POSES = {
+  open: { thumb: 'extended', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'extended' },
+  fist: { thumb: 'tucked', index: 'curled', middle: 'curled', ring: 'curled', pinky: 'curled' },
+  pinch: { thumb: 'pinch', index: 'pinch', middle: 'curled', ring: 'curled', pinky: 'curled' },
+  twist: { thumb: 'extended', index: 'extended', middle: 'curled', ring: 'curled', pinky: 'curled' },
+  point: { thumb: 'tucked', index: 'extended', middle: 'curled', ring: 'curled', pinky: 'curled' },
+  slice: { thumb: 'tucked', index: 'extended', middle: 'extended', ring: 'curled', pinky: 'curled' },
+  three: { thumb: 'tucked', index: 'extended', middle: 'extended', ring: 'extended', pinky: 'curled' }
+};
+
+function normalize([x, y]) {
+  const len = Math.hypot(x, y) || 1;
+  return [x / len, y / len];
+}
+
+/**
+ * PIP, DIP, TIP for one finger in the local frame.
+ */
+function fingerJoints(finger, state) {
+  const [mx, my] = finger.mcp;
+  const [dx, dy] = normalize(finger.dir);
+
+  if (state === 'extended') {
+    return [
+      [mx + dx * 0.4, my + dy * 0.4],
+      [mx + dx * 0.65, my + dy * 0.65],
+      [mx + dx * 0.85, my + dy * 0.85]
+    ];
+  }
+
+  if (state === 'pinch') {
+    // Half-bent index reaching toward the thumb tip
+    return [
+      [mx + dx * 0.35, my + dy * 0.35],
+      [mx - 0.1, my - 0.45],
+      [mx - 0.15, my - 0.4]
+    ];
+  }
+
+  // Curled: PIP rises, tip folds back down into the palm
+  return [
+    [mx + dx * 0.35, my + dy * 0.35],
+    [mx + dx * 0.2, my - 0.05],
+    [mx, my + 0.4]
+  ];
+}
+
+/**
+ * Local-frame landmarks for a pose (21 [x, y] pairs).
+ */
+function localPose(pose) {
+  const points = [[0, 0]];
+  points.push(...THUMB[pose.thumb]);
+  for (const name of FINGER_ORDER) {
+    const finger = FINGERS[name];
+    points.push(finger.mcp, ...fingerJoints(finger, pose[name]));
+  }
+  return points;
+}
+
+/**
+ * Linear blend between two local-frame poses.
+ */
+function blendLocal(a, b, t) {
+  return a.map(([ax, ay], i) => [ax + (b[i][0] - ax) * t, ay + (b[i][1] - ay) * t]);
+}
+
+/**
+ * Build a HandLandmarker-style hand.
+ *
+ * @param {string|string[]} pose  pose name, or [from, to] to blend
+ * @param {object} [opts]
+ * @param {number} [opts.x=0.5]      wrist x, normalized image coords
+ * @param {number} [opts.y=0.75]     wrist y, normalized image coords
+ * @param {number} [opts.size=0.16]  palm size, normalized image units
+ * @param {number} [opts.roll=0]     in-plane rotation (radians)
+ * @param {number} [opts.blend=0]    0..1 when blending two poses
+ * @param {boolean} [opts.mirror=false] flip to the other (left) hand
+ * @returns {{ landmarks: object[], worldLandmarks: object[] }}
+ */
+export function buildHand(pose, opts = {}) {
+  const {
+    x = 0.5,
+    y = 0.75,
+    size = 0.16,
+    roll = 0,
+    blend = 0,
+    mirror = false
+  } = opts;
+
+  let local;
+  if (Array.isArray(pose)) {
+    local = blendLocal(localPose(POSES[pose[0]]), localPose(POSES[pose[1]]), blend);
+  } else {
+    local = localPose(POSES[pose]);
+  }
+
+  const cos = Math.cos(roll);
+  const sin = Math.sin(roll);
+  const sx = mirror ? -1 : 1;
+
+  // World landmarks are metric (≈ 9cm palm), centred near the palm
+  const WORLD_PALM = 0.09;
+
+  const landmarks = [];
+  const worldLandmarks = [];
+  local.forEach(([lx0, ly], i) => {
+    const lx = lx0 * sx;
+    const rx = lx * cos - ly * sin;
+    const ry = lx * sin + ly * cos;
+    // Fingertips sit slightly closer to the camera than the wrist
+    const lz = i === 0 ? 0 : -0.02 * Math.min(1, Math.hypot(lx, ly));
+
+    landmarks.push({ x: x + rx * size, y: y + ry * size, z: lz });
+    worldLandmarks.push({
+      x: rx * WORLD_PALM,
+      y: (ry + 0.5) * WORLD_PALM,
+      z: lz * WORLD_PALM * 5
+    });
+  });
+
+  return { landmarks, worldLandmarks };
+}
+
+// ================================================================
+// Scripts — timed pose sequences
+// ================================================================
+
+/**
+ * Each script is a list of segments played in a loop. A segment holds a
+ * pose for `duration` ms; `motion(t)` (t = 0..1 over the segment) returns
+ * per-hand overrides for buildHand() such as roll or position.
+ * `hands` lists one entry per visible hand; `mirror: true` marks the hand
+ * opposite to the script's primary handedness.
+ */
+export const SCRIPTS = {
+  demo: [
+    { duration: 1500, hands: [{ pose: 'open' }] },
+    { duration: 3000, hands: [{ pose: 'twist', motion: (t) => ({ roll: Math.sin(t * Math.PI * 2) * 0.9 }) }] },
+    { duration: 1200, hands: [{ pose: 'open' }] },
+    // A quick pinch — held longer it would zoom rather than select
+    { duration: 500, hands: [{ pose: 'pinch' }] },
+    { duration: 1200, hands: [{ pose: 'open' }] },
+    { duration: 1800, hands: [{ pose: 'fist' }] },
+    { duration: 800, hands: [] },
+    // Point last: twist_pose hysteresis would otherwise hold through it
+    { duration: 1200, hands: [{ pose: 'point' }] },
+    { duration: 1500, hands: [] }
+  ],
+  twist: [
+    { duration: 4000, hands: [{ pose: 'twist', motion: (t) => ({ roll: Math.sin(t * Math.PI * 2) * 1.1 }) }] }
+  ],
+  pinch: [
+    { duration: 1200, hands: [{ pose: 'open' }] },
+    { duration: 500, hands: [{ pose: 'pinch' }] }
+  ],
+  fist: [
+    { duration: 1500, hands: [{ pose: 'open' }] },
+    { duration: 2000, hands: [{ pose: 'fist' }] }
+  ],
+  open: [
+    { duration: 2000, hands: [{ pose: 'open' }] }
+  ],
+  slice: [
+    { duration: 1200, hands: [{ pose: 'open' }] },
+    { duration: 4000, hands: [{ pose: 'slice', motion: (t) => ({ x: 0.5 + Math.sin(t * Math.PI * 2) * 0.15 }) }] }
+  ],
+  // Open-hand swipe down, then back up
+  drill: [
+    { duration: 1200, hands: [{ pose: 'open', motion: () => ({ y: 0.45 }) }] },
+    { duration: 300, hands: [{ pose: 'open', motion: (t) => ({ y: 0.45 + t * 0.3 }) }] },
+    { duration: 1200, hands: [{ pose: 'open' }] },
+    { duration: 300, hands: [{ pose: 'open', motion: (t) => ({ y: 0.75 - t * 0.3 }) }] }
+  ],
+  // Three-finger swipe down (peel a layer), then back up
+  peel: [
+    { duration: 1200, hands: [{ pose: 'three', motion: () => ({ y: 0.45 }) }] },
+    { duration: 300, hands: [{ pose: 'three', motion: (t) => ({ y: 0.45 + t * 0.3 }) }] },
+    { duration: 1200, hands: [{ pose: 'three' }] },
+    { duration: 300, hands: [{ pose: 'three', motion: (t) => ({ y: 0.75 - t * 0.3 }) }] }
+  ],
+  two_hand: [
+    {
+      duration: 4000,
+      hands: [
+        { pose: 'open', motion: (t) => ({ x: 0.38 - Math.sin(t * Math.PI * 2) * 0.12 }) },
+        { pose: 'open', mirror: true, motion: (t) => ({ x: 0.62 + Math.sin(t * Math.PI * 2) * 0.12 }) }
+      ]
+    }
+  ]
+};
+
+// Time spent morphing from the previous segment's pose
+const TRANSITION_MS = 250;
+
+/**
+ * Evaluate a script at a given time and return a HandLandmarker-style result.
+ *
+ * @param {string} scriptName  key of SCRIPTS
+ * @param {number} timeMs      ms since the script started
+ * @param {{ handedness?: 'Left'|'Right' }} [opts]
+ */
+export function sampleScript(scriptName, timeMs, opts = {}) {
+  const script = SCRIPTS[scriptName] || SCRIPTS.demo;
+  const total = script.reduce((acc, seg) => acc + seg.duration, 0);
+  let t = ((timeMs % total) + total) % total;
+
+  let index = 0;
+  while (t >= script[index].duration) {
+    t -= script[index].duration;
+    index++;
+  }
+
+  const segment = script[index];
+  const previous = script[(index - 1 + script.length) % script.length];
+  const primaryLabel = opts.handedness || 'Right';
+  const otherLabel = primaryLabel === 'Right' ? 'Left' : 'Right';
+
+  const result = { landmarks: [], worldLandmarks: [], handedness: [] };
+
+  segment.hands.forEach((hand, i) => {
+    const motion = hand.motion ? hand.motion(t / segment.duration) : {};
+    const prevHand = previous.hands[i];
+
+    // Morph in from the previous pose when the same hand stays in view
+    let pose = hand.pose;
+    let blend = 0;
+    if (prevHand && prevHand.pose !== hand.pose && t < TRANSITION_MS) {
+      pose = [prevHand.pose, hand.pose];
+      blend = t / TRANSITION_MS;
+    }
+
+    // Geometry is a right hand; a left hand is its mirror image
+    const label = hand.mirror ? otherLabel : primaryLabel;
+    const { landmarks, worldLandmarks } = buildHand(pose, {
+      mirror: label === 'Left',
+      blend,
+      ...motion
+    });
+
+    result.landmarks.push(landmarks);
+    result.worldLandmarks.push(worldLandmarks);
+    result.handedness.push([{
+      score: 0.98,
+      index: label === 'Right' ? 1 : 0,
+      categoryName: label,
+      displayName: label
+    }]);
+  });
+
+  return result;
+}
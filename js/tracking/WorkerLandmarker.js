@@ -0,0 +1,110 @@
+/**
+ * Main-thread proxy for the HandLandmarker running in landmarkerWorker.js.
+ *
+ * Exposes the same detectForVideo(video, timestamp) call the input sources
+ * already use, except it returns a Promise. Each call grabs the current
+ * video frame as a VideoFrame (or ImageBitmap where VideoFrame is missing)
+ * and transfers it to the worker — no pixel copies on the main thread.
+ */
+export class WorkerLandmarker {
+  constructor() {
+    this.worker = null;
+    this.delegate = null;
+    this._nextId = 1;
+    this._pending = new Map(); // id -> { resolve, reject }
+
+    // Callbacks
+    this.onDelegateChange = null; // (delegate) => void
+  }
+
+  /**
+   * True if this browser can run inference off the main thread.
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      (typeof VideoFrame !== 'undefined' || typeof createImageBitmap !== 'undefined');
+  }
+
+  /**
+   * Spawn the worker and load the model.
+   * @param {{ wasmUrl: string, modelUrl: string, delegates: string[], options: object }} config
+   * @returns {Promise<string>} the delegate that was loaded
+   */
+  init({ wasmUrl, modelUrl, delegates, options }) {
+    this.worker = new Worker(new URL('./landmarkerWorker.js', import.meta.url), { type: 'module' });
+
+    return new Promise((resolve, reject) => {
+      this.worker.onerror = (event) => {
+        reject(new Error(event.message || 'Landmarker worker failed to start'));
+      };
+
+      this.worker.onmessage = (event) => {
+        const msg = event.data;
+        if (msg.type === 'ready') {
+          this.delegate = msg.delegate;
+          this.worker.onmessage = (e) => this._onMessage(e.data);
+          resolve(msg.delegate);
+        } else if (msg.type === 'error') {
+          reject(new Error(msg.message));
+        }
+      };
+
+      // The worker resolves URLs against its own location — send absolute ones
+      this.worker.postMessage({
+        type: 'init',
+        wasmUrl: new URL(wasmUrl, window.location.href).href,
+        modelUrl: new URL(modelUrl, window.location.href).href,
+        delegates,
+        options
+      });
+    });
+  }
+
+  /**
+   * @param {HTMLVideoElement} video
+   * @param {number} timestamp  ms, monotonically increasing
+   * @returns {Promise<object>} HandLandmarkerResult-shaped plain object,
+   *   with `inferenceMs` measured inside the worker
+   */
+  async detectForVideo(video, timestamp) {
+    const frame = typeof VideoFrame !== 'undefined'
+      ? new VideoFrame(video, { timestamp: Math.round(timestamp * 1000) })
+      : await createImageBitmap(video);
+
+    const id = this._nextId++;
+    return new Promise((resolve, reject) => {
+      this._pending.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'detect', id, frame, timestamp }, [frame]);
+    });
+  }
+
+  _onMessage(msg) {
+    if (msg.type === 'delegate') {
+      this.delegate = msg.delegate;
+      if (this.onDelegateChange) this.onDelegateChange(msg.delegate);
+      return;
+    }
+
+    const pending = this._pending.get(msg.id);
+    if (!pending) return;
+    this._pending.delete(msg.id);
+
+    if (msg.type === 'results') {
+      msg.results.inferenceMs = msg.inferenceMs;
+      pending.resolve(msg.results);
+    } else if (msg.type === 'error') {
+      pending.reject(new Error(msg.message));
+    }
+  }
+
+  close() {
+    if (!this.worker) return;
+    this.worker.postMessage({ type: 'close' });
+    this.worker = null;
+    for (const { reject } of this._pending.values()) {
+      reject(new Error('Landmarker worker closed'));
+    }
+    this._pending.clear();
+  }
+}
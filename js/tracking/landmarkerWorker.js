@@ -0,0 +1,114 @@
+/**
+ * Dedicated worker that owns the MediaPipe HandLandmarker, so inference
+ * never blocks the Three.js render loop on the main thread.
+ *
+ * Protocol (see WorkerLandmarker.js for the main-thread side):
+ *   → { type: 'init', wasmUrl, modelUrl, delegates, options }
+ *   ← { type: 'ready', delegate } | { type: 'error', message }
+ *   → { type: 'detect', id, frame, timestamp }   frame: VideoFrame | ImageBitmap (transferred)
+ *   ← { type: 'results', id, results, inferenceMs } | { type: 'error', id, message }
+ *   ← { type: 'delegate', delegate }             after a GPU → CPU fallback
+ */
+
+import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+
+// MediaPipe loads its WASM glue with importScripts(), which throws in module
+// workers. A synchronous fetch + global eval is equivalent for a classic script.
+self.importScripts = (...urls) => {
+  for (const url of urls) {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url, false);
+    xhr.send();
+    if (xhr.status >= 400) throw new Error(`importScripts failed (${xhr.status}): ${url}`);
+    (0, eval)(xhr.responseText);
+  }
+};
+
+let vision = null;
+let landmarker = null;
+let delegate = null;
+let config = null;
+
+async function createLandmarker(nextDelegate) {
+  landmarker = await HandLandmarker.createFromOptions(vision, {
+    baseOptions: { modelAssetPath: config.modelUrl, delegate: nextDelegate },
+    ...config.options
+  });
+  delegate = nextDelegate;
+}
+
+async function init(message) {
+  config = message;
+  vision = await FilesetResolver.forVisionTasks(message.wasmUrl);
+
+  let lastError = null;
+  for (const candidate of message.delegates) {
+    try {
+      await createLandmarker(candidate);
+      break;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  if (!landmarker) throw lastError || new Error('No delegate available');
+}
+
+// Copy into plain objects — structured clone of class instances is not
+// guaranteed across MediaPipe versions
+function toPlainResults(results) {
+  const points = (hands) => (hands || []).map((hand) =>
+    hand.map((p) => ({ x: p.x, y: p.y, z: p.z, visibility: p.visibility })));
+  return {
+    landmarks: points(results.landmarks),
+    worldLandmarks: points(results.worldLandmarks),
+    handedness: (results.handedness || []).map((cats) => cats.map((c) => ({
+      score: c.score,
+      index: c.index,
+      categoryName: c.categoryName,
+      displayName: c.displayName
+    })))
+  };
+}
+
+async function detect({ id, frame, timestamp }) {
+  const start = performance.now();
+  try {
+    let results;
+    try {
+      results = landmarker.detectForVideo(frame, timestamp);
+    } catch (err) {
+      if (delegate !== 'GPU') throw err;
+      // GPU can initialise and still fail on real frames — rebuild on CPU once
+      landmarker.close();
+      landmarker = null;
+      await createLandmarker('CPU');
+      self.postMessage({ type: 'delegate', delegate });
+      results = landmarker.detectForVideo(frame, timestamp);
+    }
+    self.postMessage({
+      type: 'results',
+      id,
+      results: toPlainResults(results),
+      inferenceMs: performance.now() - start
+    });
+  } finally {
+    frame.close();
+  }
+}
+
+self.onmessage = async (event) => {
+  const message = event.data;
+  try {
+    if (message.type === 'init') {
+      await init(message);
+      self.postMessage({ type: 'ready', delegate });
+    } else if (message.type === 'detect') {
+      await detect(message);
+    } else if (message.type === 'close') {
+      if (landmarker) landmarker.close();
+      self.close();
+    }
+  } catch (err) {
+    self.postMessage({ type: 'error', id: message.id, message: err && err.message ? err.message : String(err) });
+  }
+};
@@ -0,0 +1,106 @@
+/**
+ * Resolves where the MediaPipe WASM fileset and hand model are loaded from.
+ *
+ * Precedence, first match wins:
+ *  1. Explicit overrides passed in by the app (HandTracker's landmarker
+ *     config). Deliberately not settable from the page URL: the WASM
+ *     loader runs its script in the app's origin, so a link could inject
+ *     code.
+ *  2. Build-time env: VITE_MEDIAPIPE_WASM_URL / VITE_HAND_MODEL_URL
+ *  3. Self-hosted copies in publicDir (assets/mediapipe/, installed by
+ *     scripts/mediapipe-assets.mjs) — works fully offline
+ *  4. CDN copies pinned to the bundled tasks-vision version
+ *
+ * The self-hosted manifest records which tasks-vision version the WASM was
+ * copied from. The JS bundle and WASM must match exactly, so a stale copy is
+ * skipped with a warning instead of failing deep inside the runtime.
+ */
+
+/* global __TASKS_VISION_VERSION__ */
+export const TASKS_VISION_VERSION =
+  typeof __TASKS_VISION_VERSION__ !== 'undefined' ? __TASKS_VISION_VERSION__ : null;
+
+const CDN_MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+function cdnWasmUrl(version) {
+  return `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${version}/wasm`;
+}
+
+async function fetchManifest(baseUrl) {
+  try {
+    const res = await fetch(`${baseUrl}manifest.json`, { cache: 'no-cache' });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {{ wasmUrl?: string, modelUrl?: string }} [overrides]
+ * @returns {Promise<{ wasmUrl: string, modelUrl: string, version: string|null,
+ *   origin: 'custom'|'local'|'cdn', warnings: string[] }>}
+ */
+export async function resolveMediaPipeAssets(overrides = {}) {
+  const env = import.meta.env || {};
+  const warnings = [];
+
+  let wasmUrl = overrides.wasmUrl || env.VITE_MEDIAPIPE_WASM_URL || null;
+  let modelUrl = overrides.modelUrl || env.VITE_HAND_MODEL_URL || null;
+  const custom = wasmUrl !== null || modelUrl !== null;
+  let usedLocal = false;
+
+  if (!wasmUrl || !modelUrl) {
+    const base = `${env.BASE_URL || '/'}mediapipe/`;
+    const manifest = await fetchManifest(base);
+
+    if (!manifest) {
+      warnings.push('Self-hosted MediaPipe assets not found — run `npm run assets`. Using pinned CDN.');
+    } else if (TASKS_VISION_VERSION && manifest.tasksVisionVersion !== TASKS_VISION_VERSION) {
+      warnings.push(
+        `Self-hosted MediaPipe WASM is ${manifest.tasksVisionVersion} but the app bundles ` +
+        `${TASKS_VISION_VERSION} — run \`npm run assets\`. Using pinned CDN WASM.`
+      );
+    } else if (!wasmUrl) {
+      wasmUrl = `${base}${manifest.wasm || 'wasm'}`;
+      usedLocal = true;
+    }
+
+    if (!modelUrl && manifest && manifest.model) {
+      modelUrl = `${base}${manifest.model.file}`;
+      usedLocal = true;
+    } else if (!modelUrl && manifest) {
+      warnings.push('Self-hosted hand model missing — using CDN model.');
+    }
+  }
+
+  const version = TASKS_VISION_VERSION;
+  if (!wasmUrl) {
+    if (!version) throw new Error('Cannot resolve MediaPipe WASM: unknown tasks-vision version');
+    wasmUrl = cdnWasmUrl(version);
+  }
+  if (!modelUrl) modelUrl = CDN_MODEL_URL;
+
+  return {
+    wasmUrl,
+    modelUrl,
+    version,
+    origin: custom ? 'custom' : (usedLocal ? 'local' : 'cdn'),
+    warnings
+  };
+}
+
+/**
+ * Read HandLandmarker options from the page URL:
+ *   ?delegate=gpu|cpu&inference=worker|main
+ * Asset locations are build-time only (see resolveMediaPipeAssets).
+ */
+export function landmarkerConfigFromURL(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const delegate = (params.get('delegate') || '').toUpperCase();
+  return {
+    delegate: delegate === 'GPU' || delegate === 'CPU' ? delegate : 'AUTO',
+    inference: params.get('inference') === 'main' ? 'main' : 'worker'
+  };
+}
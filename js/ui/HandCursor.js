@@ -0,0 +1,26 @@
+/**
+ * On-canvas cursor for the pointing gesture. Fed by
+ * GestureControls.onPointerChange; the ring fills while dwelling.
+ */
+export class HandCursor {
+  constructor() {
+    this.el = document.getElementById('hand-cursor');
+  }
+
+  /**
+   * @param {{ x: number, y: number, regionId: string|null, view: string|null, layer: string|null, dwell: number }|null} pointer
+   *   position normalized to the (full-window) canvas, 0..1 from top-left;
+   *   null hides
+   */
+  update(pointer) {
+    if (!pointer) {
+      this.el.classList.add('hidden');
+      return;
+    }
+    this.el.classList.remove('hidden');
+    this.el.style.left = `${pointer.x * 100}%`;
+    this.el.style.top = `${pointer.y * 100}%`;
+    this.el.style.setProperty('--dwell', pointer.dwell.toFixed(3));
+    this.el.classList.toggle('over-region', pointer.regionId !== null || pointer.view !== null || pointer.layer !== null);
+  }
+}
@@ -1,27 +1,46 @@
-import { BRAIN_REGIONS } from '../brain/regionData.js';
+import { getRegion, getPath, getChildren } from '../brain/regionHierarchy.js';
+import { getTract, getTractEndpoints, getTractsOf } from '../brain/Tracts.js';
+import { getCondition, getConditionFor, getConditionEntries } from '../brain/conditionIndex.js';
 
 /**
- * Manages the floating info card that shows selected region details.
+ * Manages the floating info card that shows selected region details,
+ * with breadcrumbs up the region hierarchy, the sub-regions below it and
+ * the tracts joining it. A selected tract shows the regions it connects
+ * in place of sub-regions, and a selected condition (pick one from a
+ * region's conditions) every region involved and its role.
  */
 export class InfoPanel {
   constructor() {
     this.card = document.getElementById('info-card');
     this.dotEl = document.getElementById('info-color-dot');
+    this.breadcrumbsEl = document.getElementById('region-breadcrumbs');
     this.nameEl = document.getElementById('region-name');
     this.descEl = document.getElementById('region-description');
+    this.entriesSection = document.getElementById('condition-entries-section');
+    this.entriesEl = document.getElementById('condition-entries');
+    this.functionsSection = document.getElementById('region-functions-section');
     this.functionsEl = document.getElementById('region-functions');
+    this.conditionsSection = document.getElementById('region-conditions-section');
     this.conditionsEl = document.getElementById('region-conditions');
+    this.childrenSection = document.getElementById('region-children-section');
+    this.childrenTitleEl = document.getElementById('region-children-title');
+    this.childrenEl = document.getElementById('region-children');
+    this.tractsSection = document.getElementById('region-tracts-section');
+    this.tractsEl = document.getElementById('region-tracts');
     this.closeBtn = document.getElementById('info-close');
 
     this.currentRegionId = null;
 
+    // Callbacks
+    this.onNavigate = null; // (regionId) => void, from a breadcrumb, sub-region, tract or condition
+
     this.closeBtn.addEventListener('click', () => {
       this.show(null);
     });
   }
 
   /**
-   * Show details for a brain region. Pass null to hide.
+   * Show details for a brain region, tract or condition. Pass null to hide.
    */
   show(regionId) {
     if (regionId === this.currentRegionId) return;
@@ -32,29 +51,74 @@ export class InfoPanel {
       return;
     }
 
-    const data = BRAIN_REGIONS.find(r => r.id === regionId);
+    const condition = getCondition(regionId);
+    const tract = getTract(regionId);
+    const data = condition || tract || getRegion(regionId);
     if (!data) return;
 
-    // Color
-    const hex = '#' + data.color.toString(16).padStart(6, '0');
-
-    this.dotEl.style.background = hex;
+    // Color — conditions have none of their own
+    this.dotEl.style.background = condition
+      ? 'var(--accent)'
+      : '#' + data.color.toString(16).padStart(6, '0');
     this.nameEl.textContent = data.name;
     this.descEl.textContent = data.description;
 
+    // Ancestors, top level first (tracts and conditions sit outside the
+    // hierarchy)
+    this.breadcrumbsEl.innerHTML = '';
+    for (const ancestor of getPath(regionId).slice(0, -1)) {
+      const crumb = document.createElement('button');
+      crumb.textContent = ancestor.name;
+      crumb.addEventListener('click', () => this._navigate(ancestor.id));
+      const separator = document.createElement('span');
+      separator.className = 'crumb-separator';
+      separator.textContent = '›';
+      this.breadcrumbsEl.append(crumb, separator);
+    }
+
+    // Sub-regions as pills — for a tract, the regions it connects
+    const children = tract ? getTractEndpoints(tract).map(getRegion) : getChildren(regionId);
+    this.childrenTitleEl.textContent = tract ? 'Connects' : 'Contains';
+    this._fillLinks(this.childrenSection, this.childrenEl, children);
+
+    // Tracts joining the region
+    this._fillLinks(this.tractsSection, this.tractsEl, tract ? [] : getTractsOf(regionId));
+
+    // Regions and tracts involved in a condition, with their roles
+    const entries = condition ? getConditionEntries(condition.id) : [];
+    this.entriesSection.classList.toggle('hidden', entries.length === 0);
+    this.entriesEl.innerHTML = '';
+    for (const entry of entries) {
+      const li = document.createElement('li');
+      const name = document.createElement('span');
+      name.className = 'entry-name';
+      name.textContent = entry.name;
+      const role = document.createElement('span');
+      role.className = 'entry-role';
+      role.textContent = entry.role;
+      li.append(name, role);
+      li.addEventListener('click', () => this._navigate(entry.id));
+      this.entriesEl.appendChild(li);
+    }
+
     // Functions as pills
+    const functions = data.functions || [];
+    this.functionsSection.classList.toggle('hidden', functions.length === 0);
     this.functionsEl.innerHTML = '';
-    for (const fn of data.functions) {
+    for (const fn of functions) {
       const li = document.createElement('li');
       li.textContent = fn;
       this.functionsEl.appendChild(li);
     }
 
-    // Conditions as pills
+    // Conditions as pills — click one to see everything it involves
+    const conditions = data.conditions || [];
+    this.conditionsSection.classList.toggle('hidden', conditions.length === 0);
     this.conditionsEl.innerHTML = '';
-    for (const cond of data.conditions) {
+    for (const cond of conditions) {
       const li = document.createElement('li');
       li.textContent = cond;
+      li.addEventListener('click', () => this._navigate(getConditionFor(cond).id));
       this.conditionsEl.appendChild(li);
     }
 
@@ -64,4 +128,20 @@ export class InfoPanel {
     void this.card.offsetHeight;
     this.card.style.animation = '';
   }
+
+  // Pills that navigate to each entry; the section hides when empty
+  _fillLinks(section, list, entries) {
+    section.classList.toggle('hidden', entries.length === 0);
+    list.innerHTML = '';
+    for (const entry of entries) {
+      const li = document.createElement('li');
+      li.textContent = entry.name;
+      li.addEventListener('click', () => this._navigate(entry.id));
+      list.appendChild(li);
+    }
+  }
+
+  _navigate(regionId) {
+    if (this.onNavigate) this.onNavigate(regionId);
+  }
 }
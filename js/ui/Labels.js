@@ -1,7 +1,8 @@
 import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
 
 /**
- * Manages CSS2D labels attached to brain region meshes.
+ * Manages CSS2D labels attached to brain region meshes and area patches
+ * (an area's label hides with its patch).
  */
 export class Labels {
   constructor(brainModel) {
@@ -11,7 +12,8 @@ export class Labels {
   }
 
   _createLabels() {
-    for (const [regionId, mesh] of this.brainModel.meshes) {
+    const { meshes, areaMeshes } = this.brainModel;
+    for (const [regionId, mesh] of [...meshes, ...areaMeshes]) {
       const data = this.brainModel.getRegionData(regionId);
       if (!data) continue;
 
@@ -20,8 +22,14 @@ export class Labels {
       div.textContent = data.name;
 
       const label = new CSS2DObject(div);
-      // Position label slightly above the mesh center
-      label.position.set(0, 0.12, 0);
+      if (areaMeshes.has(regionId)) {
+        // Areas: on the patch itself
+        label.position.copy(mesh.geometry.boundingSphere.center);
+        div.classList.add('area');
+      } else {
+        // Position label slightly above the mesh center
+        label.position.set(0, 0.12, 0);
+      }
       label.center.set(0.5, 1); // anchor bottom-center
       mesh.add(label);
 
@@ -52,7 +60,7 @@ export class Labels {
       if (selectedId === null) {
         // No selection — all labels normal
         element.style.opacity = Math.min(1, explosionAmount * 3 + 0.2);
-      } else if (regionId === selectedId) {
+      } else if (this.brainModel.isFocused(regionId)) {
         element.classList.add('active');
         element.style.opacity = '1';
       } else {
@@ -0,0 +1,140 @@
+import { LAYER_TYPES } from '../brain/BrainModel.js';
+import { getChildren } from '../brain/regionHierarchy.js';
+
+const TYPE_LABELS = { lobe: 'Lobes', internal: 'Internal', shell: 'Shell' };
+const TYPE_KEYS = { lobe: '⇧L', internal: '⇧I', shell: '⇧O' };
+
+/**
+ * Layer list, below the slice panel: type filters, isolate and show-all
+ * buttons, then every group and region in hierarchy order with an eye
+ * toggle. Clicking a name selects it.
+ *
+ * Every control carries a data-action ('type:lobe', 'isolate', 'show-all',
+ * 'toggle:<id>', 'select:<id>') so the pointing cursor can find and press
+ * it too (see actionAt / trigger).
+ */
+export class LayersPanel {
+  constructor() {
+    this.container = document.getElementById('layers-panel');
+    this.typeButtons = new Map(); // layer type -> button
+    this.rows = new Map();        // region id -> row
+    this._hovered = null;
+
+    const filters = document.createElement('div');
+    filters.className = 'layer-filters';
+    for (const type of LAYER_TYPES) {
+      const button = this._button('layer-type', TYPE_LABELS[type], `type:${type}`);
+      button.title = `Show or hide ${TYPE_LABELS[type].toLowerCase()} (${TYPE_KEYS[type]})`;
+      filters.appendChild(button);
+      this.typeButtons.set(type, button);
+    }
+
+    const modes = document.createElement('div');
+    modes.className = 'layer-modes';
+    this.isolateButton = this._button('layer-mode', 'Isolate', 'isolate');
+    this.isolateButton.title = 'Only the selection and its neighbours (I)';
+    const showAll = this._button('layer-mode', 'Show all', 'show-all');
+    showAll.title = 'Undo hiding, filters and isolation (⇧V)';
+    modes.append(this.isolateButton, showAll);
+
+    const list = document.createElement('ul');
+    list.className = 'layer-list';
+    this._addRows(list, null, 0);
+
+    this.container.append(filters, modes, list);
+    this.container.addEventListener('click', (e) => {
+      const control = e.target.closest('[data-action]');
+      if (control) this.trigger(control.dataset.action);
+    });
+
+    // Callbacks
+    this.onToggleType = null;    // (type) => void
+    this.onToggleIsolate = null; // () => void
+    this.onShowAll = null;       // () => void
+    this.onToggleRegion = null;  // (regionId) => void
+    this.onSelectRegion = null;  // (regionId) => void
+  }
+
+  /**
+   * Refresh from the brain's layer state and selection.
+   * @param {BrainModel} brain
+   */
+  update(brain) {
+    for (const [type, button] of this.typeButtons) {
+      button.classList.toggle('off', !brain.typeVisible[type]);
+    }
+    this.isolateButton.classList.toggle('on', brain.isolated);
+    for (const [id, row] of this.rows) {
+      const hidden = brain.isRegionHidden(id);
+      row.classList.toggle('hidden-layer', hidden);
+      row.classList.toggle('filtered', !hidden && !brain.isRegionShown(id));
+      row.classList.toggle('selected', id === brain.selectedId);
+    }
+  }
+
+  /**
+   * The action of the control at a screen position (normalized 0..1 from
+   * the top-left), or null.
+   */
+  actionAt(x, y) {
+    const el = document.elementFromPoint(x * window.innerWidth, y * window.innerHeight);
+    const control = el && this.container.contains(el) ? el.closest('[data-action]') : null;
+    return control ? control.dataset.action : null;
+  }
+
+  /**
+   * Highlight the control the pointing cursor is over (null clears).
+   */
+  setHover(action) {
+    if (action === this._hovered) return;
+    const find = (a) => this.container.querySelector(`[data-action="${a}"]`);
+    if (this._hovered) find(this._hovered).classList.remove('hover');
+    this._hovered = action;
+    if (action) find(action).classList.add('hover');
+  }
+
+  /**
+   * Press a control by its action, as a click would.
+   */
+  trigger(action) {
+    const [kind, arg] = action.split(':');
+    const callback = {
+      type: this.onToggleType,
+      isolate: this.onToggleIsolate,
+      'show-all': this.onShowAll,
+      toggle: this.onToggleRegion,
+      select: this.onSelectRegion
+    }[kind];
+    if (callback) callback(arg);
+  }
+
+  // ==================== Internals ====================
+
+  // Groups and regions, depth first; areas are shown on selection instead
+  _addRows(list, parentId, depth) {
+    for (const region of getChildren(parentId)) {
+      if (region.type === 'area') continue;
+
+      const row = document.createElement('li');
+      row.className = `layer-row ${region.type}`;
+      row.style.paddingLeft = `${depth * 10}px`;
+
+      const eye = this._button('layer-eye', '◉', `toggle:${region.id}`);
+      eye.title = 'Show or hide';
+      const name = this._button('layer-name', region.name, `select:${region.id}`);
+
+      row.append(eye, name);
+      list.appendChild(row);
+      this.rows.set(region.id, row);
+      this._addRows(list, region.id, depth + 1);
+    }
+  }
+
+  _button(className, text, action) {
+    const button = document.createElement('button');
+    button.className = className;
+    button.textContent = text;
+    button.dataset.action = action;
+    return button;
+  }
+}
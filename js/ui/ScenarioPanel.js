@@ -0,0 +1,66 @@
+/**
+ * Transport bar for activation scenarios, above the gesture pill: play /
+ * pause, the scenario's name, a scrubber with the time, and the current
+ * caption. Hidden while no scenario is loaded.
+ */
+export class ScenarioPanel {
+  constructor() {
+    this.bar = document.getElementById('scenario-bar');
+    this.captionEl = document.getElementById('scenario-caption');
+    this.playBtn = document.getElementById('scenario-play');
+    this.nameEl = document.getElementById('scenario-name');
+    this.scrubber = document.getElementById('scenario-scrubber');
+    this.timeEl = document.getElementById('scenario-time');
+    this.closeBtn = document.getElementById('scenario-close');
+
+    this._caption = null;
+    // While dragging, the scrubber follows the pointer, not the clock
+    this._scrubbing = false;
+
+    // Callbacks
+    this.onTogglePlay = null; // () => void
+    this.onSeek = null;       // (time) => void, seconds
+    this.onClose = null;      // () => void
+
+    this.playBtn.addEventListener('click', () => {
+      if (this.onTogglePlay) this.onTogglePlay();
+    });
+    this.closeBtn.addEventListener('click', () => {
+      if (this.onClose) this.onClose();
+    });
+    this.scrubber.addEventListener('pointerdown', () => { this._scrubbing = true; });
+    this.scrubber.addEventListener('change', () => { this._scrubbing = false; });
+    this.scrubber.addEventListener('input', () => {
+      if (this.onSeek) this.onSeek(Number(this.scrubber.value));
+    });
+  }
+
+  /**
+   * Refresh from the player. Cheap enough to call every frame.
+   * @param {ScenarioPlayer} player
+   */
+  update(player) {
+    this.bar.classList.toggle('hidden', !player.scenario);
+    if (!player.scenario) {
+      this._caption = null;
+      return;
+    }
+
+    this.nameEl.textContent = player.scenario.name;
+    this.playBtn.textContent = player.isPlaying ? '❚❚' : '▶';
+    this.playBtn.title = player.isPlaying ? 'Pause (space)' : 'Play (space)';
+    this.scrubber.max = player.duration;
+    if (!this._scrubbing) this.scrubber.value = player.time;
+    this.timeEl.textContent = `${player.time.toFixed(1)} / ${player.duration.toFixed(1)} s`;
+
+    // New caption — re-trigger the fade in
+    const caption = player.caption();
+    if (caption !== this._caption) {
+      this._caption = caption;
+      this.captionEl.textContent = caption;
+      this.captionEl.style.animation = 'none';
+      void this.captionEl.offsetHeight;
+      this.captionEl.style.animation = '';
+    }
+  }
+}
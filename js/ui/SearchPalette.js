@@ -0,0 +1,186 @@
+import { searchRegions } from '../brain/regionSearch.js';
+
+// What the palette searches: everything, or only conditions — the
+// condition browser, which lists them all until you type
+const SCOPES = {
+  all: { placeholder: 'Search regions, functions, conditions…', limit: 12 },
+  conditions: { kind: 'condition', placeholder: 'Browse conditions…', limit: Infinity }
+};
+
+const KIND_LABELS = {
+  group: 'Group',
+  lobe: 'Region',
+  internal: 'Structure',
+  area: 'Area',
+  tract: 'Pathway',
+  condition: 'Condition'
+};
+
+const FIELD_LABELS = { name: 'Also', functions: 'Function', conditions: 'Condition', description: '' };
+
+/**
+ * Search palette (/ or Ctrl+K, or B for conditions only): a query box
+ * over ranked results from regionSearch.js. Arrow keys move through the
+ * results, Enter or a click chooses one, Escape or a click outside
+ * closes. Each result shows why it matched — another spelling of its
+ * name, a function, condition or sentence — unless its name did.
+ */
+export class SearchPalette {
+  constructor() {
+    this.container = document.getElementById('search-palette');
+    this.input = document.getElementById('search-input');
+    this.list = document.getElementById('search-results');
+
+    this.results = [];
+    this.active = 0;
+    this.isOpen = false;
+    this.scope = SCOPES.all;
+
+    // Callbacks
+    this.onResults = null; // (results) => void, on every change of query
+    this.onChoose = null;  // (regionId) => void
+    this.onClose = null;   // () => void
+
+    this.input.addEventListener('input', () => this._search());
+    this.input.addEventListener('keydown', (e) => {
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this._setActive(this.active + 1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this._setActive(this.active - 1);
+          break;
+        case 'Enter':
+          e.preventDefault();
+          this._choose(this.active);
+          break;
+        case 'Escape':
+          e.preventDefault();
+          this.close();
+          break;
+      }
+    });
+
+    this.list.addEventListener('mousemove', (e) => {
+      const item = e.target.closest('[data-index]');
+      if (item) this._setActive(Number(item.dataset.index));
+    });
+    this.list.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-index]');
+      if (item) this._choose(Number(item.dataset.index));
+    });
+
+    document.addEventListener('pointerdown', (e) => {
+      if (this.isOpen && !this.container.contains(e.target)) this.close();
+    });
+  }
+
+  /**
+   * Open with the last query selected, so typing replaces it.
+   * @param {'all'|'conditions'} [scope]
+   */
+  open(scope = 'all') {
+    if (!SCOPES[scope]) throw new Error(`Unknown search scope: ${scope}`);
+    this.scope = SCOPES[scope];
+    this.input.placeholder = this.scope.placeholder;
+    this.isOpen = true;
+    this.container.classList.remove('hidden');
+    this.input.focus();
+    this.input.select();
+    this._search();
+  }
+
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.container.classList.add('hidden');
+    this.input.blur();
+    if (this.onClose) this.onClose();
+  }
+
+  // ==================== Internals ====================
+
+  _search() {
+    this.results = searchRegions(this.input.value, { kind: this.scope.kind });
+    this.active = 0;
+    this._render();
+    if (this.onResults) this.onResults(this.results);
+  }
+
+  _render() {
+    this.list.innerHTML = '';
+    if (this.results.length === 0) {
+      if (this.input.value.trim()) {
+        const empty = document.createElement('li');
+        empty.className = 'search-empty';
+        empty.textContent = 'No matches';
+        this.list.appendChild(empty);
+      }
+      return;
+    }
+
+    const tokens = this.input.value.trim().split(/\s+/);
+    this.results.slice(0, this.scope.limit).forEach((result, index) => {
+      const item = document.createElement('li');
+      item.className = 'search-result';
+      item.dataset.index = index;
+      item.classList.toggle('active', index === this.active);
+
+      const head = document.createElement('div');
+      head.className = 'search-head';
+      const name = document.createElement('span');
+      name.className = 'search-name';
+      name.append(...this._highlight(result.name, tokens));
+      const kind = document.createElement('span');
+      kind.className = 'search-kind';
+      kind.textContent = KIND_LABELS[result.kind];
+      head.append(name, kind);
+      item.appendChild(head);
+
+      if (result.text !== result.name) {
+        const match = document.createElement('div');
+        match.className = 'search-match';
+        const label = FIELD_LABELS[result.field];
+        match.append(
+          ...(label ? [`${label}: `] : []),
+          ...this._highlight(result.text, tokens)
+        );
+        item.appendChild(match);
+      }
+
+      this.list.appendChild(item);
+    });
+  }
+
+  // Text and <mark> nodes — query words found literally are marked
+  _highlight(text, tokens) {
+    const escaped = tokens.filter(Boolean).map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    if (escaped.length === 0) return [text];
+    return text.split(new RegExp(`(${escaped.join('|')})`, 'gi')).map((part, i) => {
+      if (i % 2 === 0) return part;
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      return mark;
+    });
+  }
+
+  _setActive(index) {
+    const count = Math.min(this.results.length, this.scope.limit);
+    if (count === 0) return;
+    this.active = (index + count) % count;
+    for (const item of this.list.querySelectorAll('.search-result')) {
+      const active = Number(item.dataset.index) === this.active;
+      item.classList.toggle('active', active);
+      if (active) item.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  _choose(index) {
+    const result = this.results[index];
+    if (!result) return;
+    if (this.onChoose) this.onChoose(result.id);
+    this.close();
+  }
+}
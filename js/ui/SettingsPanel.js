@@ -0,0 +1,106 @@
+/**
+ * Floating settings panel (bottom-left gear button).
+ *
+ * Rows are added from main.js so each feature owns its own setting:
+ *
+ *   settings.addSelect('source', {
+ *     label: 'Input',
+ *     options: [{ value: 'webcam', label: 'Webcam' }],
+ *     value: 'webcam',
+ *     onChange: (value) => { ... }
+ *   });
+ */
+export class SettingsPanel {
+  constructor() {
+    this.panel = document.getElementById('settings-panel');
+    this.toggleBtn = document.getElementById('settings-toggle');
+    this.body = document.getElementById('settings-body');
+
+    this.rows = new Map(); // id -> { row, control, valueEl }
+
+    this.toggleBtn.addEventListener('click', () => this.toggle());
+  }
+
+  toggle(open = this.panel.classList.contains('hidden')) {
+    this.panel.classList.toggle('hidden', !open);
+    this.toggleBtn.classList.toggle('active', open);
+  }
+
+  /**
+   * Add a labelled <select>.
+   * @param {string} id
+   * @param {{ label: string, options: { value: string, label: string }[], value?: string, onChange?: (value: string) => void }} opts
+   */
+  addSelect(id, { label, options, value, onChange }) {
+    const select = document.createElement('select');
+    select.id = `setting-${id}`;
+    this._fillOptions(select, options);
+    if (value !== undefined) select.value = value;
+
+    select.addEventListener('change', () => {
+      if (onChange) onChange(select.value);
+    });
+
+    this._addRow(id, label, select);
+    return select;
+  }
+
+  /**
+   * Add a read-only status row.
+   * @param {string} id
+   * @param {{ label: string, text?: string }} opts
+   */
+  addInfo(id, { label, text = '' }) {
+    const value = document.createElement('span');
+    value.className = 'settings-info';
+    value.textContent = text;
+    this._addRow(id, label, value);
+    return value;
+  }
+
+  /**
+   * Replace the options of an existing select, keeping the value if possible.
+   */
+  setOptions(id, options) {
+    const entry = this.rows.get(id);
+    if (!entry) return;
+    const previous = entry.control.value;
+    this._fillOptions(entry.control, options);
+    if (options.some((o) => o.value === previous)) entry.control.value = previous;
+  }
+
+  /**
+   * Set a control's value without firing onChange.
+   */
+  setValue(id, value) {
+    const entry = this.rows.get(id);
+    if (!entry) return;
+    if (entry.control.tagName === 'SPAN') entry.control.textContent = value;
+    else entry.control.value = value;
+  }
+
+  _fillOptions(select, options) {
+    select.innerHTML = '';
+    for (const opt of options) {
+      const el = document.createElement('option');
+      el.value = opt.value;
+      el.textContent = opt.label;
+      select.appendChild(el);
+    }
+  }
+
+  _addRow(id, label, control) {
+    const row = document.createElement('label');
+    row.className = 'settings-row';
+
+    const labelEl = document.createElement('span');
+    labelEl.className = 'settings-label';
+    labelEl.textContent = label;
+
+    row.appendChild(labelEl);
+    row.appendChild(control);
+    this.body.appendChild(row);
+
+    this.rows.set(id, { row, control });
+  }
+}
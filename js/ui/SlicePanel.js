@@ -0,0 +1,58 @@
+import { SLICE_PLANES } from '../brain/SlicePlanes.js';
+
+/**
+ * Slice presets and readout, below the view cube: one row per canonical
+ * plane with a toggle, its current position, and a button to keep the
+ * other side. The active plane (the one keys, drags and the slice gesture
+ * move) is highlighted.
+ */
+export class SlicePanel {
+  constructor() {
+    this.container = document.getElementById('slice-panel');
+    this.rows = new Map(); // plane id -> { row, value }
+
+    for (const def of SLICE_PLANES) {
+      const row = document.createElement('div');
+      row.className = 'slice-row';
+
+      const toggle = document.createElement('button');
+      toggle.className = 'slice-toggle';
+      toggle.textContent = def.label;
+      toggle.addEventListener('click', () => {
+        if (this.onToggle) this.onToggle(def.id);
+      });
+
+      const value = document.createElement('span');
+      value.className = 'slice-value';
+
+      const flip = document.createElement('button');
+      flip.className = 'slice-flip';
+      flip.textContent = '⇅';
+      flip.title = 'Keep the other side';
+      flip.addEventListener('click', () => {
+        if (this.onFlip) this.onFlip(def.id);
+      });
+
+      row.append(toggle, value, flip);
+      this.container.appendChild(row);
+      this.rows.set(def.id, { row, value });
+    }
+
+    // Callbacks
+    this.onToggle = null; // (planeId) => void
+    this.onFlip = null;   // (planeId) => void
+  }
+
+  /**
+   * Refresh from the brain's slice planes.
+   * @param {SlicePlanes} slices
+   */
+  update(slices) {
+    for (const [id, { row, value }] of this.rows) {
+      const plane = slices.get(id);
+      row.classList.toggle('enabled', plane.enabled);
+      row.classList.toggle('active', slices.active === id);
+      value.textContent = plane.enabled ? slices.describe(id) : 'off';
+    }
+  }
+}
@@ -1,5 +1,5 @@
 /**
- * Manages the gesture pill indicator.
+ * Manages the gesture pill indicator and the PiP session badge.
  */
 export class StatusOverlay {
   constructor() {
@@ -7,6 +7,8 @@ export class StatusOverlay {
     this.gestureNameEl = document.getElementById('gesture-name');
     this.expansionValueEl = document.getElementById('expansion-value');
     this.handsDetectedEl = document.getElementById('hands-detected');
+    this.sessionBadge = document.getElementById('session-badge');
+    this.pointerMode = false;
   }
 
   static GESTURE_LABELS = {
@@ -19,10 +21,19 @@ export class StatusOverlay {
     spread: 'Expanding',
     squeeze: 'Collapsing',
     swipe_left: 'Previous',
-    swipe_right: 'Next'
+    swipe_right: 'Next',
+    swipe_up: 'Up a level',
+    swipe_down: 'Drill down',
+    depth_in: 'Peel a layer',
+    depth_out: 'Restore a layer',
+    rotate_select: 'Rotate + select',
+    clutch: 'Clutch dragging',
+    steer: 'Steering',
+    slice: 'Slicing'
   };
 
   setGesture(gesture) {
+    if (this.pointerMode) return;
     const label = StatusOverlay.GESTURE_LABELS[gesture] || gesture;
     this.gestureNameEl.textContent = label;
 
@@ -33,6 +44,18 @@ export class StatusOverlay {
     }
   }
 
+  /**
+   * Explicit mouse & keyboard mode, used when the camera is blocked or
+   * missing: the pill says so and gesture hints are hidden.
+   */
+  setPointerMode(on) {
+    if (on === this.pointerMode) return;
+    this.pointerMode = on;
+    document.body.classList.toggle('pointer-mode', on);
+    this.gestureNameEl.textContent = on ? 'Mouse & keyboard mode' : StatusOverlay.GESTURE_LABELS.none;
+    this.gesturePill.classList.toggle('active', on);
+  }
+
   setExplosion(amount) {
     const pct = Math.round(amount * 100);
     this.expansionValueEl.textContent = `${pct}%`;
@@ -41,4 +64,26 @@ export class StatusOverlay {
   setHandsDetected(count) {
     this.handsDetectedEl.textContent = count;
   }
+
+  /**
+   * Reflect landmark session state in the PiP badge.
+   * @param {{ recording: boolean, replaying: boolean, player: object|null }} state
+   */
+  setSession({ recording, replaying, player }) {
+    const badge = this.sessionBadge;
+    badge.classList.remove('recording', 'replaying');
+
+    if (recording) {
+      badge.textContent = '● Rec';
+      badge.classList.add('recording');
+    } else if (replaying && player) {
+      let label = `Replay ${player.speed}×`;
+      if (player.mode === 'step') label = `Step ${player.index}/${player.frames.length}`;
+      else if (!player.isPlaying) label = 'Replay paused';
+      badge.textContent = label;
+      badge.classList.add('replaying');
+    }
+
+    badge.classList.toggle('hidden', !recording && !replaying);
+  }
 }
@@ -0,0 +1,85 @@
+import * as THREE from 'three';
+
+/**
+ * Orientation cube in the corner: faces labelled A/P/L/R/S/I turn with the
+ * brain as the camera sees it. Clicking a face (or pointing at it) asks for
+ * that standard view.
+ */
+
+// Face → standard view id, label, and CSS placement (cube half-size 24px)
+const FACES = [
+  { view: 'anterior', label: 'A', transform: 'translateZ(24px)' },
+  { view: 'posterior', label: 'P', transform: 'rotateY(180deg) translateZ(24px)' },
+  { view: 'left', label: 'L', transform: 'rotateY(-90deg) translateZ(24px)' },
+  { view: 'right', label: 'R', transform: 'rotateY(90deg) translateZ(24px)' },
+  { view: 'superior', label: 'S', transform: 'rotateX(90deg) translateZ(24px)' },
+  { view: 'inferior', label: 'I', transform: 'rotateX(-90deg) translateZ(24px)' }
+];
+
+const _relative = new THREE.Quaternion();
+const _matrix = new THREE.Matrix4();
+
+export class ViewCube {
+  constructor() {
+    this.container = document.getElementById('view-cube');
+    this.cube = document.createElement('div');
+    this.cube.className = 'view-cube-body';
+    this.container.appendChild(this.cube);
+
+    this.faces = new Map(); // view id -> element
+    for (const face of FACES) {
+      const el = document.createElement('button');
+      el.className = 'view-cube-face';
+      el.textContent = face.label;
+      el.dataset.view = face.view;
+      el.style.transform = face.transform;
+      el.addEventListener('click', () => {
+        if (this.onSelect) this.onSelect(face.view);
+      });
+      this.cube.appendChild(el);
+      this.faces.set(face.view, el);
+    }
+
+    this._hovered = null;
+
+    // Callbacks
+    this.onSelect = null; // (viewId) => void
+  }
+
+  /**
+   * Match the brain's orientation as seen by the camera.
+   * @param {THREE.Quaternion} brainQuaternion
+   * @param {THREE.Quaternion} cameraQuaternion
+   */
+  update(brainQuaternion, cameraQuaternion) {
+    _relative.copy(cameraQuaternion).invert().multiply(brainQuaternion);
+    const e = _matrix.makeRotationFromQuaternion(_relative).elements;
+    // Three.js is y-up, CSS is y-down: flip y on both sides
+    const css = [
+      e[0], -e[1], e[2], 0,
+      -e[4], e[5], -e[6], 0,
+      e[8], -e[9], e[10], 0,
+      0, 0, 0, 1
+    ];
+    this.cube.style.transform = `matrix3d(${css.map((v) => v.toFixed(5)).join(',')})`;
+  }
+
+  /**
+   * Standard view under a screen position (normalized to the viewport),
+   * for the pointing cursor. null if not over the cube.
+   */
+  viewAt(x, y) {
+    const el = document.elementFromPoint(x * window.innerWidth, y * window.innerHeight);
+    return el && el.dataset && el.dataset.view && this.container.contains(el) ? el.dataset.view : null;
+  }
+
+  /**
+   * Highlight the face the pointing cursor is over (null clears).
+   */
+  setHover(viewId) {
+    if (viewId === this._hovered) return;
+    if (this._hovered) this.faces.get(this._hovered).classList.remove('hover');
+    this._hovered = viewId;
+    if (viewId) this.faces.get(viewId).classList.add('hover');
+  }
+}
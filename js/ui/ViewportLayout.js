@@ -0,0 +1,290 @@
+import * as THREE from 'three';
+
+/**
+ * Optional four-pane radiology layout: axial, coronal and sagittal
+ * orthographic panes plus the existing 3D view, each drawn into its own
+ * scissored viewport of the one canvas.
+ *
+ * The orthographic cameras are fixed to the brain, not the world, so each
+ * pane keeps showing its anatomical plane while the 3D view turns. Panes
+ * follow the radiological convention: the patient's right on the screen
+ * left in axial and coronal, anterior up in axial, anterior to the left in
+ * sagittal.
+ *
+ * A shared crosshair point (brain space) links the ortho panes: clicking or
+ * dragging in one moves the two coordinates it shows, and every pane — plus
+ * a small marker in the 3D pane — follows.
+ */
+
+export const LAYOUTS = ['single', 'quad'];
+
+// Screen axes of each pane in brain space (anterior +z, superior +y, the
+// patient's left on −x — see regionData.js). col/row place the pane.
+const PANES = [
+  { id: 'axial', label: 'Axial', right: [-1, 0, 0], up: [0, 0, 1], col: 0, row: 0 },
+  { id: 'coronal', label: 'Coronal', right: [-1, 0, 0], up: [0, 1, 0], col: 1, row: 0 },
+  { id: 'sagittal', label: 'Sagittal', right: [0, 0, -1], up: [0, 1, 0], col: 0, row: 1 },
+  { id: '3d', label: '3D', col: 1, row: 1 }
+];
+
+const ORTHO_HALF_SIZE = 1.45; // brain-space half extent shown by the narrow axis
+const ORTHO_DISTANCE = 10;
+const MARKER_LAYER = 1;       // crosshair marker, 3D pane only
+
+// Anatomical letter for a brain-space direction
+function sideLetter([x, y, z]) {
+  if (x) return x > 0 ? 'R' : 'L';
+  if (y) return y > 0 ? 'S' : 'I';
+  return z > 0 ? 'A' : 'P';
+}
+
+const negate = (v) => v.map((c) => -c);
+
+const _ndc = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _size = new THREE.Vector2();
+
+export class ViewportLayout {
+  /**
+   * @param {object} opts
+   * @param {THREE.WebGLRenderer} opts.renderer
+   * @param {THREE.Scene} opts.scene
+   * @param {THREE.PerspectiveCamera} opts.camera  the 3D view
+   * @param {BrainModel} opts.brain
+   * @param {CSS2DRenderer} [opts.labelRenderer]  kept to the 3D pane
+   */
+  constructor({ renderer, scene, camera, brain, labelRenderer }) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.camera = camera;
+    this.brain = brain;
+    this.labelRenderer = labelRenderer;
+
+    this.mode = 'single';
+    this.cursor = new THREE.Vector3(); // crosshair point, brain space
+    this.container = document.getElementById('viewport-overlay');
+
+    camera.layers.enable(MARKER_LAYER);
+
+    this.panes = PANES.map((def) => {
+      const pane = { ...def, camera };
+      pane.element = this._buildPane(pane);
+      if (def.right) {
+        const right = new THREE.Vector3(...def.right);
+        const up = new THREE.Vector3(...def.up);
+        pane.back = new THREE.Vector3().crossVectors(right, up); // toward the camera
+        pane.basis = new THREE.Quaternion().setFromRotationMatrix(
+          new THREE.Matrix4().makeBasis(right, up, pane.back)
+        );
+        pane.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 100);
+        pane.aspect = 0;
+      }
+      return pane;
+    });
+
+    this.marker = this._buildMarker();
+    brain.group.add(this.marker);
+    this._setMarkerVisible();
+
+    // Callbacks
+    this.onLayoutChange = null; // (mode) => void
+  }
+
+  /**
+   * @param {'single'|'quad'} mode
+   */
+  setLayout(mode) {
+    if (!LAYOUTS.includes(mode)) throw new Error(`Unknown layout: ${mode}`);
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this.container.classList.toggle('hidden', mode !== 'quad');
+    this._setMarkerVisible();
+    if (this.labelRenderer) {
+      this.labelRenderer.domElement.classList.toggle('quad', mode === 'quad');
+      // Back to the whole canvas; the quad layout resizes it every frame
+      this.renderer.getSize(_size);
+      this.labelRenderer.setSize(_size.x, _size.y);
+    }
+    if (this.onLayoutChange) this.onLayoutChange(mode);
+  }
+
+  toggle() {
+    this.setLayout(this.mode === 'quad' ? 'single' : 'quad');
+  }
+
+  /**
+   * The pane under a canvas position (normalized 0..1 from the top-left),
+   * with the position inside it, also 0..1.
+   * @returns {{ pane: object, x: number, y: number }}
+   */
+  paneAt(x, y) {
+    if (this.mode !== 'quad') return { pane: this.panes[3], x, y };
+    const col = x < 0.5 ? 0 : 1;
+    const row = y < 0.5 ? 0 : 1;
+    const pane = this.panes.find((p) => p.col === col && p.row === row);
+    return { pane, x: x * 2 - col, y: y * 2 - row };
+  }
+
+  /**
+   * Aim a raycaster through a canvas position with the camera of the pane
+   * under it.
+   * @returns {object} the pane
+   */
+  setRaycaster(raycaster, x, y) {
+    const hit = this.paneAt(x, y);
+    _ndc.set(hit.x * 2 - 1, -hit.y * 2 + 1, 0);
+    raycaster.setFromCamera(_ndc, hit.pane.camera);
+    return hit.pane;
+  }
+
+  /**
+   * Move the crosshair to a canvas position inside an orthographic pane,
+   * keeping the coordinate along that pane's view axis.
+   * @returns {boolean} false if the position is not over an ortho pane
+   */
+  setCursorAt(x, y) {
+    const hit = this.paneAt(x, y);
+    if (!hit.pane.back) return false;
+    _point.set(hit.x * 2 - 1, -hit.y * 2 + 1, 0).unproject(hit.pane.camera);
+    this.brain.group.worldToLocal(_point);
+    // Replace the in-plane coordinates, keep depth
+    const depth = this.cursor.dot(hit.pane.back) - _point.dot(hit.pane.back);
+    this.cursor.copy(_point).addScaledVector(hit.pane.back, depth);
+    return true;
+  }
+
+  /**
+   * Draw the frame: the 3D view alone, or all four panes.
+   */
+  render() {
+    const { renderer, scene } = this;
+
+    if (this.mode !== 'quad') {
+      renderer.render(scene, this.camera);
+      return;
+    }
+
+    renderer.getSize(_size);
+    const width = _size.x / 2;
+    const height = _size.y / 2;
+    this._updateOrthoCameras(width / height);
+    this.marker.position.copy(this.cursor);
+
+    renderer.setScissorTest(true);
+    for (const pane of this.panes) {
+      // WebGL viewports start at the bottom-left
+      const x = pane.col * width;
+      const y = (1 - pane.row) * height;
+      renderer.setViewport(x, y, width, height);
+      renderer.setScissor(x, y, width, height);
+      renderer.render(scene, pane.camera);
+    }
+    renderer.setScissorTest(false);
+    renderer.setViewport(0, 0, _size.x, _size.y);
+
+    this._updateCrosshairs();
+    this._fitLabels(width, height);
+  }
+
+  // ==================== Internals ====================
+
+  // Ortho cameras sit on the brain's axes, turning with it
+  _updateOrthoCameras(aspect) {
+    const group = this.brain.group;
+    for (const pane of this.panes) {
+      if (!pane.back) continue;
+      const camera = pane.camera;
+      camera.quaternion.copy(group.quaternion).multiply(pane.basis);
+      camera.position.copy(pane.back).applyQuaternion(group.quaternion)
+        .multiplyScalar(ORTHO_DISTANCE).add(group.position);
+
+      if (pane.aspect !== aspect) {
+        pane.aspect = aspect;
+        const halfHeight = aspect >= 1 ? ORTHO_HALF_SIZE : ORTHO_HALF_SIZE / aspect;
+        camera.top = halfHeight;
+        camera.bottom = -halfHeight;
+        camera.left = -halfHeight * aspect;
+        camera.right = halfHeight * aspect;
+        camera.updateProjectionMatrix();
+      }
+      camera.updateMatrixWorld();
+    }
+  }
+
+  _updateCrosshairs() {
+    this.brain.group.updateMatrixWorld();
+    for (const pane of this.panes) {
+      if (!pane.back) continue;
+      _point.copy(this.cursor);
+      this.brain.group.localToWorld(_point).project(pane.camera);
+      pane.crossV.style.left = `${((_point.x + 1) / 2) * 100}%`;
+      pane.crossH.style.top = `${((1 - _point.y) / 2) * 100}%`;
+    }
+  }
+
+  // CSS2D labels belong to the 3D view — keep their layer on its pane
+  _fitLabels(width, height) {
+    if (!this.labelRenderer) return;
+    const size = this.labelRenderer.getSize();
+    if (size.width !== width || size.height !== height) this.labelRenderer.setSize(width, height);
+  }
+
+  _setMarkerVisible() {
+    this.marker.visible = this.mode === 'quad';
+  }
+
+  _buildPane(pane) {
+    const element = document.createElement('div');
+    element.className = 'viewport-pane';
+    element.style.left = `${pane.col * 50}%`;
+    element.style.top = `${pane.row * 50}%`;
+
+    const label = document.createElement('span');
+    label.className = 'pane-label';
+    label.textContent = pane.label;
+    element.appendChild(label);
+
+    if (pane.right) {
+      // Orientation letters on each edge
+      const edges = {
+        left: sideLetter(negate(pane.right)),
+        right: sideLetter(pane.right),
+        top: sideLetter(pane.up),
+        bottom: sideLetter(negate(pane.up))
+      };
+      for (const [edge, letter] of Object.entries(edges)) {
+        const el = document.createElement('span');
+        el.className = `pane-letter pane-letter-${edge}`;
+        el.textContent = letter;
+        element.appendChild(el);
+      }
+
+      pane.crossH = document.createElement('div');
+      pane.crossH.className = 'pane-crosshair horizontal';
+      pane.crossV = document.createElement('div');
+      pane.crossV.className = 'pane-crosshair vertical';
+      element.append(pane.crossH, pane.crossV);
+    }
+
+    this.container.appendChild(element);
+    return element;
+  }
+
+  // Three short axis lines through the crosshair point
+  _buildMarker() {
+    const s = 0.12;
+    const geometry = new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute([
+      -s, 0, 0, s, 0, 0,
+      0, -s, 0, 0, s, 0,
+      0, 0, -s, 0, 0, s
+    ], 3));
+    const marker = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+      color: 0xa78bfa,
+      depthTest: false,
+      transparent: true
+    }));
+    marker.renderOrder = 999;
+    marker.layers.set(MARKER_LAYER);
+    return marker;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * Installs the MediaPipe runtime files into Vite's publicDir so the app can
+ * run hand tracking with no CDN access (hospital / classroom networks).
+ *
+ *   assets/mediapipe/wasm/                  ← copied from node_modules
+ *   assets/mediapipe/hand_landmarker.task   ← downloaded once, then reused
+ *   assets/mediapipe/manifest.json          ← versions, read at runtime
+ *
+ * Runs automatically before `npm run dev` and `npm run build`. Offline
+ * machines can drop a hand_landmarker.task into assets/mediapipe/ by hand.
+ *
+ * Usage: node scripts/mediapipe-assets.mjs [--force]
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync } from 'node:fs';
+import { copyFile, mkdir, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+const pkgDir = join(root, 'node_modules', '@mediapipe', 'tasks-vision');
+const outDir = join(root, 'assets', 'mediapipe');
+const wasmOut = join(outDir, 'wasm');
+const modelOut = join(outDir, 'hand_landmarker.task');
+const manifestPath = join(outDir, 'manifest.json');
+
+// float16/1 is a versioned, immutable model path
+const MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+
+const force = process.argv.includes('--force');
+
+async function readJSON(path) {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+async function sha256(path) {
+  return createHash('sha256').update(await readFile(path)).digest('hex');
+}
+
+async function copyWasm(version, previous) {
+  if (!force && previous && previous.tasksVisionVersion === version && existsSync(wasmOut)) {
+    return false;
+  }
+  await rm(wasmOut, { recursive: true, force: true });
+  await mkdir(wasmOut, { recursive: true });
+  for (const file of await readdir(join(pkgDir, 'wasm'))) {
+    await copyFile(join(pkgDir, 'wasm', file), join(wasmOut, file));
+  }
+  return true;
+}
+
+async function fetchModel() {
+  if (!force && existsSync(modelOut)) return 'present';
+  try {
+    const res = await fetch(MODEL_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    await writeFile(modelOut, Buffer.from(await res.arrayBuffer()));
+    return 'downloaded';
+  } catch (err) {
+    return `missing (${err.message})`;
+  }
+}
+
+async function main() {
+  const pkg = await readJSON(join(pkgDir, 'package.json'));
+  if (!pkg) {
+    console.warn('[mediapipe-assets] @mediapipe/tasks-vision is not installed — run npm install');
+    return;
+  }
+
+  await mkdir(outDir, { recursive: true });
+  const previous = await readJSON(manifestPath);
+
+  const copied = await copyWasm(pkg.version, previous);
+  const model = await fetchModel();
+
+  const manifest = {
+    tasksVisionVersion: pkg.version,
+    wasm: 'wasm',
+    model: existsSync(modelOut)
+      ? { file: 'hand_landmarker.task', source: MODEL_URL, sha256: await sha256(modelOut) }
+      : null
+  };
+  await writeFile(manifestPath, JSON.stringify(manifest, null, 2) + '\n');
+
+  console.log(
+    `[mediapipe-assets] tasks-vision ${pkg.version} wasm ${copied ? 'copied' : 'up to date'}, model ${model}`
+  );
+  if (!manifest.model) {
+    console.warn(
+      `[mediapipe-assets] Hand model not available offline. Download it from\n  ${MODEL_URL}\n` +
+      `into ${modelOut}, or the app will fall back to the pinned CDN copy.`
+    );
+  }
+}
+
+main().catch((err) => {
+  // Never block dev/build on asset installation
+  console.warn('[mediapipe-assets] failed:', err);
+});
@@ -1,8 +1,22 @@
+import { readFileSync } from 'node:fs';
 import { defineConfig } from 'vite';
 
+// The MediaPipe JS bundle and its WASM must be the same version; the app
+// checks this against assets/mediapipe/manifest.json at runtime.
+const tasksVision = JSON.parse(
+  readFileSync(new URL('./node_modules/@mediapipe/tasks-vision/package.json', import.meta.url), 'utf8')
+);
+
 export default defineConfig({
   root: '.',
   publicDir: 'assets',
+  define: {
+    __TASKS_VISION_VERSION__: JSON.stringify(tasksVision.version)
+  },
+  // The landmarker worker is a module worker (see WorkerLandmarker.js)
+  worker: {
+    format: 'es'
+  },
   server: {
     port: 3000,
     open: true